@@ -92,6 +92,7 @@ CREATE TABLE episodes (
     -- Playback information
     resume_position INTEGER DEFAULT 0,      -- Resume position in seconds
     watched BOOLEAN DEFAULT FALSE,          -- Has been fully watched
+    progress_updated_at DATETIME,           -- Last change to resume_position or watched
     record_success INTEGER DEFAULT 1,       -- Recording successful (1) or failed (0)
     
     -- Metadata
@@ -166,19 +167,24 @@ LEFT JOIN episodes e ON s.id = e.series_id
 JOIN devices d ON s.device_id = d.id
 GROUP BY s.id;
 
--- Triggers to maintain series statistics
+-- ============================================================================
+-- Series Statistics Triggers
+-- ============================================================================
+-- Maintain series statistics, leaving out trashed episodes. Also (re)created by
+-- ensureTriggersExist in src/database.js for databases with missing or outdated ones.
+
 CREATE TRIGGER update_series_stats_insert
     AFTER INSERT ON episodes
 BEGIN
     UPDATE series SET 
-        episode_count = (SELECT COUNT(*) FROM episodes WHERE series_id = NEW.series_id),
-        total_duration = (SELECT COALESCE(SUM(duration), 0) FROM episodes WHERE series_id = NEW.series_id),
+        episode_count = (SELECT COUNT(*) FROM episodes WHERE series_id = NEW.series_id AND id NOT IN (SELECT episode_id FROM episode_trash)),
+        total_duration = (SELECT COALESCE(SUM(duration), 0) FROM episodes WHERE series_id = NEW.series_id AND id NOT IN (SELECT episode_id FROM episode_trash)),
         first_recorded = COALESCE(
-            (SELECT MIN(start_time) FROM episodes WHERE series_id = NEW.series_id),
+            (SELECT MIN(start_time) FROM episodes WHERE series_id = NEW.series_id AND id NOT IN (SELECT episode_id FROM episode_trash)),
             first_recorded
         ),
         last_recorded = COALESCE(
-            (SELECT MAX(start_time) FROM episodes WHERE series_id = NEW.series_id),
+            (SELECT MAX(start_time) FROM episodes WHERE series_id = NEW.series_id AND id NOT IN (SELECT episode_id FROM episode_trash)),
             last_recorded
         ),
         updated_at = CURRENT_TIMESTAMP
@@ -189,14 +195,14 @@ CREATE TRIGGER update_series_stats_update
     AFTER UPDATE ON episodes
 BEGIN
     UPDATE series SET 
-        episode_count = (SELECT COUNT(*) FROM episodes WHERE series_id = NEW.series_id),
-        total_duration = (SELECT COALESCE(SUM(duration), 0) FROM episodes WHERE series_id = NEW.series_id),
+        episode_count = (SELECT COUNT(*) FROM episodes WHERE series_id = NEW.series_id AND id NOT IN (SELECT episode_id FROM episode_trash)),
+        total_duration = (SELECT COALESCE(SUM(duration), 0) FROM episodes WHERE series_id = NEW.series_id AND id NOT IN (SELECT episode_id FROM episode_trash)),
         first_recorded = COALESCE(
-            (SELECT MIN(start_time) FROM episodes WHERE series_id = NEW.series_id),
+            (SELECT MIN(start_time) FROM episodes WHERE series_id = NEW.series_id AND id NOT IN (SELECT episode_id FROM episode_trash)),
             first_recorded
         ),
         last_recorded = COALESCE(
-            (SELECT MAX(start_time) FROM episodes WHERE series_id = NEW.series_id),
+            (SELECT MAX(start_time) FROM episodes WHERE series_id = NEW.series_id AND id NOT IN (SELECT episode_id FROM episode_trash)),
             last_recorded
         ),
         updated_at = CURRENT_TIMESTAMP
@@ -207,14 +213,15 @@ CREATE TRIGGER update_series_stats_delete
     AFTER DELETE ON episodes
 BEGIN
     UPDATE series SET 
-        episode_count = (SELECT COUNT(*) FROM episodes WHERE series_id = OLD.series_id),
-        total_duration = (SELECT COALESCE(SUM(duration), 0) FROM episodes WHERE series_id = OLD.series_id),
-        first_recorded = (SELECT MIN(start_time) FROM episodes WHERE series_id = OLD.series_id),
-        last_recorded = (SELECT MAX(start_time) FROM episodes WHERE series_id = OLD.series_id),
+        episode_count = (SELECT COUNT(*) FROM episodes WHERE series_id = OLD.series_id AND id NOT IN (SELECT episode_id FROM episode_trash)),
+        total_duration = (SELECT COALESCE(SUM(duration), 0) FROM episodes WHERE series_id = OLD.series_id AND id NOT IN (SELECT episode_id FROM episode_trash)),
+        first_recorded = (SELECT MIN(start_time) FROM episodes WHERE series_id = OLD.series_id AND id NOT IN (SELECT episode_id FROM episode_trash)),
+        last_recorded = (SELECT MAX(start_time) FROM episodes WHERE series_id = OLD.series_id AND id NOT IN (SELECT episode_id FROM episode_trash)),
         updated_at = CURRENT_TIMESTAMP
     WHERE id = OLD.series_id;
 END;
 
+-- ============================================================================
 -- Utility functions for common queries
 
 -- Function to extract season number from episode number string
@@ -374,7 +381,9 @@ LEFT JOIN series s ON s.series_id = rr.series_id
 LEFT JOIN episodes e ON e.series_id = s.id
 GROUP BY rr.recording_rule_id;
 
+-- ============================================================================
 -- Live TV Streaming Tables
+-- ============================================================================
 -- Track tuners from all discovered HDHomeRun devices for live TV streaming
 
 CREATE TABLE IF NOT EXISTS live_tuners (
@@ -426,4 +435,431 @@ SELECT
     lt.last_accessed,
     lt.hls_path
 FROM live_tuners lt
-JOIN devices d ON lt.device_id = d.device_id;
\ No newline at end of file
+JOIN devices d ON lt.device_id = d.device_id;
+-- ============================================================================
+-- Viewer Profile Tables
+-- ============================================================================
+-- Each profile keeps its own resume point and watched flag. The resume_position
+-- and watched columns on episodes remain the shared (device) progress.
+
+CREATE TABLE IF NOT EXISTS profiles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,              -- Profile name (e.g., "primary", "kids")
+    relay_progress BOOLEAN DEFAULT 0,       -- Relay progress to the HDHomeRun device (1) or keep it local (0)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS profile_progress (
+    profile_id INTEGER NOT NULL,            -- References profiles(id)
+    episode_id INTEGER NOT NULL,            -- References episodes(id)
+    resume_position INTEGER DEFAULT 0,      -- Resume position in seconds
+    watched BOOLEAN DEFAULT FALSE,          -- Has been fully watched by this profile
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (profile_id, episode_id),
+    FOREIGN KEY (profile_id) REFERENCES profiles(id) ON DELETE CASCADE,
+    FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_profile_progress_episode ON profile_progress(episode_id);
+
+-- ============================================================================
+-- Full-Text Search Indexes
+-- ============================================================================
+-- FTS5 indexes over recorded series, recorded episodes and guide programs.
+-- They are external-content tables kept current by triggers, so every insert,
+-- upsert and delete on the source tables updates the index automatically.
+
+CREATE VIRTUAL TABLE IF NOT EXISTS series_fts USING fts5(
+    title,
+    content='series', content_rowid='id'
+);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS episodes_fts USING fts5(
+    title, episode_title, synopsis,
+    content='episodes', content_rowid='id'
+);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS guide_programs_fts USING fts5(
+    title, episode_title, synopsis,
+    content='guide_programs', content_rowid='id'
+);
+
+CREATE TRIGGER IF NOT EXISTS series_fts_insert AFTER INSERT ON series
+BEGIN
+    INSERT INTO series_fts(rowid, title) VALUES (NEW.id, NEW.title);
+END;
+
+CREATE TRIGGER IF NOT EXISTS series_fts_delete AFTER DELETE ON series
+BEGIN
+    INSERT INTO series_fts(series_fts, rowid, title) VALUES ('delete', OLD.id, OLD.title);
+END;
+
+CREATE TRIGGER IF NOT EXISTS series_fts_update AFTER UPDATE OF title ON series
+BEGIN
+    INSERT INTO series_fts(series_fts, rowid, title) VALUES ('delete', OLD.id, OLD.title);
+    INSERT INTO series_fts(rowid, title) VALUES (NEW.id, NEW.title);
+END;
+
+CREATE TRIGGER IF NOT EXISTS episodes_fts_insert AFTER INSERT ON episodes
+BEGIN
+    INSERT INTO episodes_fts(rowid, title, episode_title, synopsis)
+    VALUES (NEW.id, NEW.title, NEW.episode_title, NEW.synopsis);
+END;
+
+CREATE TRIGGER IF NOT EXISTS episodes_fts_delete AFTER DELETE ON episodes
+BEGIN
+    INSERT INTO episodes_fts(episodes_fts, rowid, title, episode_title, synopsis)
+    VALUES ('delete', OLD.id, OLD.title, OLD.episode_title, OLD.synopsis);
+END;
+
+CREATE TRIGGER IF NOT EXISTS episodes_fts_update AFTER UPDATE OF title, episode_title, synopsis ON episodes
+BEGIN
+    INSERT INTO episodes_fts(episodes_fts, rowid, title, episode_title, synopsis)
+    VALUES ('delete', OLD.id, OLD.title, OLD.episode_title, OLD.synopsis);
+    INSERT INTO episodes_fts(rowid, title, episode_title, synopsis)
+    VALUES (NEW.id, NEW.title, NEW.episode_title, NEW.synopsis);
+END;
+
+CREATE TRIGGER IF NOT EXISTS guide_programs_fts_insert AFTER INSERT ON guide_programs
+BEGIN
+    INSERT INTO guide_programs_fts(rowid, title, episode_title, synopsis)
+    VALUES (NEW.id, NEW.title, NEW.episode_title, NEW.synopsis);
+END;
+
+CREATE TRIGGER IF NOT EXISTS guide_programs_fts_delete AFTER DELETE ON guide_programs
+BEGIN
+    INSERT INTO guide_programs_fts(guide_programs_fts, rowid, title, episode_title, synopsis)
+    VALUES ('delete', OLD.id, OLD.title, OLD.episode_title, OLD.synopsis);
+END;
+
+CREATE TRIGGER IF NOT EXISTS guide_programs_fts_update AFTER UPDATE OF title, episode_title, synopsis ON guide_programs
+BEGIN
+    INSERT INTO guide_programs_fts(guide_programs_fts, rowid, title, episode_title, synopsis)
+    VALUES ('delete', OLD.id, OLD.title, OLD.episode_title, OLD.synopsis);
+    INSERT INTO guide_programs_fts(rowid, title, episode_title, synopsis)
+    VALUES (NEW.id, NEW.title, NEW.episode_title, NEW.synopsis);
+END;
+
+-- Index any rows that existed before the search tables were created
+INSERT INTO series_fts(series_fts) VALUES ('rebuild');
+INSERT INTO episodes_fts(episodes_fts) VALUES ('rebuild');
+INSERT INTO guide_programs_fts(guide_programs_fts) VALUES ('rebuild');
+
+-- ============================================================================
+-- Retention Policy Tables
+-- ============================================================================
+-- Retention rules remove recordings automatically. A rule with a NULL series_id
+-- is global; a series rule overrides the global rule of the same type for that
+-- series. Rule types:
+--   keep_last             value = number of newest episodes to keep
+--   delete_watched_after  value = days after an episode was marked watched
+--   delete_older_than     value = days after recording (favorited series exempt)
+
+CREATE TABLE IF NOT EXISTS retention_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    series_id TEXT,                         -- HDHomeRun Series ID, NULL for a global rule
+    rule_type TEXT NOT NULL CHECK (rule_type IN ('keep_last', 'delete_watched_after', 'delete_older_than')),
+    value INTEGER NOT NULL CHECK (value > 0),
+    enabled BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_retention_rules_series ON retention_rules(series_id);
+
+-- Favorited series are exempt from delete_older_than rules
+CREATE TABLE IF NOT EXISTS series_favorites (
+    series_id TEXT PRIMARY KEY,             -- HDHomeRun Series ID
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- When each episode was marked watched (shared progress), for delete_watched_after
+CREATE TABLE IF NOT EXISTS watch_history (
+    episode_id INTEGER PRIMARY KEY,         -- References episodes(id)
+    watched_at INTEGER NOT NULL,            -- Unix timestamp
+    FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE
+);
+
+CREATE TRIGGER IF NOT EXISTS watch_history_watched AFTER UPDATE OF watched ON episodes
+WHEN NEW.watched AND NOT OLD.watched
+BEGIN
+    INSERT OR REPLACE INTO watch_history (episode_id, watched_at) VALUES (NEW.id, strftime('%s', 'now'));
+END;
+
+CREATE TRIGGER IF NOT EXISTS watch_history_unwatched AFTER UPDATE OF watched ON episodes
+WHEN OLD.watched AND NOT NEW.watched
+BEGIN
+    DELETE FROM watch_history WHERE episode_id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS watch_history_delete AFTER DELETE ON episodes
+BEGIN
+    DELETE FROM watch_history WHERE episode_id = OLD.id;
+END;
+
+-- Episodes already watched before this table existed count from their last update
+INSERT OR IGNORE INTO watch_history (episode_id, watched_at)
+SELECT id, COALESCE(CAST(strftime('%s', updated_at) AS INTEGER), CAST(strftime('%s', 'now') AS INTEGER))
+FROM episodes WHERE watched;
+
+-- One row per enforcement run (scheduled or manual)
+CREATE TABLE IF NOT EXISTS retention_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    triggered_by TEXT NOT NULL,             -- 'schedule' or 'manual'
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME,
+    candidate_count INTEGER DEFAULT 0,
+    deleted_count INTEGER DEFAULT 0,
+    failed_count INTEGER DEFAULT 0
+);
+
+-- Audit of every episode a run removed (or failed to remove)
+CREATE TABLE IF NOT EXISTS retention_audit (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_id INTEGER NOT NULL,                -- References retention_runs(id)
+    rule_id INTEGER,                        -- Rule that selected the episode
+    rule_type TEXT,
+    reason TEXT,                            -- Human readable explanation
+    episode_id INTEGER NOT NULL,            -- Episode ID at time of deletion (row no longer exists)
+    series_id TEXT,
+    series_title TEXT,
+    episode_title TEXT,
+    episode_number TEXT,
+    start_time INTEGER,
+    success BOOLEAN NOT NULL,
+    error TEXT,
+    device_deleted BOOLEAN DEFAULT 0,
+    hls_deleted BOOLEAN DEFAULT 0,
+    deleted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (run_id) REFERENCES retention_runs(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_retention_audit_run ON retention_audit(run_id);
+
+-- ============================================================================
+-- Trash Bin Tables
+-- ============================================================================
+-- Deleted episodes are moved here first and hidden from the library. The
+-- recording is only removed from the device once the grace period has passed
+-- (or the item is purged by hand). Restoring an episode removes its row.
+
+CREATE TABLE IF NOT EXISTS episode_trash (
+    episode_id INTEGER PRIMARY KEY,         -- References episodes(id)
+    rerecord BOOLEAN DEFAULT 0,             -- Passed to the device when the recording is purged
+    trashed_at INTEGER NOT NULL,            -- Unix timestamp
+    FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_episode_trash_trashed ON episode_trash(trashed_at);
+
+-- Keep series statistics in step with what the library shows
+CREATE TRIGGER IF NOT EXISTS episode_trash_insert AFTER INSERT ON episode_trash
+BEGIN
+    UPDATE series SET
+        episode_count = (SELECT COUNT(*) FROM episodes WHERE series_id = series.id AND id NOT IN (SELECT episode_id FROM episode_trash)),
+        total_duration = (SELECT COALESCE(SUM(duration), 0) FROM episodes WHERE series_id = series.id AND id NOT IN (SELECT episode_id FROM episode_trash)),
+        first_recorded = (SELECT MIN(start_time) FROM episodes WHERE series_id = series.id AND id NOT IN (SELECT episode_id FROM episode_trash)),
+        last_recorded = (SELECT MAX(start_time) FROM episodes WHERE series_id = series.id AND id NOT IN (SELECT episode_id FROM episode_trash)),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = (SELECT series_id FROM episodes WHERE id = NEW.episode_id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS episode_trash_delete AFTER DELETE ON episode_trash
+BEGIN
+    UPDATE series SET
+        episode_count = (SELECT COUNT(*) FROM episodes WHERE series_id = series.id AND id NOT IN (SELECT episode_id FROM episode_trash)),
+        total_duration = (SELECT COALESCE(SUM(duration), 0) FROM episodes WHERE series_id = series.id AND id NOT IN (SELECT episode_id FROM episode_trash)),
+        first_recorded = (SELECT MIN(start_time) FROM episodes WHERE series_id = series.id AND id NOT IN (SELECT episode_id FROM episode_trash)),
+        last_recorded = (SELECT MAX(start_time) FROM episodes WHERE series_id = series.id AND id NOT IN (SELECT episode_id FROM episode_trash)),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = (SELECT series_id FROM episodes WHERE id = OLD.episode_id);
+END;
+
+-- ============================================================================
+-- Change Log Tables
+-- ============================================================================
+-- Monotonic log of library changes for incremental client sync (/api/changes).
+-- The row id is the cursor. Triggers record every insert, meaningful update and
+-- delete of series and episodes, whether it comes from device sync, progress
+-- updates, deletions or the trash bin. Clients read the net effect since their
+-- cursor, so repeated updates to the same row collapse into one change.
+
+CREATE TABLE IF NOT EXISTS change_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,   -- Cursor (never reused)
+    entity_type TEXT NOT NULL,              -- 'series' or 'episode'
+    entity_id INTEGER NOT NULL,             -- series.id or episodes.id
+    action TEXT NOT NULL,                   -- 'added', 'updated' or 'removed'
+    profile_id INTEGER,                     -- Set when only one profile's progress changed
+    changed_at INTEGER NOT NULL DEFAULT (CAST(strftime('%s', 'now') AS INTEGER))
+);
+
+CREATE INDEX IF NOT EXISTS idx_change_log_changed ON change_log(changed_at);
+
+CREATE TRIGGER IF NOT EXISTS change_log_series_insert AFTER INSERT ON series
+BEGIN
+    INSERT INTO change_log (entity_type, entity_id, action) VALUES ('series', NEW.id, 'added');
+END;
+
+-- Series statistics are maintained by triggers, so episode changes show up here too
+CREATE TRIGGER IF NOT EXISTS change_log_series_update AFTER UPDATE ON series
+WHEN OLD.title IS NOT NEW.title
+  OR OLD.category IS NOT NEW.category
+  OR OLD.image_url IS NOT NEW.image_url
+  OR OLD.episode_count IS NOT NEW.episode_count
+  OR OLD.total_duration IS NOT NEW.total_duration
+  OR OLD.first_recorded IS NOT NEW.first_recorded
+  OR OLD.last_recorded IS NOT NEW.last_recorded
+BEGIN
+    INSERT INTO change_log (entity_type, entity_id, action) VALUES ('series', NEW.id, 'updated');
+END;
+
+CREATE TRIGGER IF NOT EXISTS change_log_series_delete AFTER DELETE ON series
+BEGIN
+    INSERT INTO change_log (entity_type, entity_id, action) VALUES ('series', OLD.id, 'removed');
+END;
+
+CREATE TRIGGER IF NOT EXISTS change_log_episode_insert AFTER INSERT ON episodes
+BEGIN
+    INSERT INTO change_log (entity_type, entity_id, action) VALUES ('episode', NEW.id, 'added');
+END;
+
+-- Device sync rewrites every episode; only log columns clients actually show
+CREATE TRIGGER IF NOT EXISTS change_log_episode_update AFTER UPDATE ON episodes
+WHEN OLD.title IS NOT NEW.title
+  OR OLD.episode_title IS NOT NEW.episode_title
+  OR OLD.episode_number IS NOT NEW.episode_number
+  OR OLD.synopsis IS NOT NEW.synopsis
+  OR OLD.category IS NOT NEW.category
+  OR OLD.start_time IS NOT NEW.start_time
+  OR OLD.end_time IS NOT NEW.end_time
+  OR OLD.original_airdate IS NOT NEW.original_airdate
+  OR OLD.play_url IS NOT NEW.play_url
+  OR OLD.image_url IS NOT NEW.image_url
+  OR OLD.record_success IS NOT NEW.record_success
+  OR OLD.resume_position IS NOT NEW.resume_position
+  OR OLD.watched IS NOT NEW.watched
+BEGIN
+    INSERT INTO change_log (entity_type, entity_id, action) VALUES ('episode', NEW.id, 'updated');
+END;
+
+CREATE TRIGGER IF NOT EXISTS change_log_episode_delete AFTER DELETE ON episodes
+BEGIN
+    INSERT INTO change_log (entity_type, entity_id, action) VALUES ('episode', OLD.id, 'removed');
+END;
+
+-- Trashing hides an episode from clients; restoring brings it back
+CREATE TRIGGER IF NOT EXISTS change_log_trash_insert AFTER INSERT ON episode_trash
+BEGIN
+    INSERT INTO change_log (entity_type, entity_id, action) VALUES ('episode', NEW.episode_id, 'removed');
+END;
+
+CREATE TRIGGER IF NOT EXISTS change_log_trash_delete AFTER DELETE ON episode_trash
+BEGIN
+    INSERT INTO change_log (entity_type, entity_id, action) VALUES ('episode', OLD.episode_id, 'added');
+END;
+
+CREATE TRIGGER IF NOT EXISTS change_log_profile_progress_insert AFTER INSERT ON profile_progress
+BEGIN
+    INSERT INTO change_log (entity_type, entity_id, action, profile_id) VALUES ('episode', NEW.episode_id, 'updated', NEW.profile_id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS change_log_profile_progress_update AFTER UPDATE ON profile_progress
+WHEN OLD.resume_position IS NOT NEW.resume_position OR OLD.watched IS NOT NEW.watched
+BEGIN
+    INSERT INTO change_log (entity_type, entity_id, action, profile_id) VALUES ('episode', NEW.episode_id, 'updated', NEW.profile_id);
+END;
+
+-- ============================================================================
+-- HLS Cache Tables
+-- ============================================================================
+-- Series whose transcoded episodes are never evicted from the HLS cache, whether
+-- by age or by the cache size budget
+
+CREATE TABLE IF NOT EXISTS cache_pins (
+    series_id TEXT PRIMARY KEY,             -- HDHomeRun Series ID
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================================================
+-- Transcode Queue Tables
+-- ============================================================================
+-- One HLS transcode job per episode, so queued and interrupted work survives
+-- restarts. Pre-cache jobs are queued; on-demand playback records its job as
+-- running straight away. Jobs still running at shutdown are queued again on boot.
+
+CREATE TABLE IF NOT EXISTS transcode_jobs (
+    episode_id INTEGER PRIMARY KEY,         -- References episodes(id), and the hls-cache directory
+    state TEXT NOT NULL DEFAULT 'queued' CHECK (state IN ('queued', 'running', 'paused', 'complete', 'failed', 'cancelled', 'evicted')),
+    priority INTEGER NOT NULL DEFAULT 0,    -- Higher runs first, then oldest first
+    origin TEXT NOT NULL DEFAULT 'pre-cache' CHECK (origin IN ('pre-cache', 'on-demand')),
+    source_url TEXT NOT NULL,
+    client_profile TEXT,
+    metadata TEXT,                          -- JSON: showName, episodeName, airDate, duration
+    attempts INTEGER NOT NULL DEFAULT 0,    -- Starts, including resumes after a restart
+    progress INTEGER NOT NULL DEFAULT 0,
+    error TEXT,                             -- Last failure
+    queued_at INTEGER NOT NULL,             -- Unix timestamps
+    started_at INTEGER,
+    finished_at INTEGER,
+    FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_transcode_jobs_queue ON transcode_jobs(state, priority DESC, queued_at);
+
+-- ============================================================================
+-- Pre-cache Policy Tables
+-- ============================================================================
+-- Declarative rules for which recordings --pre-cache transcodes to HLS. An episode
+-- is pre-cached when any enabled policy selects it (see src/precache.js).
+
+CREATE TABLE IF NOT EXISTS precache_policies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    enabled BOOLEAN DEFAULT 1,
+    priority INTEGER NOT NULL DEFAULT 0,    -- Transcode queue priority of the episodes it selects
+    unwatched_only BOOLEAN DEFAULT 0,
+    favorites_only BOOLEAN DEFAULT 0,
+    category TEXT,                          -- NULL for any category
+    newest_per_series INTEGER CHECK (newest_per_series IS NULL OR newest_per_series > 0),
+    max_age_days INTEGER CHECK (max_age_days IS NULL OR max_age_days > 0),
+    max_total_gb REAL CHECK (max_total_gb IS NULL OR max_total_gb > 0), -- Estimated HLS size
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- What --pre-cache did before policies existed: everything recorded in the past 30 days
+INSERT OR IGNORE INTO precache_policies (id, name, max_age_days) VALUES (1, 'Recent recordings', 30);
+
+-- ============================================================================
+-- Commercial Detection Tables
+-- ============================================================================
+-- Likely commercial breaks found by analysing recordings (see src/commercials.js),
+-- for chapter markers and "skip ad". One analysis job per episode.
+
+CREATE TABLE IF NOT EXISTS commercial_analysis (
+    episode_id INTEGER PRIMARY KEY,         -- References episodes(id)
+    state TEXT NOT NULL DEFAULT 'queued' CHECK (state IN ('queued', 'running', 'complete', 'failed')),
+    input TEXT CHECK (input IS NULL OR input IN ('hls', 'source')), -- What was analysed
+    duration REAL,                          -- Seconds analysed
+    break_points INTEGER,                   -- Black and silent moments found
+    error TEXT,
+    queued_at INTEGER NOT NULL,             -- Unix timestamps
+    started_at INTEGER,
+    finished_at INTEGER,
+    FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_commercial_analysis_queue ON commercial_analysis(state, queued_at);
+
+CREATE TABLE IF NOT EXISTS commercial_markers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    episode_id INTEGER NOT NULL,
+    start_time REAL NOT NULL,               -- Seconds from the start of the recording
+    end_time REAL NOT NULL,
+    confidence REAL NOT NULL,               -- 0-1
+    FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_commercial_markers_episode ON commercial_markers(episode_id, start_time);
@@ -0,0 +1,234 @@
+/**
+ * Captions Module
+ * Extracts the closed captions of ATSC video to WebVTT for HLS subtitle playlists
+ *
+ * Captions travel inside the video stream (A/53 caption data) rather than as a stream
+ * of their own, so FFmpeg's lavfi movie source decodes the video and exports them
+ * ("subcc"). FFmpeg decodes the EIA-608 captions carried in that data; 708-only
+ * services are not decoded.
+ *
+ * Cues are written to a single growing captions.vtt. Subtitle segments are cut from
+ * it on request, on the same fixed grid as the video segments, each with an
+ * X-TIMESTAMP-MAP lining cue times up with the video segments (MPEG-TS or fMP4).
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const { promisify } = require('util');
+
+const readFile = promisify(fs.readFile);
+const stat = promisify(fs.stat);
+
+const CAPTION_STATE = {
+  EXTRACTING: 'extracting',
+  COMPLETE: 'complete',
+  STOPPED: 'stopped',
+  ERROR: 'error'
+};
+
+// FFmpeg's MPEG-TS output starts at 1.4s on the 90kHz clock, which is cue time 0
+// (its fragmented MP4 output starts at 0)
+const MPEGTS_START = 126000;
+
+/**
+ * Escape a value for a filter option, then for the filtergraph
+ * (see "Notes on filtergraph escaping" in the FFmpeg filters documentation)
+ */
+function escapeFilterValue(value) {
+  const option = value.replace(/[\\':=]/g, '\\$&');
+  return option.replace(/[\\'[\],;]/g, '\\$&');
+}
+
+/**
+ * Parse a WebVTT timestamp ("01:02:03.456" or "02:03.456") to seconds
+ */
+function parseTimestamp(timestamp) {
+  const parts = timestamp.split(':').map(parseFloat);
+  return parts.reduce((seconds, part) => seconds * 60 + part, 0);
+}
+
+class CaptionExtractor {
+  /**
+   * @param {object} options - { outputPath: the captions.vtt to write, state: for an extraction that already finished, log }
+   */
+  constructor(options) {
+    this.outputPath = options.outputPath;
+    this.state = options.state || CAPTION_STATE.STOPPED;
+    this.log = options.log || (() => {});
+    this.process = null;
+    this.stopped = false;
+    this.extractedSeconds = 0;
+    this.error = null;
+
+    // Parsed cues, re-read when captions.vtt grows
+    this.cues = [];
+    this.cuesSize = -1;
+  }
+
+  /**
+   * Start extracting captions
+   * @param {string} input - URL or file FFmpeg can open, or "pipe:0" to read from stdin
+   * @param {Function} onExit - Called with the extractor when FFmpeg exits
+   * @returns {ChildProcess}
+   */
+  start(input, onExit = () => {}) {
+    const args = [
+      '-y',
+      '-nostdin', // stdin may carry the input, not keyboard commands
+      '-f', 'lavfi',
+      '-i', `movie=${escapeFilterValue(input)}[out0+subcc]`,
+      // Cues are appended as they are decoded, so segments can be cut while extracting
+      '-map', '0:s:0',
+      '-c:s', 'webvtt',
+      '-flush_packets', '1',
+      this.outputPath,
+      // Decoded video is discarded; its timestamps report how far extraction got
+      '-map', '0:v:0',
+      '-f', 'null',
+      '-'
+    ];
+
+    const ffmpeg = spawn('ffmpeg', args);
+
+    this.process = ffmpeg;
+    this.state = CAPTION_STATE.EXTRACTING;
+    this.stopped = false;
+    this.extractedSeconds = 0;
+    this.error = null;
+
+    let stderrTail = '';
+
+    ffmpeg.stderr.on('data', (data) => {
+      const output = data.toString();
+      stderrTail = (stderrTail + output).slice(-1000);
+
+      const timeMatches = [...output.matchAll(/time=(\d+):(\d+):(\d+(?:\.\d+)?)/g)];
+      if (timeMatches.length > 0) {
+        const [, hours, minutes, seconds] = timeMatches[timeMatches.length - 1];
+        this.extractedSeconds = parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseFloat(seconds);
+      }
+    });
+
+    let exited = false;
+    const finish = (state, error) => {
+      if (exited) {
+        return; // 'error' and 'close' can both fire
+      }
+      exited = true;
+
+      this.process = null;
+      this.state = state;
+      this.error = error;
+      if (error) {
+        this.log(`Caption extraction failed: ${error}`);
+      }
+      onExit(this);
+    };
+
+    ffmpeg.on('error', (error) => {
+      finish(CAPTION_STATE.ERROR, error.message);
+    });
+
+    ffmpeg.on('close', (code) => {
+      if (this.stopped) {
+        finish(CAPTION_STATE.STOPPED, null);
+      } else if (code !== 0) {
+        const lastLine = stderrTail.trim().split('\n').pop();
+        finish(CAPTION_STATE.ERROR, `FFmpeg exited with code ${code}${lastLine ? `: ${lastLine}` : ''}`);
+      } else {
+        finish(CAPTION_STATE.COMPLETE, null);
+      }
+    });
+
+    return ffmpeg;
+  }
+
+  /**
+   * Stop extracting (the cues so far are kept)
+   */
+  stop() {
+    if (this.process && !this.stopped) {
+      this.stopped = true;
+      this.process.kill('SIGTERM');
+    }
+  }
+
+  isRunning() {
+    return this.state === CAPTION_STATE.EXTRACTING;
+  }
+
+  /**
+   * Cues extracted so far: [{ start, end, block }] with times in seconds and
+   * block the cue's timing line and text
+   */
+  async getCues() {
+    let size;
+    try {
+      size = (await stat(this.outputPath)).size;
+    } catch (error) {
+      return []; // Nothing extracted yet
+    }
+
+    if (size !== this.cuesSize) {
+      this.cues = CaptionExtractor.parseCues(await readFile(this.outputPath, 'utf8'));
+      this.cuesSize = size;
+    }
+
+    return this.cues;
+  }
+
+  /**
+   * Build the WebVTT segment covering a time range (seconds)
+   * @param {number} mpegtsStart - Video timestamp (90kHz) of cue time 0
+   * @returns {Promise<string|null>} null while extraction has not reached the end of the range
+   */
+  async getSegment(start, end, mpegtsStart = MPEGTS_START) {
+    if (this.state === CAPTION_STATE.EXTRACTING && this.extractedSeconds < end) {
+      return null;
+    }
+
+    const cues = await this.getCues();
+    return CaptionExtractor.buildSegment(cues.filter(cue => cue.start < end && cue.end > start), mpegtsStart);
+  }
+
+  status() {
+    return {
+      state: this.state,
+      extractedSeconds: Math.round(this.extractedSeconds),
+      error: this.error
+    };
+  }
+
+  static parseCues(text) {
+    const cues = [];
+
+    for (const block of text.split(/\r?\n\r?\n/)) {
+      const lines = block.split(/\r?\n/);
+      const timing = lines.findIndex(line => line.includes('-->'));
+      if (timing === -1 || timing === lines.length - 1) {
+        continue; // Header, note, or a cue without text
+      }
+
+      const [start, end] = lines[timing].split('-->').map(part => part.trim().split(/\s+/)[0]);
+      cues.push({
+        start: parseTimestamp(start),
+        end: parseTimestamp(end),
+        block: lines.slice(timing).join('\n')
+      });
+    }
+
+    return cues;
+  }
+
+  /**
+   * A WebVTT segment holding the given cues (cues spanning segments are repeated in each)
+   */
+  static buildSegment(cues, mpegtsStart = MPEGTS_START) {
+    const header = `WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:${mpegtsStart},LOCAL:00:00:00.000\n`;
+    return `${header}\n${cues.map(cue => `${cue.block}\n`).join('\n')}`;
+  }
+}
+
+CaptionExtractor.CAPTION_STATE = CAPTION_STATE;
+
+module.exports = CaptionExtractor;
@@ -0,0 +1,370 @@
+/**
+ * Commercials Module
+ * Finds likely commercial breaks in recordings, for chapter markers and "skip ad"
+ *
+ * One FFmpeg pass over a recording (its HLS cache when transcoded, otherwise the
+ * source) collects three signals:
+ * - blackdetect: black frames
+ * - silencedetect: silent audio
+ * - scene changes (select on the scene score)
+ *
+ * Frames both black and silent are break points: broadcasters put one between
+ * every spot. Chains of break points spaced like spots (10s to about 2 minutes
+ * apart) that add up to a plausible break length become commercial segments.
+ * Each gets a confidence from how many of its spots last a multiple of 15 seconds
+ * and how much faster it cuts between scenes than the rest of the recording.
+ *
+ * Analysis jobs are persisted one per episode and run one at a time; the caller
+ * resolves what each episode is read from.
+ *
+ * States: queued, running, complete, failed
+ */
+
+const { spawn } = require('child_process');
+const db = require('asynqlite');
+
+const ANALYSIS_STATES = ['queued', 'running', 'complete', 'failed'];
+
+// Detection settings
+const BLACK_MIN_DURATION = 0.1;  // Seconds of black to report
+const BLACK_PIXEL_THRESHOLD = 0.1;
+const SILENCE_NOISE = '-50dB';
+const SILENCE_MIN_DURATION = 0.1; // Seconds of silence to report
+const SCENE_THRESHOLD = 0.4;      // Scene score (0-1) counting as a cut
+const POINT_TOLERANCE = 0.5;      // Seconds black and silence may be apart and still match
+const MIN_SPOT = 10;              // Seconds between break points within a break
+const MAX_SPOT = 125;
+const MIN_BREAK = 45;             // Length of a whole break, in seconds
+const MAX_BREAK = 420;
+const MIN_CONFIDENCE = 0.5;       // Segments below this are not stored
+
+const now = () => Math.floor(Date.now() / 1000);
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+class CommercialDetector {
+  constructor() {
+    this.ANALYSIS_STATES = ANALYSIS_STATES;
+    this.isProcessing = false;
+    this.isStopping = false;
+    this.process = null; // FFmpeg analysing the current episode
+  }
+
+  /**
+   * Queue episodes for analysis. Episodes already analysed (or queued) are skipped
+   * unless force is set.
+   * @returns {Promise<number>} Number of episodes queued
+   */
+  async enqueue(episodeIds, force = false) {
+    let queued = 0;
+
+    for (const episodeId of episodeIds) {
+      if (force) {
+        await db.run(`
+          INSERT INTO commercial_analysis (episode_id, state, queued_at) VALUES (?, 'queued', ?)
+          ON CONFLICT(episode_id) DO UPDATE SET
+            state = 'queued', error = NULL, queued_at = excluded.queued_at, started_at = NULL, finished_at = NULL
+          WHERE state != 'running'
+        `, [episodeId, now()]);
+        queued++;
+      } else {
+        const existing = await this.getAnalysis(episodeId);
+        if (!existing) {
+          await db.run(`
+            INSERT OR IGNORE INTO commercial_analysis (episode_id, state, queued_at) VALUES (?, 'queued', ?)
+          `, [episodeId, now()]);
+          queued++;
+        }
+      }
+    }
+
+    return queued;
+  }
+
+  /**
+   * Ids of finished recordings that were never analysed (or queued)
+   */
+  async findUnanalyzed() {
+    const rows = await db.run(`
+      SELECT e.id
+      FROM episodes e
+      WHERE e.end_time <= ?
+        AND NOT EXISTS (SELECT 1 FROM commercial_analysis a WHERE a.episode_id = e.id)
+        AND NOT EXISTS (SELECT 1 FROM episode_trash t WHERE t.episode_id = e.id)
+    `, [now()]);
+
+    return (rows || []).map(row => row.id);
+  }
+
+  async getAnalysis(episodeId) {
+    const rows = await db.run('SELECT * FROM commercial_analysis WHERE episode_id = ?', [episodeId]);
+    return rows && rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Detected commercial segments of an episode, in playback order
+   */
+  async getMarkers(episodeId) {
+    const markers = await db.run(`
+      SELECT start_time, end_time, confidence
+      FROM commercial_markers
+      WHERE episode_id = ?
+      ORDER BY start_time
+    `, [episodeId]);
+
+    return markers || [];
+  }
+
+  /**
+   * Chapters of an episode: program parts separated by its commercial segments
+   * @param {Array} markers - From getMarkers
+   * @param {number|null} duration - Episode duration in seconds
+   */
+  buildChapters(markers, duration) {
+    const chapters = [];
+    let position = 0;
+    let part = 1;
+
+    for (const marker of markers) {
+      if (marker.start_time > position) {
+        chapters.push({ title: `Part ${part++}`, kind: 'program', start: position, end: marker.start_time });
+      }
+      chapters.push({ title: 'Commercial break', kind: 'commercial', start: marker.start_time, end: marker.end_time });
+      position = marker.end_time;
+    }
+
+    if (duration && duration > position) {
+      chapters.push({ title: `Part ${part}`, kind: 'program', start: position, end: duration });
+    }
+
+    return chapters;
+  }
+
+  /**
+   * Run queued analyses, one at a time, until the queue is empty
+   * @param {Function} resolveInput - async episodeId => { input, inputType, duration } or null when
+   *   the episode can no longer be analysed
+   * @param {Function} onComplete - Called with (episodeId, markers) after each successful analysis
+   */
+  async processQueue(resolveInput, onComplete = () => {}) {
+    if (this.isProcessing) {
+      return;
+    }
+    this.isProcessing = true;
+
+    try {
+      // Analyses interrupted by a restart start over
+      await db.run("UPDATE commercial_analysis SET state = 'queued', started_at = NULL WHERE state = 'running'");
+
+      let next;
+      while (!this.isStopping && (next = await this.getNextQueued())) {
+        const episodeId = next.episode_id;
+        const target = await resolveInput(episodeId);
+
+        if (!target) {
+          await this.finish(episodeId, 'failed', { error: 'Episode has no playable source' });
+          continue;
+        }
+
+        await db.run(`
+          UPDATE commercial_analysis SET state = 'running', input = ?, started_at = ? WHERE episode_id = ?
+        `, [target.inputType, now(), episodeId]);
+
+        try {
+          const signals = await this.analyze(target.input);
+          const duration = target.duration || signals.duration;
+          const segments = this.findCommercials(signals, duration);
+
+          await db.run('DELETE FROM commercial_markers WHERE episode_id = ?', [episodeId]);
+          for (const segment of segments) {
+            await db.run(`
+              INSERT INTO commercial_markers (episode_id, start_time, end_time, confidence) VALUES (?, ?, ?, ?)
+            `, [episodeId, segment.start_time, segment.end_time, segment.confidence]);
+          }
+
+          await this.finish(episodeId, 'complete', { duration, breakPoints: signals.breakPoints });
+          onComplete(episodeId, segments);
+        } catch (error) {
+          if (this.isStopping) {
+            return; // Left running, so it is queued again on the next start
+          }
+          await this.finish(episodeId, 'failed', { error: error.message });
+        }
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  async getNextQueued() {
+    const rows = await db.run(`
+      SELECT episode_id FROM commercial_analysis
+      WHERE state = 'queued'
+      ORDER BY queued_at, episode_id
+      LIMIT 1
+    `);
+    return rows && rows.length > 0 ? rows[0] : null;
+  }
+
+  async finish(episodeId, state, { duration = null, breakPoints = null, error = null } = {}) {
+    await db.run(`
+      UPDATE commercial_analysis
+      SET state = ?, duration = ?, break_points = ?, error = ?, finished_at = ?
+      WHERE episode_id = ?
+    `, [state, duration, breakPoints, error, now(), episodeId]);
+  }
+
+  /**
+   * Collect black frames, silences and scene changes from an FFmpeg pass
+   * @param {string} input - URL or file FFmpeg can open
+   * @returns {Promise<object>} - { blacks: [{ start, end }], silences: [{ start, end }], scenes: [seconds], duration, breakPoints }
+   */
+  analyze(input) {
+    const args = [
+      '-nostdin',
+      '-i', input,
+      // Detection works as well on a small picture, and decodes much faster
+      '-vf', `scale=320:-2,blackdetect=d=${BLACK_MIN_DURATION}:pix_th=${BLACK_PIXEL_THRESHOLD},` +
+        `select='gt(scene\\,${SCENE_THRESHOLD})',showinfo`,
+      '-af', `silencedetect=n=${SILENCE_NOISE}:d=${SILENCE_MIN_DURATION}`,
+      '-f', 'null',
+      '-'
+    ];
+
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn('ffmpeg', args);
+      const signals = { blacks: [], silences: [], scenes: [], duration: null };
+      let silenceStart = null;
+      let pending = '';
+      let stderrTail = '';
+
+      this.process = ffmpeg;
+
+      const parseLine = (line) => {
+        let match;
+
+        if ((match = line.match(/black_start:([\d.]+) black_end:([\d.]+)/))) {
+          signals.blacks.push({ start: parseFloat(match[1]), end: parseFloat(match[2]) });
+        } else if ((match = line.match(/silence_start: (-?[\d.]+)/))) {
+          silenceStart = Math.max(0, parseFloat(match[1]));
+        } else if ((match = line.match(/silence_end: ([\d.]+)/)) && silenceStart !== null) {
+          signals.silences.push({ start: silenceStart, end: parseFloat(match[1]) });
+          silenceStart = null;
+        } else if (line.includes('Parsed_showinfo') && (match = line.match(/pts_time:([\d.]+)/))) {
+          signals.scenes.push(parseFloat(match[1]));
+        } else if ((match = line.match(/time=(\d+):(\d+):(\d+(?:\.\d+)?)/))) {
+          signals.duration = parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseFloat(match[3]);
+        }
+      };
+
+      ffmpeg.stderr.on('data', (data) => {
+        const output = data.toString();
+        stderrTail = (stderrTail + output).slice(-1000);
+
+        // Progress lines end in \r, log lines in \n
+        const lines = (pending + output).split(/[\r\n]/);
+        pending = lines.pop();
+        lines.forEach(parseLine);
+      });
+
+      ffmpeg.on('error', (error) => {
+        this.process = null;
+        reject(error);
+      });
+
+      ffmpeg.on('close', (code) => {
+        this.process = null;
+        parseLine(pending);
+
+        if (code !== 0) {
+          const lastLine = stderrTail.trim().split('\n').pop();
+          return reject(new Error(`FFmpeg exited with code ${code}${lastLine ? `: ${lastLine}` : ''}`));
+        }
+
+        signals.breakPoints = this.findBreakPoints(signals).length;
+        resolve(signals);
+      });
+    });
+  }
+
+  /**
+   * Times (seconds) where the picture goes black while the audio is silent
+   */
+  findBreakPoints({ blacks, silences }) {
+    const points = [];
+
+    for (const black of blacks) {
+      const silent = silences.some(silence =>
+        silence.start <= black.end + POINT_TOLERANCE && silence.end >= black.start - POINT_TOLERANCE);
+      if (!silent) {
+        continue;
+      }
+
+      const time = (black.start + black.end) / 2;
+      // Black frames a moment apart belong to the same transition
+      if (points.length > 0 && time - points[points.length - 1] < 2) {
+        continue;
+      }
+      points.push(time);
+    }
+
+    return points;
+  }
+
+  /**
+   * Commercial segments from collected signals
+   * @returns {Array} - [{ start_time, end_time, confidence }] at or above MIN_CONFIDENCE
+   */
+  findCommercials(signals, duration) {
+    const points = this.findBreakPoints(signals);
+    const averageSceneRate = duration ? signals.scenes.length / duration : 0;
+    const segments = [];
+
+    // Chains of break points spaced like spots
+    const chains = [];
+    let chain = [];
+    for (const point of points) {
+      const gap = chain.length > 0 ? point - chain[chain.length - 1] : null;
+      if (gap !== null && (gap < MIN_SPOT || gap > MAX_SPOT)) {
+        chains.push(chain);
+        chain = [];
+      }
+      chain.push(point);
+    }
+    chains.push(chain);
+
+    for (const breakPoints of chains) {
+      const start = breakPoints[0];
+      const end = breakPoints[breakPoints.length - 1];
+
+      // At least two spots, adding up to a plausible break
+      if (breakPoints.length < 3 || end - start < MIN_BREAK || end - start > MAX_BREAK) {
+        continue;
+      }
+
+      const spots = breakPoints.slice(1).map((point, i) => point - breakPoints[i]);
+      const standardSpots = spots.filter(spot => Math.abs(spot - Math.round(spot / 15) * 15) <= 1.5).length;
+
+      const sceneRate = signals.scenes.filter(time => time >= start && time <= end).length / (end - start);
+      const sceneScore = averageSceneRate > 0 ? Math.min(1, Math.max(0, sceneRate / averageSceneRate - 1)) : 0;
+
+      const confidence = round(0.4 + 0.4 * (standardSpots / spots.length) + 0.2 * sceneScore);
+      if (confidence >= MIN_CONFIDENCE) {
+        segments.push({ start_time: round(start), end_time: round(end), confidence });
+      }
+    }
+
+    return segments;
+  }
+
+  /**
+   * Stop a running analysis (it is queued again on the next start)
+   */
+  stop() {
+    this.isStopping = true;
+    if (this.process) {
+      this.process.kill('SIGTERM');
+    }
+  }
+}
+
+module.exports = new CommercialDetector();
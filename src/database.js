@@ -2,6 +2,12 @@ const db = require('asynqlite');
 const fs = require('fs');
 const path = require('path');
 
+// Line above and below each section header in schema.sql
+const SECTION_RULE = '-- ====';
+
+// Episodes in the trash bin are hidden from every library query (episodes aliased as e)
+const NOT_TRASHED = 'e.id NOT IN (SELECT episode_id FROM episode_trash)';
+
 class HDHomeRunDatabase {
   constructor(dbPath = './tvhdhomerun.db') {
     this.dbPath = dbPath;
@@ -25,6 +31,7 @@ class HDHomeRunDatabase {
     } else {
       // Ensure triggers exist (for databases created before triggers were added)
       await this.ensureTriggersExist();
+      await this.ensureEpisodeColumns();
     }
 
     // Check if guide tables exist, if not create them (auto-migration)
@@ -49,6 +56,105 @@ class HDHomeRunDatabase {
       await this.createLiveTVSchema();
     }
 
+    // Check if viewer profile tables exist, if not create them (auto-migration)
+    const profileTables = await db.run(`
+      SELECT name FROM sqlite_master
+      WHERE type='table' AND name IN ('profiles', 'profile_progress')
+    `);
+
+    if (!profileTables || profileTables.length < 2) {
+      console.log('Profile tables not found, creating profile schema...');
+      await this.createProfileSchema();
+    }
+
+    // Check if full-text search indexes exist, if not create and populate them (auto-migration)
+    const searchTables = await db.run(`
+      SELECT name FROM sqlite_master
+      WHERE type='table' AND name IN ('series_fts', 'episodes_fts', 'guide_programs_fts')
+    `);
+
+    if (!searchTables || searchTables.length < 3) {
+      console.log('Search indexes not found, creating search schema...');
+      await this.createSearchSchema();
+    }
+
+    // Check if retention tables exist, if not create them (auto-migration)
+    const retentionTables = await db.run(`
+      SELECT name FROM sqlite_master
+      WHERE type='table' AND name IN ('retention_rules', 'series_favorites', 'watch_history', 'retention_runs', 'retention_audit')
+    `);
+
+    if (!retentionTables || retentionTables.length < 5) {
+      console.log('Retention tables not found, creating retention schema...');
+      await this.createRetentionSchema();
+    }
+
+    // Check if the trash bin table exists, if not create it (auto-migration)
+    const trashTables = await db.run(`
+      SELECT name FROM sqlite_master
+      WHERE type='table' AND name = 'episode_trash'
+    `);
+
+    if (!trashTables || trashTables.length === 0) {
+      console.log('Trash table not found, creating trash schema...');
+      await this.createTrashSchema();
+    }
+
+    // Check if the change log exists, if not create it (auto-migration)
+    const changeTables = await db.run(`
+      SELECT name FROM sqlite_master
+      WHERE type='table' AND name = 'change_log'
+    `);
+
+    if (!changeTables || changeTables.length === 0) {
+      console.log('Change log not found, creating change log schema...');
+      await this.createChangeLogSchema();
+    }
+
+    // Check if the HLS cache pin table exists, if not create it (auto-migration)
+    const cacheTables = await db.run(`
+      SELECT name FROM sqlite_master
+      WHERE type='table' AND name = 'cache_pins'
+    `);
+
+    if (!cacheTables || cacheTables.length === 0) {
+      console.log('Cache pin table not found, creating cache schema...');
+      await this.createCacheSchema();
+    }
+
+    // Check if the transcode queue exists, if not create it (auto-migration)
+    const queueTables = await db.run(`
+      SELECT name FROM sqlite_master
+      WHERE type='table' AND name = 'transcode_jobs'
+    `);
+
+    if (!queueTables || queueTables.length === 0) {
+      console.log('Transcode queue not found, creating transcode queue schema...');
+      await this.createTranscodeQueueSchema();
+    }
+
+    // Check if the pre-cache policy table exists, if not create it (auto-migration)
+    const preCacheTables = await db.run(`
+      SELECT name FROM sqlite_master
+      WHERE type='table' AND name = 'precache_policies'
+    `);
+
+    if (!preCacheTables || preCacheTables.length === 0) {
+      console.log('Pre-cache policy table not found, creating pre-cache schema...');
+      await this.createPreCacheSchema();
+    }
+
+    // Check if commercial detection tables exist, if not create them (auto-migration)
+    const commercialTables = await db.run(`
+      SELECT name FROM sqlite_master
+      WHERE type='table' AND name IN ('commercial_analysis', 'commercial_markers')
+    `);
+
+    if (!commercialTables || commercialTables.length < 2) {
+      console.log('Commercial detection tables not found, creating commercial detection schema...');
+      await this.createCommercialSchema();
+    }
+
     return db;
   }
 
@@ -130,6 +236,7 @@ class HDHomeRunDatabase {
         cmd_url TEXT,
         resume_position INTEGER DEFAULT 0,
         watched BOOLEAN DEFAULT FALSE,
+        progress_updated_at DATETIME,
         record_success INTEGER DEFAULT 1,
         image_url TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -148,59 +255,7 @@ class HDHomeRunDatabase {
     await db.run(`CREATE INDEX idx_episodes_start_time ON episodes(start_time)`);
 
     // Create triggers to maintain series statistics
-    await db.run(`
-      CREATE TRIGGER update_series_stats_insert
-      AFTER INSERT ON episodes
-      BEGIN
-        UPDATE series SET
-          episode_count = (SELECT COUNT(*) FROM episodes WHERE series_id = NEW.series_id),
-          total_duration = (SELECT COALESCE(SUM(duration), 0) FROM episodes WHERE series_id = NEW.series_id),
-          first_recorded = COALESCE(
-            (SELECT MIN(start_time) FROM episodes WHERE series_id = NEW.series_id),
-            first_recorded
-          ),
-          last_recorded = COALESCE(
-            (SELECT MAX(start_time) FROM episodes WHERE series_id = NEW.series_id),
-            last_recorded
-          ),
-          updated_at = CURRENT_TIMESTAMP
-        WHERE id = NEW.series_id;
-      END
-    `);
-
-    await db.run(`
-      CREATE TRIGGER update_series_stats_update
-      AFTER UPDATE ON episodes
-      BEGIN
-        UPDATE series SET
-          episode_count = (SELECT COUNT(*) FROM episodes WHERE series_id = NEW.series_id),
-          total_duration = (SELECT COALESCE(SUM(duration), 0) FROM episodes WHERE series_id = NEW.series_id),
-          first_recorded = COALESCE(
-            (SELECT MIN(start_time) FROM episodes WHERE series_id = NEW.series_id),
-            first_recorded
-          ),
-          last_recorded = COALESCE(
-            (SELECT MAX(start_time) FROM episodes WHERE series_id = NEW.series_id),
-            last_recorded
-          ),
-          updated_at = CURRENT_TIMESTAMP
-        WHERE id = NEW.series_id;
-      END
-    `);
-
-    await db.run(`
-      CREATE TRIGGER update_series_stats_delete
-      AFTER DELETE ON episodes
-      BEGIN
-        UPDATE series SET
-          episode_count = (SELECT COUNT(*) FROM episodes WHERE series_id = OLD.series_id),
-          total_duration = (SELECT COALESCE(SUM(duration), 0) FROM episodes WHERE series_id = OLD.series_id),
-          first_recorded = (SELECT MIN(start_time) FROM episodes WHERE series_id = OLD.series_id),
-          last_recorded = (SELECT MAX(start_time) FROM episodes WHERE series_id = OLD.series_id),
-          updated_at = CURRENT_TIMESTAMP
-        WHERE id = OLD.series_id;
-      END
-    `);
+    await this.createSeriesStatsTriggers();
 
     console.log('Database schema created successfully.');
   }
@@ -355,6 +410,9 @@ class HDHomeRunDatabase {
     // Extract season and episode numbers from episode number string
     const seasonEpisode = this.parseEpisodeNumber(episodeData.EpisodeNumber);
 
+    // The device reports "no resume point" as 0xFFFFFFFF
+    const resumePosition = episodeData.Resume === 4294967295 ? 0 : episodeData.Resume;
+
     if (existing && existing.length > 0) {
       // Update existing episode
       await db.run(`
@@ -378,6 +436,7 @@ class HDHomeRunDatabase {
           filename = ?,
           play_url = ?,
           cmd_url = ?,
+          progress_updated_at = CASE WHEN COALESCE(resume_position, 0) != ? THEN ? ELSE progress_updated_at END,
           resume_position = ?,
           record_success = ?,
           image_url = ?,
@@ -403,8 +462,10 @@ class HDHomeRunDatabase {
         episodeData.Filename,
         episodeData.PlayURL,
         episodeData.CmdURL,
-        episodeData.Resume === 4294967295 ? 0 : episodeData.Resume,
-        episodeData.RecordSuccess || 1,
+        resumePosition,
+        now,
+        resumePosition,
+        episodeData.RecordSuccess ?? 1, // 0 marks a failed recording
         episodeData.ImageURL,
         now,
         existing[0].id
@@ -419,9 +480,9 @@ class HDHomeRunDatabase {
           season_number, episode_num, synopsis, category, channel_name,
           channel_number, channel_image_url, start_time, end_time,
           original_airdate, record_start_time, record_end_time, first_airing,
-          filename, play_url, cmd_url, resume_position, record_success,
+          filename, play_url, cmd_url, resume_position, progress_updated_at, record_success,
           image_url, created_at, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
         seriesDbId,
         episodeData.ProgramID,
@@ -444,8 +505,9 @@ class HDHomeRunDatabase {
         episodeData.Filename,
         episodeData.PlayURL,
         episodeData.CmdURL,
-        episodeData.Resume === 4294967295 ? 0 : episodeData.Resume,
-        episodeData.RecordSuccess || 1,
+        resumePosition,
+        resumePosition ? now : null,
+        episodeData.RecordSuccess ?? 1, // 0 marks a failed recording
         episodeData.ImageURL,
         now,
         now
@@ -473,11 +535,26 @@ class HDHomeRunDatabase {
     return { season: null, episode: null };
   }
 
+  async getSeriesUpdateIds(deviceId) {
+    // UpdateID of each series stored for a device (by HDHomeRun Device ID), for incremental sync
+    const rows = await db.run(`
+      SELECT s.series_id, s.update_id
+      FROM series s
+      JOIN devices d ON s.device_id = d.id
+      WHERE d.device_id = ? AND s.update_id IS NOT NULL
+    `, [deviceId]) || [];
+
+    return new Map(rows.map(row => [row.series_id, row.update_id]));
+  }
+
   async syncDeviceData(deviceData, shows) {
     console.log(`Syncing data for device: ${deviceData.FriendlyName}`);
     
     // Upsert device
     const deviceDbId = await this.upsertDevice(deviceData);
+
+    // Episode ids are AUTOINCREMENT, so anything above the current maximum is new
+    const maxBefore = await db.run('SELECT COALESCE(MAX(id), 0) as id FROM episodes');
     
     // Sync all series and episodes
     for (const show of shows) {
@@ -519,7 +596,61 @@ class HDHomeRunDatabase {
       }
     }
     
+    const added = await db.run('SELECT id FROM episodes WHERE id > ? ORDER BY id', [maxBefore[0].id]);
+
     console.log(`Sync completed for device: ${deviceData.FriendlyName}`);
+    return { deviceDbId, addedEpisodeIds: (added || []).map(row => row.id) };
+  }
+
+  async findVanishedRecordings(deviceDbId, shows) {
+    // Diff a device's listing against the database. Series missing from the listing
+    // are gone with all their episodes; for series whose episode list was fetched,
+    // episodes missing from it are gone. Series whose episode fetch failed are left alone.
+    const listedSeries = new Map(shows.map(show => [show.seriesID, show]));
+
+    const dbSeries = await db.run(
+      'SELECT id, series_id, title FROM series WHERE device_id = ?',
+      [deviceDbId]
+    ) || [];
+
+    const vanishedSeries = [];
+    const vanishedEpisodes = [];
+
+    for (const series of dbSeries) {
+      const show = listedSeries.get(series.series_id);
+
+      if (show && !show.episodesComplete) {
+        continue;
+      }
+
+      const listedPrograms = new Set(show ? show.episodes.map(episode => episode.programID) : []);
+
+      const episodes = await db.run(`
+        SELECT e.id, e.program_id, e.episode_title, e.episode_number, e.series_id as show_id, s.title as series_title
+        FROM episodes e
+        JOIN series s ON e.series_id = s.id
+        WHERE e.series_id = ?
+      `, [series.id]) || [];
+
+      for (const episode of episodes) {
+        if (!show || (episode.program_id && !listedPrograms.has(episode.program_id))) {
+          vanishedEpisodes.push(episode);
+        }
+      }
+
+      if (!show) {
+        vanishedSeries.push(series);
+      }
+    }
+
+    return { series: vanishedSeries, episodes: vanishedEpisodes };
+  }
+
+  async deleteSeries(seriesDbId) {
+    // Remove a series row once its episodes are gone
+    await db.run('DELETE FROM series WHERE id = ?', [seriesDbId]);
+    console.log(`Series ${seriesDbId} deleted from database`);
+    return true;
   }
 
   async getDeviceStats() {
@@ -531,7 +662,7 @@ class HDHomeRunDatabase {
         SUM(e.duration) as total_duration_seconds
       FROM devices d
       LEFT JOIN series s ON d.id = s.device_id
-      LEFT JOIN episodes e ON s.id = e.series_id
+      LEFT JOIN episodes e ON s.id = e.series_id AND ${NOT_TRASHED}
     `);
 
     if (stats && stats.length > 0) {
@@ -560,6 +691,7 @@ class HDHomeRunDatabase {
         s.last_recorded,
         s.created_at,
         s.updated_at,
+        EXISTS (SELECT 1 FROM series_favorites f WHERE f.series_id = s.series_id) as favorite,
         d.friendly_name as device_name,
         d.ip_address as device_ip
       FROM series s
@@ -585,6 +717,7 @@ class HDHomeRunDatabase {
         s.last_recorded,
         s.created_at,
         s.updated_at,
+        EXISTS (SELECT 1 FROM series_favorites f WHERE f.series_id = s.series_id) as favorite,
         d.friendly_name as device_name,
         d.ip_address as device_ip,
         d.device_id as device_device_id
@@ -632,14 +765,17 @@ class HDHomeRunDatabase {
         s.title as series_title
       FROM episodes e
       JOIN series s ON e.series_id = s.id
-      WHERE s.id = ? OR s.series_id = ?
+      WHERE (s.id = ? OR s.series_id = ?) AND ${NOT_TRASHED}
       ORDER BY e.start_time DESC
     `, [seriesId, seriesId]);
 
     return episodes || [];
   }
 
-  async getEpisodeById(episodeId) {
+  async getEpisodeById(episodeId, options = {}) {
+    // Trashed episodes are only returned when asked for (trash bin and purge)
+    const { includeTrashed = false } = options;
+
     const episodes = await db.run(`
       SELECT
         e.id,
@@ -675,11 +811,15 @@ class HDHomeRunDatabase {
         d.id as device_id,
         d.device_id as device_device_id,
         d.friendly_name as device_name,
-        d.ip_address as device_ip
+        d.ip_address as device_ip,
+        t.trashed_at,
+        t.rerecord as trash_rerecord
       FROM episodes e
       JOIN series s ON e.series_id = s.id
       JOIN devices d ON s.device_id = d.id
-      WHERE e.id = ? OR e.program_id = ?
+      LEFT JOIN episode_trash t ON t.episode_id = e.id
+      WHERE (e.id = ? OR e.program_id = ?)
+        ${includeTrashed ? '' : 'AND t.episode_id IS NULL'}
     `, [episodeId, episodeId]);
 
     return episodes && episodes.length > 0 ? episodes[0] : null;
@@ -712,6 +852,7 @@ class HDHomeRunDatabase {
       FROM episodes e
       JOIN series s ON e.series_id = s.id
       JOIN devices d ON s.device_id = d.id
+      WHERE ${NOT_TRASHED}
       ORDER BY e.created_at DESC
       LIMIT ?
     `, [limit]);
@@ -719,6 +860,109 @@ class HDHomeRunDatabase {
     return episodes || [];
   }
 
+  async getInProgressEpisodes(profileId = null, limit = 20) {
+    // Same rule as in_progress_count in the series_summary view:
+    // started (resume_position > 0) but not yet watched
+    const progressJoin = profileId
+      ? 'JOIN profile_progress p ON p.episode_id = e.id AND p.profile_id = ?'
+      : '';
+    const p = profileId ? 'p' : 'e';
+    // Most recently watched first (episodes.updated_at changes with every device sync)
+    const progressTime = profileId ? 'p.updated_at' : 'e.progress_updated_at';
+
+    const episodes = await db.run(`
+      SELECT
+        e.id,
+        e.program_id,
+        e.title,
+        e.episode_title,
+        e.episode_number,
+        e.season_number,
+        e.episode_num,
+        e.synopsis,
+        e.category,
+        e.channel_name,
+        e.channel_number,
+        e.start_time,
+        e.end_time,
+        e.duration,
+        e.original_airdate,
+        e.filename,
+        e.play_url,
+        e.image_url,
+        COALESCE(${p}.resume_position, 0) as resume_position,
+        COALESCE(${p}.watched, 0) as watched,
+        ${progressTime} as progress_updated_at,
+        e.created_at,
+        s.id as show_id,
+        s.series_id,
+        s.title as series_title,
+        s.image_url as series_image,
+        d.friendly_name as device_name
+      FROM episodes e
+      ${progressJoin}
+      JOIN series s ON e.series_id = s.id
+      JOIN devices d ON s.device_id = d.id
+      WHERE COALESCE(${p}.resume_position, 0) > 0 AND NOT COALESCE(${p}.watched, 0)
+        AND ${NOT_TRASHED}
+      ORDER BY ${progressTime} DESC
+      LIMIT ?
+    `, profileId ? [profileId, limit] : [limit]);
+
+    return episodes || [];
+  }
+
+  compareEpisodeOrder(a, b) {
+    // Playback order: numbered episodes by season/episode, then unnumbered episodes by
+    // original air date (else broadcast time); broadcast time breaks remaining ties.
+    // Comparing the same keys for every pair keeps the order consistent, whatever order
+    // episodes come in.
+    const keys = episode => {
+      const known = value => value !== null && value !== undefined;
+      const numbered = known(episode.season_number) && known(episode.episode_num);
+      return [
+        numbered ? 0 : 1,
+        numbered ? episode.season_number : 0,
+        numbered ? episode.episode_num : 0,
+        episode.original_airdate || episode.start_time || 0,
+        episode.start_time || 0
+      ];
+    };
+
+    const aKeys = keys(a);
+    const bKeys = keys(b);
+    for (let i = 0; i < aKeys.length; i++) {
+      if (aKeys[i] !== bKeys[i]) {
+        return aKeys[i] < bKeys[i] ? -1 : 1;
+      }
+    }
+    return 0;
+  }
+
+  async getNextEpisode(seriesId, profileId = null) {
+    // Next unwatched episode after the furthest watched one in playback order.
+    // If everything after it is watched, fall back to the earliest unwatched episode.
+    let episodes = await this.getEpisodesBySeriesId(seriesId);
+    episodes = await this.applyProfileProgress(profileId, episodes);
+    episodes.sort((a, b) => this.compareEpisodeOrder(a, b));
+
+    let lastWatchedIndex = -1;
+    episodes.forEach((episode, index) => {
+      if (episode.watched) {
+        lastWatchedIndex = index;
+      }
+    });
+
+    const unwatched = episodes.filter(e => !e.watched);
+    const next = episodes.slice(lastWatchedIndex + 1).find(e => !e.watched) || unwatched[0] || null;
+
+    return {
+      episode: next,
+      remaining: unwatched.length,
+      total: episodes.length
+    };
+  }
+
   async getAllEpisodes() {
     const episodes = await db.run(`
       SELECT
@@ -749,6 +993,7 @@ class HDHomeRunDatabase {
       FROM episodes e
       JOIN series s ON e.series_id = s.id
       JOIN devices d ON s.device_id = d.id
+      WHERE ${NOT_TRASHED}
       ORDER BY e.created_at DESC
     `);
 
@@ -765,6 +1010,7 @@ class HDHomeRunDatabase {
         s.image_url,
         s.episode_count,
         s.total_duration,
+        EXISTS (SELECT 1 FROM series_favorites f WHERE f.series_id = s.series_id) as favorite,
         d.friendly_name as device_name
       FROM series s
       JOIN devices d ON s.device_id = d.id
@@ -775,6 +1021,77 @@ class HDHomeRunDatabase {
     return series || [];
   }
 
+  buildFtsQuery(query) {
+    // Turn free text into a safe FTS5 query: every word must match, as a prefix.
+    // Quoting each term keeps FTS5 operators and punctuation in user input inert.
+    const terms = String(query || '').match(/[\p{L}\p{N}]+/gu) || [];
+    return terms.map(term => `"${term}"*`).join(' ');
+  }
+
+  async searchSeriesFullText(ftsQuery, limit = 20) {
+    const series = await db.run(`
+      SELECT
+        s.id,
+        s.series_id,
+        s.title,
+        s.category,
+        s.image_url,
+        s.episode_count,
+        s.total_duration,
+        s.first_recorded,
+        s.last_recorded,
+        d.friendly_name as device_name,
+        bm25(series_fts) as rank
+      FROM series_fts
+      JOIN series s ON s.id = series_fts.rowid
+      JOIN devices d ON s.device_id = d.id
+      WHERE series_fts MATCH ?
+      ORDER BY rank
+      LIMIT ?
+    `, [ftsQuery, limit]);
+
+    return series || [];
+  }
+
+  async searchEpisodesFullText(ftsQuery, limit = 20) {
+    // Title matches outweigh episode title matches, which outweigh synopsis matches
+    const episodes = await db.run(`
+      SELECT
+        e.id,
+        e.program_id,
+        e.title,
+        e.episode_title,
+        e.episode_number,
+        e.season_number,
+        e.episode_num,
+        e.synopsis,
+        e.category,
+        e.channel_name,
+        e.channel_number,
+        e.start_time,
+        e.end_time,
+        e.duration,
+        e.original_airdate,
+        e.play_url,
+        COALESCE(e.resume_position, 0) as resume_position,
+        COALESCE(e.watched, 0) as watched,
+        s.id as show_id,
+        s.series_id,
+        s.title as series_title,
+        s.image_url as series_image,
+        snippet(episodes_fts, 2, '[', ']', '…', 12) as snippet,
+        bm25(episodes_fts, 10.0, 5.0, 1.0) as rank
+      FROM episodes_fts
+      JOIN episodes e ON e.id = episodes_fts.rowid
+      JOIN series s ON e.series_id = s.id
+      WHERE episodes_fts MATCH ? AND ${NOT_TRASHED}
+      ORDER BY rank
+      LIMIT ?
+    `, [ftsQuery, limit]);
+
+    return episodes || [];
+  }
+
   async getApiStats() {
     const stats = await db.run(`
       SELECT
@@ -785,7 +1102,7 @@ class HDHomeRunDatabase {
         MAX(e.created_at) as last_updated
       FROM devices d
       LEFT JOIN series s ON d.id = s.device_id
-      LEFT JOIN episodes e ON s.id = e.series_id
+      LEFT JOIN episodes e ON s.id = e.series_id AND ${NOT_TRASHED}
     `);
 
     if (stats && stats.length > 0) {
@@ -810,9 +1127,10 @@ class HDHomeRunDatabase {
       SET
         resume_position = ?,
         watched = ?,
+        progress_updated_at = ?,
         updated_at = ?
       WHERE id = ?
-    `, [position, watched ? 1 : 0, now, episodeId]);
+    `, [position, watched ? 1 : 0, now, now, episodeId]);
 
     // Return the updated episode
     return await this.getEpisodeById(episodeId);
@@ -821,7 +1139,7 @@ class HDHomeRunDatabase {
   async ensureTriggersExist() {
     // Check if triggers exist
     const triggers = await db.run(`
-      SELECT name FROM sqlite_master
+      SELECT name, sql FROM sqlite_master
       WHERE type='trigger' AND name IN (
         'update_series_stats_insert',
         'update_series_stats_update',
@@ -829,8 +1147,11 @@ class HDHomeRunDatabase {
       )
     `);
 
-    // If any triggers are missing, drop all and recreate
-    if (!triggers || triggers.length < 3) {
+    // Triggers from before the trash bin count trashed episodes in series statistics
+    const outdated = (triggers || []).some(trigger => !trigger.sql.includes('episode_trash'));
+
+    // If any triggers are missing or outdated, drop all and recreate
+    if (!triggers || triggers.length < 3 || outdated) {
       console.log('Triggers missing or incomplete, creating them...');
 
       // Drop existing triggers if any
@@ -838,81 +1159,46 @@ class HDHomeRunDatabase {
       await db.run(`DROP TRIGGER IF EXISTS update_series_stats_update`);
       await db.run(`DROP TRIGGER IF EXISTS update_series_stats_delete`);
 
-      // Create triggers
-      await db.run(`
-        CREATE TRIGGER update_series_stats_insert
-        AFTER INSERT ON episodes
-        BEGIN
-          UPDATE series SET
-            episode_count = (SELECT COUNT(*) FROM episodes WHERE series_id = NEW.series_id),
-            total_duration = (SELECT COALESCE(SUM(duration), 0) FROM episodes WHERE series_id = NEW.series_id),
-            first_recorded = COALESCE(
-              (SELECT MIN(start_time) FROM episodes WHERE series_id = NEW.series_id),
-              first_recorded
-            ),
-            last_recorded = COALESCE(
-              (SELECT MAX(start_time) FROM episodes WHERE series_id = NEW.series_id),
-              last_recorded
-            ),
-            updated_at = CURRENT_TIMESTAMP
-          WHERE id = NEW.series_id;
-        END
-      `);
+      await this.createSeriesStatsTriggers();
+      console.log('Triggers created successfully');
+    }
+  }
 
-      await db.run(`
-        CREATE TRIGGER update_series_stats_update
-        AFTER UPDATE ON episodes
-        BEGIN
-          UPDATE series SET
-            episode_count = (SELECT COUNT(*) FROM episodes WHERE series_id = NEW.series_id),
-            total_duration = (SELECT COALESCE(SUM(duration), 0) FROM episodes WHERE series_id = NEW.series_id),
-            first_recorded = COALESCE(
-              (SELECT MIN(start_time) FROM episodes WHERE series_id = NEW.series_id),
-              first_recorded
-            ),
-            last_recorded = COALESCE(
-              (SELECT MAX(start_time) FROM episodes WHERE series_id = NEW.series_id),
-              last_recorded
-            ),
-            updated_at = CURRENT_TIMESTAMP
-          WHERE id = NEW.series_id;
-        END
-      `);
+  async ensureEpisodeColumns() {
+    // Databases from before continue watching was ordered by progress changes
+    const columns = await db.run(`PRAGMA table_info(episodes)`) || [];
 
+    if (!columns.some(column => column.name === 'progress_updated_at')) {
+      console.log('Adding progress_updated_at to episodes...');
+      await db.run(`ALTER TABLE episodes ADD COLUMN progress_updated_at DATETIME`);
       await db.run(`
-        CREATE TRIGGER update_series_stats_delete
-        AFTER DELETE ON episodes
-        BEGIN
-          UPDATE series SET
-            episode_count = (SELECT COUNT(*) FROM episodes WHERE series_id = OLD.series_id),
-            total_duration = (SELECT COALESCE(SUM(duration), 0) FROM episodes WHERE series_id = OLD.series_id),
-            first_recorded = (SELECT MIN(start_time) FROM episodes WHERE series_id = OLD.series_id),
-            last_recorded = (SELECT MAX(start_time) FROM episodes WHERE series_id = OLD.series_id),
-            updated_at = CURRENT_TIMESTAMP
-          WHERE id = OLD.series_id;
-        END
+        UPDATE episodes SET progress_updated_at = updated_at
+        WHERE resume_position > 0 OR watched
       `);
-
-      console.log('Triggers created successfully');
     }
   }
 
+  async createSeriesStatsTriggers() {
+    // Series statistics triggers, as defined in schema.sql
+    return this.execSchemaSection('-- Series Statistics Triggers', 'Series statistics trigger');
+  }
+
   async recalculateSeriesStats() {
     // Recalculate statistics for all series
     // Useful for fixing existing databases or after adding triggers
     await db.run(`
       UPDATE series SET
         episode_count = (
-          SELECT COUNT(*) FROM episodes WHERE series_id = series.id
+          SELECT COUNT(*) FROM episodes WHERE series_id = series.id AND id NOT IN (SELECT episode_id FROM episode_trash)
         ),
         total_duration = (
-          SELECT COALESCE(SUM(duration), 0) FROM episodes WHERE series_id = series.id
+          SELECT COALESCE(SUM(duration), 0) FROM episodes WHERE series_id = series.id AND id NOT IN (SELECT episode_id FROM episode_trash)
         ),
         first_recorded = (
-          SELECT MIN(start_time) FROM episodes WHERE series_id = series.id
+          SELECT MIN(start_time) FROM episodes WHERE series_id = series.id AND id NOT IN (SELECT episode_id FROM episode_trash)
         ),
         last_recorded = (
-          SELECT MAX(start_time) FROM episodes WHERE series_id = series.id
+          SELECT MAX(start_time) FROM episodes WHERE series_id = series.id AND id NOT IN (SELECT episode_id FROM episode_trash)
         ),
         updated_at = CURRENT_TIMESTAMP
     `);
@@ -923,6 +1209,11 @@ class HDHomeRunDatabase {
   async deleteEpisode(episodeId) {
     // Delete an episode from the database
     // Note: Triggers will automatically update series statistics
+    await db.run(`DELETE FROM profile_progress WHERE episode_id = ?`, [episodeId]);
+    await db.run(`DELETE FROM episode_trash WHERE episode_id = ?`, [episodeId]);
+    await db.run(`DELETE FROM commercial_markers WHERE episode_id = ?`, [episodeId]);
+    await db.run(`DELETE FROM commercial_analysis WHERE episode_id = ?`, [episodeId]);
+    await db.run(`DELETE FROM transcode_jobs WHERE episode_id = ?`, [episodeId]);
     await db.run(`DELETE FROM episodes WHERE id = ?`, [episodeId]);
     console.log(`Episode ${episodeId} deleted from database`);
     return true;
@@ -930,19 +1221,75 @@ class HDHomeRunDatabase {
 
   async createGuideSchema() {
     // Create guide and recording rules tables using native SQLite exec
+    return this.execSchemaSection('-- Program Guide and Recording Rules Tables', 'Guide');
+  }
+
+  async createLiveTVSchema() {
+    // Create live TV streaming tables using native SQLite exec
+    return this.execSchemaSection('-- Live TV Streaming Tables', 'Live TV');
+  }
+
+  async createProfileSchema() {
+    // Create viewer profile tables using native SQLite exec
+    return this.execSchemaSection('-- Viewer Profile Tables', 'Profile');
+  }
+
+  async createSearchSchema() {
+    // Create FTS5 search indexes and their maintenance triggers using native SQLite exec
+    return this.execSchemaSection('-- Full-Text Search Indexes', 'Search');
+  }
+
+  async createRetentionSchema() {
+    // Create retention rule, favorite, watch history and audit tables using native SQLite exec
+    return this.execSchemaSection('-- Retention Policy Tables', 'Retention');
+  }
+
+  async createTrashSchema() {
+    // Create the episode trash bin table and its statistics triggers using native SQLite exec
+    return this.execSchemaSection('-- Trash Bin Tables', 'Trash');
+  }
+
+  async createChangeLogSchema() {
+    // Create the change log table and its triggers using native SQLite exec
+    return this.execSchemaSection('-- Change Log Tables', 'Change log');
+  }
+
+  async createCacheSchema() {
+    // Create the HLS cache pin table using native SQLite exec
+    return this.execSchemaSection('-- HLS Cache Tables', 'Cache');
+  }
+
+  async createTranscodeQueueSchema() {
+    // Create the persistent transcode job table using native SQLite exec
+    return this.execSchemaSection('-- Transcode Queue Tables', 'Transcode queue');
+  }
+
+  async createPreCacheSchema() {
+    // Create the pre-cache policy table (with the default policy) using native SQLite exec
+    return this.execSchemaSection('-- Pre-cache Policy Tables', 'Pre-cache');
+  }
+
+  async createCommercialSchema() {
+    // Create the commercial analysis job and marker tables using native SQLite exec
+    return this.execSchemaSection('-- Commercial Detection Tables', 'Commercial detection');
+  }
+
+  async execSchemaSection(sectionHeader, label) {
+    // Run the section of schema.sql under the given header, up to the next section.
+    // Sections seed data (search index rebuilds, the default pre-cache policy), so
+    // they must only run when their own tables are created.
     const schemaPath = path.join(__dirname, '..', 'schema.sql');
     const fullSchema = fs.readFileSync(schemaPath, 'utf-8');
 
-    // Extract the guide schema section
-    const guideSchemaMatch = fullSchema.match(
-      /-- Program Guide and Recording Rules Tables[\s\S]*$/
-    );
-
-    if (!guideSchemaMatch) {
-      throw new Error('Could not find guide schema in schema.sql');
+    const start = fullSchema.indexOf(sectionHeader);
+    if (start === -1) {
+      throw new Error(`Could not find ${label.toLowerCase()} schema in schema.sql`);
     }
 
-    const guideSchema = guideSchemaMatch[0];
+    // Each header sits between two rules; the next section starts at its first rule
+    const headerRule = fullSchema.indexOf(SECTION_RULE, start);
+    const end = headerRule === -1 ? -1 : fullSchema.indexOf(SECTION_RULE, fullSchema.indexOf('\n', headerRule));
+    const sectionSchema = fullSchema.slice(start, end === -1 ? undefined : end);
 
     // Use sqlite3 directly for batch execution (handles statement ordering)
     const sqlite3 = require('sqlite3').verbose();
@@ -955,19 +1302,19 @@ class HDHomeRunDatabase {
           return;
         }
 
-        sqliteDb.exec(guideSchema, (err) => {
+        sqliteDb.exec(sectionSchema, (err) => {
           sqliteDb.close();
 
           if (err) {
             // Ignore "table already exists" errors
             if (err.message.includes('already exists')) {
-              console.log('Guide schema already exists (some tables present)');
+              console.log(`${label} schema already exists (some tables present)`);
               resolve();
             } else {
               reject(err);
             }
           } else {
-            console.log('Guide schema created successfully');
+            console.log(`${label} schema created successfully`);
             resolve();
           }
         });
@@ -975,51 +1322,354 @@ class HDHomeRunDatabase {
     });
   }
 
-  async createLiveTVSchema() {
-    // Create live TV streaming tables using native SQLite exec
-    const schemaPath = path.join(__dirname, '..', 'schema.sql');
-    const fullSchema = fs.readFileSync(schemaPath, 'utf-8');
+  async getAllProfiles() {
+    const profiles = await db.run(`
+      SELECT
+        p.id,
+        p.name,
+        p.relay_progress,
+        p.created_at,
+        p.updated_at,
+        COUNT(pp.episode_id) as progress_count
+      FROM profiles p
+      LEFT JOIN profile_progress pp ON pp.profile_id = p.id
+      GROUP BY p.id
+      ORDER BY p.name
+    `);
 
-    // Extract the live TV schema section
-    const liveTVSchemaMatch = fullSchema.match(
-      /-- Live TV Streaming Tables[\s\S]*$/
+    return profiles || [];
+  }
+
+  async getProfile(profileRef) {
+    // Profiles can be referenced by numeric ID or by name; names are never numeric
+    const byId = /^\d+$/.test(String(profileRef));
+    const profiles = await db.run(`
+      SELECT id, name, relay_progress, created_at, updated_at
+      FROM profiles
+      WHERE ${byId ? 'id' : 'name'} = ?
+    `, [profileRef]);
+
+    return profiles && profiles.length > 0 ? profiles[0] : null;
+  }
+
+  async createProfile(name, relayProgress = false) {
+    const now = new Date().toISOString();
+
+    await db.run(`
+      INSERT INTO profiles (name, relay_progress, created_at, updated_at)
+      VALUES (?, ?, ?, ?)
+    `, [name, relayProgress ? 1 : 0, now, now]);
+
+    return await this.getProfile(name);
+  }
+
+  async updateProfile(profileId, updates) {
+    const now = new Date().toISOString();
+
+    await db.run(`
+      UPDATE profiles SET
+        name = COALESCE(?, name),
+        relay_progress = COALESCE(?, relay_progress),
+        updated_at = ?
+      WHERE id = ?
+    `, [
+      updates.name !== undefined ? updates.name : null,
+      updates.relayProgress !== undefined ? (updates.relayProgress ? 1 : 0) : null,
+      now,
+      profileId
+    ]);
+
+    return await this.getProfile(profileId);
+  }
+
+  async deleteProfile(profileId) {
+    // Remove progress explicitly; foreign key cascades depend on the connection's PRAGMA
+    await db.run(`DELETE FROM profile_progress WHERE profile_id = ?`, [profileId]);
+    await db.run(`DELETE FROM profiles WHERE id = ?`, [profileId]);
+    console.log(`Profile ${profileId} deleted from database`);
+    return true;
+  }
+
+  async updateProfileProgress(profileId, episodeId, position, watched) {
+    const now = new Date().toISOString();
+
+    await db.run(`
+      INSERT INTO profile_progress (profile_id, episode_id, resume_position, watched, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(profile_id, episode_id) DO UPDATE SET
+        resume_position = excluded.resume_position,
+        watched = excluded.watched,
+        updated_at = excluded.updated_at
+    `, [profileId, episodeId, position, watched ? 1 : 0, now]);
+  }
+
+  async applyProfileProgress(profileId, episodes) {
+    // Replace the shared resume_position/watched values with the profile's own.
+    // Episodes the profile has never touched start from the beginning, unwatched.
+    if (!profileId || episodes.length === 0) {
+      return episodes;
+    }
+
+    const rows = await db.run(`
+      SELECT episode_id, resume_position, watched
+      FROM profile_progress
+      WHERE profile_id = ?
+    `, [profileId]);
+
+    const progress = new Map((rows || []).map(row => [row.episode_id, row]));
+
+    return episodes.map(episode => {
+      const entry = progress.get(episode.id);
+      return {
+        ...episode,
+        resume_position: entry ? entry.resume_position : 0,
+        watched: entry ? entry.watched : 0
+      };
+    });
+  }
+
+  async trashEpisode(episodeId, rerecord = false) {
+    // Hide an episode from the library until it is restored or purged
+    await db.run(`
+      INSERT OR REPLACE INTO episode_trash (episode_id, rerecord, trashed_at)
+      VALUES (?, ?, ?)
+    `, [episodeId, rerecord ? 1 : 0, Math.floor(Date.now() / 1000)]);
+    console.log(`Episode ${episodeId} moved to trash`);
+    return true;
+  }
+
+  async restoreEpisode(episodeId) {
+    const trashed = await db.run('SELECT episode_id FROM episode_trash WHERE episode_id = ?', [episodeId]);
+    if (!trashed || trashed.length === 0) {
+      return false;
+    }
+
+    await db.run('DELETE FROM episode_trash WHERE episode_id = ?', [episodeId]);
+    console.log(`Episode ${episodeId} restored from trash`);
+    return true;
+  }
+
+  async getTrashedEpisodes(trashedBefore = null) {
+    // All trashed episodes, or only those trashed at or before the given Unix timestamp
+    const episodes = await db.run(`
+      SELECT
+        e.id,
+        e.program_id,
+        e.title,
+        e.episode_title,
+        e.episode_number,
+        e.start_time,
+        e.end_time,
+        e.duration,
+        e.cmd_url,
+        e.image_url,
+        s.id as show_id,
+        s.series_id,
+        s.title as series_title,
+        s.image_url as series_image,
+        t.rerecord,
+        t.trashed_at
+      FROM episode_trash t
+      JOIN episodes e ON e.id = t.episode_id
+      JOIN series s ON e.series_id = s.id
+      ${trashedBefore !== null ? 'WHERE t.trashed_at <= ?' : ''}
+      ORDER BY t.trashed_at DESC
+    `, trashedBefore !== null ? [trashedBefore] : []);
+
+    return episodes || [];
+  }
+
+  async getChangeCursor() {
+    // Latest cursor handed out (AUTOINCREMENT never reuses ids, even after pruning)
+    const rows = await db.run(`SELECT seq FROM sqlite_sequence WHERE name = 'change_log'`);
+    return rows && rows.length > 0 ? rows[0].seq : 0;
+  }
+
+  async getChanges(since, options = {}) {
+    // Net library changes after the given cursor. Only the shared progress is
+    // reported unless a profile is given, in which case its own changes are included.
+    const { profileId = null, limit = 500 } = options;
+
+    const cursor = await this.getChangeCursor();
+    const oldest = await db.run('SELECT MIN(id) as id FROM change_log');
+    const firstAvailable = oldest && oldest[0].id !== null ? oldest[0].id : cursor + 1;
+
+    // A client without a cursor, with a pruned cursor, or with a cursor from
+    // another database has to download the full library again
+    if (!since || since < firstAvailable - 1 || since > cursor) {
+      return { cursor, reset: true, hasMore: false, series: null, episodes: null };
+    }
+
+    const rows = await db.run(`
+      SELECT id, entity_type, entity_id, action
+      FROM change_log
+      WHERE id > ? AND (profile_id IS NULL OR profile_id = ?)
+      ORDER BY id
+      LIMIT ?
+    `, [since, profileId, limit + 1]) || [];
+
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    const nextCursor = hasMore ? page[page.length - 1].id : cursor;
+
+    // First action per entity decides whether the client already had it
+    const firstActions = { series: new Map(), episode: new Map() };
+    for (const row of page) {
+      const actions = firstActions[row.entity_type];
+      if (actions && !actions.has(row.entity_id)) {
+        actions.set(row.entity_id, row.action);
+      }
+    }
+
+    const seriesRows = await this.getSeriesByIds([...firstActions.series.keys()]);
+    const episodeRows = await this.applyProfileProgress(
+      profileId,
+      await this.getEpisodesByIds([...firstActions.episode.keys()])
     );
 
-    if (!liveTVSchemaMatch) {
-      throw new Error('Could not find live TV schema in schema.sql');
+    return {
+      cursor: nextCursor,
+      reset: false,
+      hasMore,
+      series: this.classifyChanges(firstActions.series, seriesRows),
+      episodes: this.classifyChanges(firstActions.episode, episodeRows)
+    };
+  }
+
+  classifyChanges(firstActions, currentRows) {
+    const current = new Map(currentRows.map(row => [row.id, row]));
+    const result = { added: [], updated: [], removed: [] };
+
+    for (const [id, firstAction] of firstActions) {
+      const row = current.get(id);
+      if (row) {
+        result[firstAction === 'added' ? 'added' : 'updated'].push(row);
+      } else if (firstAction !== 'added') {
+        // Rows added and removed again since the cursor were never seen by the client
+        result.removed.push(id);
+      }
     }
 
-    const liveTVSchema = liveTVSchemaMatch[0];
+    return result;
+  }
 
-    // Use sqlite3 directly for batch execution (handles statement ordering)
-    const sqlite3 = require('sqlite3').verbose();
-    const dbPath = this.dbPath;
+  async getSeriesByIds(ids) {
+    if (ids.length === 0) {
+      return [];
+    }
 
-    return new Promise((resolve, reject) => {
-      const sqliteDb = new sqlite3.Database(dbPath, (err) => {
-        if (err) {
-          reject(err);
-          return;
-        }
+    const series = await db.run(`
+      SELECT
+        s.id,
+        s.series_id,
+        s.title,
+        s.category,
+        s.image_url,
+        s.episode_count,
+        s.total_duration,
+        s.first_recorded,
+        s.last_recorded,
+        s.created_at,
+        s.updated_at,
+        EXISTS (SELECT 1 FROM series_favorites f WHERE f.series_id = s.series_id) as favorite,
+        d.friendly_name as device_name,
+        d.ip_address as device_ip
+      FROM series s
+      JOIN devices d ON s.device_id = d.id
+      WHERE s.id IN (${ids.map(() => '?').join(', ')})
+    `, ids);
 
-        sqliteDb.exec(liveTVSchema, (err) => {
-          sqliteDb.close();
+    return series || [];
+  }
 
-          if (err) {
-            // Ignore "table already exists" errors
-            if (err.message.includes('already exists')) {
-              console.log('Live TV schema already exists (some tables present)');
-              resolve();
-            } else {
-              reject(err);
-            }
-          } else {
-            console.log('Live TV schema created successfully');
-            resolve();
-          }
-        });
-      });
-    });
+  async getEpisodesByIds(ids) {
+    if (ids.length === 0) {
+      return [];
+    }
+
+    // Stay well below SQLite's bound parameter limit
+    if (ids.length > 500) {
+      const first = await this.getEpisodesByIds(ids.slice(0, 500));
+      return first.concat(await this.getEpisodesByIds(ids.slice(500)));
+    }
+
+    const episodes = await db.run(`
+      SELECT
+        e.id,
+        e.program_id,
+        e.title,
+        e.episode_title,
+        e.episode_number,
+        e.season_number,
+        e.episode_num,
+        e.synopsis,
+        e.category,
+        e.channel_name,
+        e.channel_number,
+        e.channel_image_url,
+        e.start_time,
+        e.end_time,
+        e.duration,
+        e.original_airdate,
+        e.filename,
+        e.file_size,
+        e.play_url,
+        COALESCE(e.resume_position, 0) as resume_position,
+        COALESCE(e.watched, 0) as watched,
+        e.record_success,
+        e.image_url,
+        e.created_at,
+        e.updated_at,
+        s.id as show_id,
+        s.series_id,
+        s.title as series_title
+      FROM episodes e
+      JOIN series s ON e.series_id = s.id
+      WHERE e.id IN (${ids.map(() => '?').join(', ')}) AND ${NOT_TRASHED}
+    `, ids);
+
+    return episodes || [];
+  }
+
+  async setCachePin(seriesId, pinned) {
+    // Pin or unpin a series (by HDHomeRun Series ID) in the HLS cache
+    if (pinned) {
+      await db.run('INSERT OR IGNORE INTO cache_pins (series_id) VALUES (?)', [seriesId]);
+    } else {
+      await db.run('DELETE FROM cache_pins WHERE series_id = ?', [seriesId]);
+    }
+    return pinned;
+  }
+
+  async getCachePins() {
+    const pins = await db.run(`
+      SELECT
+        p.series_id,
+        p.created_at,
+        (SELECT title FROM series WHERE series_id = p.series_id LIMIT 1) as title
+      FROM cache_pins p
+      ORDER BY title
+    `);
+
+    return pins || [];
+  }
+
+  async getPinnedEpisodeIds() {
+    // Episode ids (as HLS cache directory names) of every pinned series, on any device
+    const rows = await db.run(`
+      SELECT e.id
+      FROM episodes e
+      JOIN series s ON e.series_id = s.id
+      WHERE s.series_id IN (SELECT series_id FROM cache_pins) AND ${NOT_TRASHED}
+    `) || [];
+
+    return new Set(rows.map(row => String(row.id)));
+  }
+
+  async pruneChangeLog(maxAgeDays = 30) {
+    // Clients whose cursor falls before the oldest remaining entry are told to resync
+    const cutoff = Math.floor(Date.now() / 1000) - maxAgeDays * 24 * 60 * 60;
+    await db.run('DELETE FROM change_log WHERE changed_at < ?', [cutoff]);
   }
 
   async close() {
@@ -1030,4 +1680,6 @@ class HDHomeRunDatabase {
   }
 }
 
+HDHomeRunDatabase.NOT_TRASHED = NOT_TRASHED;
+
 module.exports = HDHomeRunDatabase;
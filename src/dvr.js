@@ -1,84 +1,109 @@
 const axios = require('axios');
 
+/**
+ * Map over items running at most `limit` async calls at once, preserving order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(Math.max(limit, 1), items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return results;
+}
+
 class HDHomeRunDVR {
   constructor(device) {
     this.device = device;
     this.baseUrl = `http://${device.ip}`;
+    this.listingComplete = false; // Set by getRecordedShows when the series listing was fetched
+    this.syncMetrics = null; // Timing and counts from the last getRecordedShows call
   }
 
-  async getRecordedShows() {
+  /**
+   * Get recorded series and their episodes
+   * @param {object} options
+   * @param {Map} options.knownUpdateIds - seriesID → UpdateID from the last sync; series whose
+   *   UpdateID is unchanged are returned with `unchanged: true` and no episodes
+   * @param {number} options.concurrency - Maximum episode listings fetched at once
+   */
+  async getRecordedShows(options = {}) {
+    const { knownUpdateIds = new Map(), concurrency = 4 } = options;
+
+    this.listingComplete = false;
+    this.syncMetrics = {
+      listingMs: 0,
+      episodesMs: 0,
+      seriesTotal: 0,
+      seriesFetched: 0,
+      seriesSkipped: 0,
+      seriesFailed: 0,
+      concurrency
+    };
+
     try {
       // First get the series list
+      const listingStarted = Date.now();
       const response = await axios.get(`${this.baseUrl}/recorded_files.json`, {
         timeout: 10000
       });
+      this.syncMetrics.listingMs = Date.now() - listingStarted;
       
       if (!response.data || !Array.isArray(response.data)) {
         return [];
       }
 
-      const shows = [];
-      
-      // For each series, get the episodes
-      for (const series of response.data) {
+      this.listingComplete = true;
+      this.syncMetrics.seriesTotal = response.data.length;
+
+      // Fetch episodes only for series that changed since the last sync
+      const episodesStarted = Date.now();
+      const shows = await mapWithConcurrency(response.data, concurrency, async (series) => {
+        const show = {
+          title: series.Title,
+          seriesID: series.SeriesID,
+          category: series.Category,
+          imageURL: series.ImageURL,
+          episodesURL: series.EpisodesURL,
+          startTime: series.StartTime,
+          updateID: series.UpdateID,
+          unchanged: false,
+          episodesComplete: true,
+          episodes: []
+        };
+
+        if (series.UpdateID !== undefined && knownUpdateIds.get(series.SeriesID) === series.UpdateID) {
+          this.syncMetrics.seriesSkipped++;
+          show.unchanged = true;
+          show.episodesComplete = false; // Not fetched, don't treat as empty
+          return show;
+        }
+
         try {
-          const episodesResponse = await axios.get(series.EpisodesURL, {
-            timeout: 5000
-          });
-          
-          if (episodesResponse.data && Array.isArray(episodesResponse.data)) {
-            const episodes = episodesResponse.data.map(episode => ({
-              title: episode.EpisodeTitle || episode.Title || 'Untitled Episode',
-              episodeNumber: episode.EpisodeNumber || '',
-              filename: episode.Filename,
-              startTime: new Date(episode.StartTime * 1000),
-              endTime: new Date(episode.EndTime * 1000),
-              channelName: episode.ChannelName,
-              channelNumber: episode.ChannelNumber,
-              channelImageURL: episode.ChannelImageURL,
-              synopsis: episode.Synopsis || '',
-              category: episode.Category || series.Category || '',
-              playURL: episode.PlayURL,
-              cmdURL: episode.CmdURL,
-              originalAirdate: episode.OriginalAirdate ? new Date(episode.OriginalAirdate * 1000) : null,
-              programID: episode.ProgramID,
-              resume: episode.Resume,
-              recordStartTime: episode.RecordStartTime,
-              recordEndTime: episode.RecordEndTime,
-              firstAiring: episode.FirstAiring,
-              recordSuccess: episode.RecordSuccess,
-              imageURL: episode.ImageURL
-            }));
-            
-            // Sort episodes by start time
-            episodes.sort((a, b) => a.startTime - b.startTime);
-            
-            shows.push({
-              title: series.Title,
-              seriesID: series.SeriesID,
-              category: series.Category,
-              imageURL: series.ImageURL,
-              episodesURL: series.EpisodesURL,
-              startTime: series.StartTime,
-              updateID: series.UpdateID,
-              episodes: episodes
-            });
-          }
+          show.episodes = await this.getSeriesEpisodes(series);
+          this.syncMetrics.seriesFetched++;
         } catch (episodeError) {
           console.error(`Failed to get episodes for ${series.Title}:`, episodeError.message);
           // Still add the series even if we can't get episodes
-          shows.push({
-            title: series.Title,
-            seriesID: series.SeriesID,
-            category: series.Category,
-            imageURL: series.ImageURL,
-            episodesURL: series.EpisodesURL,
-            startTime: series.StartTime,
-            updateID: series.UpdateID,
-            episodes: []
-          });
+          this.syncMetrics.seriesFailed++;
+          show.episodesComplete = false; // Episode list unknown, don't treat as empty
+          show.updateID = null; // Don't record the UpdateID so the next sync retries
         }
-      }
+
+        return show;
+      });
+      this.syncMetrics.episodesMs = Date.now() - episodesStarted;
 
       return shows;
     } catch (error) {
@@ -87,6 +112,44 @@ class HDHomeRunDVR {
     }
   }
 
+  async getSeriesEpisodes(series) {
+    const episodesResponse = await axios.get(series.EpisodesURL, {
+      timeout: 5000
+    });
+    
+    if (!episodesResponse.data || !Array.isArray(episodesResponse.data)) {
+      throw new Error('Unexpected episode listing response');
+    }
+
+    const episodes = episodesResponse.data.map(episode => ({
+      title: episode.EpisodeTitle || episode.Title || 'Untitled Episode',
+      episodeNumber: episode.EpisodeNumber || '',
+      filename: episode.Filename,
+      startTime: new Date(episode.StartTime * 1000),
+      endTime: new Date(episode.EndTime * 1000),
+      channelName: episode.ChannelName,
+      channelNumber: episode.ChannelNumber,
+      channelImageURL: episode.ChannelImageURL,
+      synopsis: episode.Synopsis || '',
+      category: episode.Category || series.Category || '',
+      playURL: episode.PlayURL,
+      cmdURL: episode.CmdURL,
+      originalAirdate: episode.OriginalAirdate ? new Date(episode.OriginalAirdate * 1000) : null,
+      programID: episode.ProgramID,
+      resume: episode.Resume,
+      recordStartTime: episode.RecordStartTime,
+      recordEndTime: episode.RecordEndTime,
+      firstAiring: episode.FirstAiring,
+      recordSuccess: episode.RecordSuccess,
+      imageURL: episode.ImageURL
+    }));
+    
+    // Sort episodes by start time
+    episodes.sort((a, b) => a.startTime - b.startTime);
+
+    return episodes;
+  }
+
   async getRecordingRules() {
     try {
       const response = await axios.get(`${this.baseUrl}/api/recording_rules`, {
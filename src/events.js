@@ -0,0 +1,62 @@
+/**
+ * Event Bus Module
+ * In-process publish/subscribe for server events, streamed to clients via /api/events
+ *
+ * Topics:
+ * - discovery: discovery runs completing or failing
+ * - recordings: recordings added by sync, trashed, restored, removed or analysed for commercials
+ * - transcode: HLS transcode jobs starting, completing, failing, being paused, cancelled or evicted
+ * - tuners: live TV tuners starting, stopping, and viewers being allocated or released
+ * - progress: playback progress updates
+ *
+ * Every event has an increasing id, so reconnecting clients can send Last-Event-ID
+ * and receive anything they missed from a short in-memory history.
+ */
+
+const EventEmitter = require('events');
+
+const TOPICS = ['discovery', 'recordings', 'transcode', 'tuners', 'progress'];
+
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // One listener per connected client
+    this.TOPICS = TOPICS;
+    this.nextId = 1;
+    this.history = [];
+    this.historySize = 500;
+  }
+
+  /**
+   * Publish an event
+   * @param {string} topic - One of TOPICS
+   * @param {string} type - Event type, prefixed by its topic (e.g., "transcode.completed")
+   * @param {object} data - Event payload
+   */
+  publish(topic, type, data = {}) {
+    const event = {
+      id: this.nextId++,
+      topic,
+      type,
+      timestamp: new Date().toISOString(),
+      data
+    };
+
+    this.history.push(event);
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Get buffered events after the given id, optionally limited to some topics
+   */
+  getEventsSince(lastEventId, topics = TOPICS) {
+    return this.history.filter(event => event.id > lastEventId && topics.includes(event.topic));
+  }
+}
+
+module.exports = new EventBus();
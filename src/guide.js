@@ -346,6 +346,49 @@ class GuideManager {
     return await db.run(sql, params);
   }
 
+  /**
+   * Full-text search of upcoming airings using the guide_programs_fts index
+   * @param {string} ftsQuery - FTS5 match expression (see HDHomeRunDatabase.buildFtsQuery)
+   */
+  async searchUpcomingFullText(ftsQuery, options = {}) {
+    const { channel = null, limit = 20 } = options;
+
+    const now = Math.floor(Date.now() / 1000);
+
+    let sql = `
+      SELECT
+        c.guide_number,
+        c.guide_name,
+        p.series_id,
+        p.title,
+        p.episode_number,
+        p.episode_title,
+        p.synopsis,
+        p.start_time,
+        p.end_time,
+        p.image_url,
+        snippet(guide_programs_fts, 2, '[', ']', '…', 12) as snippet,
+        bm25(guide_programs_fts, 10.0, 5.0, 1.0) as rank
+      FROM guide_programs_fts
+      JOIN guide_programs p ON p.id = guide_programs_fts.rowid
+      JOIN guide_channels c ON p.channel_id = c.id
+      WHERE guide_programs_fts MATCH ?
+        AND p.end_time > ?
+    `;
+
+    const params = [ftsQuery, now];
+
+    if (channel) {
+      sql += ' AND c.guide_number = ?';
+      params.push(channel);
+    }
+
+    sql += ' ORDER BY rank, p.start_time LIMIT ?';
+    params.push(limit);
+
+    return (await db.run(sql, params)) || [];
+  }
+
   /**
    * Get what's on now across all channels
    */
@@ -2,6 +2,13 @@ const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const { promisify } = require('util');
+const events = require('./events');
+const TranscodeQueue = require('./transcode-queue');
+const CaptionExtractor = require('./captions');
+const ThumbnailGenerator = require('./thumbnails');
+const Mp4Exporter = require('./mp4-export');
+
+const { CAPTION_STATE } = CaptionExtractor;
 
 const mkdir = promisify(fs.mkdir);
 const readdir = promisify(fs.readdir);
@@ -9,15 +16,114 @@ const unlink = promisify(fs.unlink);
 const stat = promisify(fs.stat);
 const readFile = promisify(fs.readFile);
 const writeFile = promisify(fs.writeFile);
+const rename = promisify(fs.rename);
 
 // Transcoding states
 const TRANSCODE_STATE = {
   PENDING: 'pending',
   TRANSCODING: 'transcoding',
   COMPLETE: 'complete',
-  ERROR: 'error'
+  ERROR: 'error',
+  PAUSED: 'paused'
+};
+
+// Queue priority of on-demand jobs, should they be queued again (after a restart or eviction)
+const ON_DEMAND_PRIORITY = 10;
+
+// Characters of FFmpeg's stderr kept for the diagnostics of a failed transcode
+const STDERR_TAIL_LENGTH = 2000;
+
+// Input options of the fallback attempt after a failed encode: get past corrupt packets in
+// the recording, as the live pipeline does for broadcast glitches
+const TOLERANT_INPUT_ARGS = ['-fflags', '+discardcorrupt+genpts', '-err_detect', 'ignore_err'];
+
+// Renditions available for the adaptive bitrate ladder (bitrates in kbps)
+const RENDITION_PRESETS = {
+  '1080p': { name: '1080p', width: 1920, height: 1080, videoBitrate: 5000, audioBitrate: 128, codecs: 'avc1.640028,mp4a.40.2' },
+  '720p': { name: '720p', width: 1280, height: 720, videoBitrate: 2800, audioBitrate: 128, codecs: 'avc1.64001f,mp4a.40.2' },
+  '480p': { name: '480p', width: 854, height: 480, videoBitrate: 1200, audioBitrate: 96, codecs: 'avc1.64001e,mp4a.40.2' },
+  '360p': { name: '360p', width: 640, height: 360, videoBitrate: 700, audioBitrate: 96, codecs: 'avc1.64001e,mp4a.40.2' },
+  'audio': { name: 'audio', audioOnly: true, audioBitrate: 64, codecs: 'mp4a.40.2' }
+};
+
+const DEFAULT_LADDER = ['1080p', '720p', '480p', 'audio'];
+
+// Segment formats. CMAF (fragmented MP4) segments also back a DASH manifest; each rendition
+// then carries a single track, so the primary audio gets a rendition of its own.
+const SEGMENT_FORMATS = {
+  ts: { extension: '.ts', segmentType: 'mpegts' },
+  cmaf: { extension: '.m4s', segmentType: 'fmp4' }
+};
+const MAIN_AUDIO_RENDITION = 'audio-main';
+
+// Secondary audio tracks (SAP, descriptive video) are encoded as alternate stereo AAC renditions,
+// and surround sound optionally kept as an AC-3 rendition (bitrates in kbps)
+const ALTERNATE_AUDIO_BITRATE = 96;
+const SURROUND_AUDIO_BITRATE = 384;
+const AUDIO_GROUPS = { stereo: 'aac', surround: 'ac3' };
+
+// ISO 639-2 codes tagged on broadcast audio → HLS LANGUAGE (RFC 5646) and display name
+const AUDIO_LANGUAGES = {
+  eng: { tag: 'en', name: 'English' },
+  spa: { tag: 'es', name: 'Spanish' },
+  fra: { tag: 'fr', name: 'French' },
+  fre: { tag: 'fr', name: 'French' },
+  por: { tag: 'pt', name: 'Portuguese' },
+  deu: { tag: 'de', name: 'German' },
+  ger: { tag: 'de', name: 'German' },
+  ita: { tag: 'it', name: 'Italian' },
+  kor: { tag: 'ko', name: 'Korean' },
+  vie: { tag: 'vi', name: 'Vietnamese' },
+  zho: { tag: 'zh', name: 'Chinese' },
+  chi: { tag: 'zh', name: 'Chinese' },
+  jpn: { tag: 'ja', name: 'Japanese' }
+};
+
+// Closed captions are extracted to {outputDir}/captions/ and listed as this SUBTITLES group
+const CAPTIONS_DIR = 'captions';
+const SUBTITLES_GROUP = 'subs';
+
+// EXT-X-DATERANGE class of commercial breaks (see getCommercialMarkers)
+const COMMERCIAL_DATERANGE_CLASS = 'com.tvhomerun.commercial';
+
+// Trickplay thumbnails are generated to {outputDir}/thumbnails/ once a transcode completes
+const THUMBNAILS_DIR = 'thumbnails';
+const THUMBNAIL_WIDTH = 160;
+
+// MP4 downloads, cached per quality (a video preset) under each episode's stream directory
+const DOWNLOADS_DIR = 'downloads';
+const DOWNLOAD_QUALITIES = ['1080p', '720p', '480p', '360p'];
+const DEFAULT_DOWNLOAD_QUALITY = '720p';
+
+// What each client profile allows to be passed through without re-encoding.
+// Copying video gives a single source rendition (no ABR); audio is only copied when already AAC.
+const CLIENT_PROFILES = {
+  abr: { copyVideo: false, copyAudio: true },       // Adaptive ladder (remote and mobile clients)
+  direct: { copyVideo: true, copyAudio: true },     // Remux H.264 sources as-is (LAN clients)
+  transcode: { copyVideo: false, copyAudio: false } // Always re-encode
 };
 
+const DEFAULT_CLIENT_PROFILE = 'abr';
+
+// H.264 profile names reported by ffprobe → profile_idc for CODECS strings
+const H264_PROFILE_IDC = {
+  'Constrained Baseline': 0x42,
+  'Baseline': 0x42,
+  'Main': 0x4d,
+  'High': 0x64
+};
+
+/**
+ * Escape text for XML content or attribute values
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 class HLSStreamManager {
   constructor(options = {}) {
     this.verbose = options.verbose || false;
@@ -25,7 +131,55 @@ class HLSStreamManager {
     this.cacheDir = options.cacheDir || path.join(__dirname, '../hls-cache');
     this.cleanupInterval = options.cleanupInterval || 3600000; // 1 hour
     this.maxCacheAge = options.maxCacheAge || 2592000000; // 30 days
+    this.maxCacheSize = options.maxCacheSize || null; // Cache size budget in bytes (none when unset)
     this.maxConcurrentTranscodes = options.maxConcurrentTranscodes || 2; // Max concurrent transcodes
+    this.ladder = this.resolveLadder(options.ladder || DEFAULT_LADDER); // ABR renditions, highest first
+    this.defaultClientProfile = options.clientProfile || DEFAULT_CLIENT_PROFILE;
+    this.probeTimeout = options.probeTimeout || 15000; // ffprobe time limit
+    this.progressSaveInterval = options.progressSaveInterval || 15000; // How often progress is written to transcode.json
+    this.captionLanguage = options.captionLanguage || 'en'; // Language tag of extracted closed captions
+    this.surroundAudio = options.surroundAudio || false; // Keep 5.1 sources as an AC-3 rendition
+    this.thumbnailInterval = options.thumbnailInterval || 10; // Seconds between trickplay thumbnails
+    this.segmentFormat = options.segmentFormat || 'ts'; // Segments of new transcodes: 'ts' or 'cmaf'
+
+    if (!CLIENT_PROFILES[this.defaultClientProfile]) {
+      throw new Error(`Unknown client profile "${this.defaultClientProfile}". Expected one of: ${Object.keys(CLIENT_PROFILES).join(', ')}`);
+    }
+    if (!SEGMENT_FORMATS[this.segmentFormat]) {
+      throw new Error(`Unknown segment format "${this.segmentFormat}". Expected one of: ${Object.keys(SEGMENT_FORMATS).join(', ')}`);
+    }
+
+    // Starts in progress (probe + spawn), so concurrent requests share one transcode
+    this.startingTranscodes = new Map();
+
+    // A segment requested further than this ahead of the running encode starts a seek encode
+    this.seekThreshold = options.seekThreshold || 30; // seconds
+    this.isShuttingDown = false;
+
+    // Episodes of pinned series are never evicted: async () => Set of episode ids
+    this.getPinnedEpisodeIds = options.getPinnedEpisodeIds || (async () => new Set());
+
+    // Commercial breaks emitted as EXT-X-DATERANGE tags when set:
+    // async episodeId => [{ start_time, end_time, confidence }]
+    this.getCommercialMarkers = options.getCommercialMarkers || null;
+
+    // Last segment access per episode (ms), for least-recently-played eviction.
+    // Persisted to each episode's last-access file, at most once per accessSaveInterval.
+    this.lastAccess = new Map();
+    this.lastAccessSaved = new Map();
+    this.accessSaveInterval = options.accessSaveInterval || 60000;
+    this.isCleaningUp = false;
+
+    // Pending transcode.json writes per episode, chained so they land in order
+    this.stateWrites = new Map();
+
+    // Thumbnails are generated one episode at a time, after each transcode completes
+    this.thumbnailQueue = [];
+    this.thumbnailJob = null; // { episodeId, generator } being generated
+
+    // MP4 downloads being prepared: "episodeId/quality" -> { state, progress, exporter, ... }.
+    // They share the transcode slots (maxConcurrentTranscodes) and wait for a free one.
+    this.downloadJobs = new Map();
 
     // Transcoding jobs: episodeId -> { state, process, startTime, progress, error }
     this.transcodeJobs = new Map();
@@ -33,11 +187,13 @@ class HLSStreamManager {
     // Track active transcodes in order (oldest first) for LRU eviction
     this.activeTranscodes = [];
 
-    // Bulk conversion queue
-    this.bulkConversionQueue = [];
+    // Queued jobs are persisted (see transcode-queue.js) and run by processQueue.
+    // A bulk conversion run lasts until the queue is empty and its stats cover that run.
+    this.maxAttempts = options.maxAttempts || 3; // Starts per job before it is marked failed
+    this.isProcessingQueue = false;
+    this.queueChanged = false;
     this.isBulkConverting = false;
     this.bulkConversionStats = {
-      total: 0,
       completed: 0,
       failed: 0,
       skipped: 0
@@ -53,11 +209,14 @@ class HLSStreamManager {
       await mkdir(this.cacheDir, { recursive: true });
       this.log('HLS cache directory initialized');
 
-      // Clean up abandoned transcodes first (before scanning existing cache)
-      await this.cleanupAbandonedTranscodes();
+      // Re-queue interrupted transcodes first (before scanning existing cache)
+      await this.recoverInterruptedTranscodes();
 
       // Scan for existing transcoded content
       await this.scanExistingCache();
+
+      // Run queued and interrupted jobs from before the restart
+      this.processQueue();
     } catch (error) {
       if (error.code !== 'EEXIST') {
         throw error;
@@ -78,11 +237,43 @@ class HLSStreamManager {
   }
 
   /**
-   * Clean up abandoned transcodes on startup
-   * Removes any directories that have state="transcoding" in transcode.json
+   * Resolve a ladder of preset names (e.g. "1080p,720p,audio") or rendition objects
    */
-  async cleanupAbandonedTranscodes() {
+  resolveLadder(ladder) {
+    const entries = typeof ladder === 'string' ? ladder.split(',') : ladder;
+
+    const renditions = entries.map(entry => {
+      if (typeof entry !== 'string') {
+        return entry;
+      }
+
+      const preset = RENDITION_PRESETS[entry.trim()];
+      if (!preset) {
+        throw new Error(`Unknown HLS rendition "${entry}". Expected one of: ${Object.keys(RENDITION_PRESETS).join(', ')}`);
+      }
+      return preset;
+    });
+
+    if (!renditions.some(rendition => !rendition.audioOnly)) {
+      throw new Error('HLS ladder needs at least one video rendition');
+    }
+
+    return renditions;
+  }
+
+  /**
+   * Queue transcodes interrupted by the last shutdown again, so they resume on startup.
+   * Partial output without a job to resume it is removed.
+   */
+  async recoverInterruptedTranscodes() {
     try {
+      const requeued = await TranscodeQueue.recoverInterrupted();
+      if (requeued > 0) {
+        this.log(`Re-queued ${requeued} interrupted transcode(s)`);
+      }
+
+      await TranscodeQueue.prune();
+
       const entries = await readdir(this.cacheDir);
       let cleanedCount = 0;
 
@@ -96,10 +287,14 @@ class HLSStreamManager {
             // Check for transcode.json state file
             const stateData = await this.loadTranscodeState(entry);
 
-            if (stateData && stateData.state === TRANSCODE_STATE.TRANSCODING) {
-              this.log(`Cleaning up abandoned transcode: episode ${entry}`);
-              await this.cleanupStreamDir(episodeDir);
-              cleanedCount++;
+            if (stateData && (stateData.state === TRANSCODE_STATE.TRANSCODING || stateData.state === TRANSCODE_STATE.PAUSED)) {
+              const job = await TranscodeQueue.getJob(entry);
+
+              if (!job || (job.state !== 'queued' && job.state !== 'paused')) {
+                this.log(`Cleaning up abandoned transcode: episode ${entry}`);
+                await this.cleanupStreamDir(episodeDir, [DOWNLOADS_DIR]);
+                cleanedCount++;
+              }
             }
           }
         } catch (error) {
@@ -116,7 +311,7 @@ class HLSStreamManager {
     } catch (error) {
       // If cache directory doesn't exist yet, that's ok
       if (error.code !== 'ENOENT') {
-        this.debug(`Error cleaning up abandoned transcodes: ${error.message}`);
+        this.debug(`Error recovering interrupted transcodes: ${error.message}`);
       }
     }
   }
@@ -133,22 +328,41 @@ class HLSStreamManager {
         const stats = await stat(episodeDir);
 
         if (stats.isDirectory()) {
-          const playlistPath = path.join(episodeDir, 'stream.m3u8');
-          const statePath = path.join(episodeDir, 'transcode.json');
-
           // Check if transcode is complete
           try {
-            await stat(playlistPath);
             const stateData = await this.loadTranscodeState(entry);
 
+            // Caches from before the ABR ladder have a single stream.m3u8 and no renditions
+            const renditions = stateData && stateData.renditions;
+            const playlistPath = renditions
+              ? path.join(episodeDir, renditions[0].name, 'stream.m3u8')
+              : path.join(episodeDir, 'stream.m3u8');
+            await stat(playlistPath);
+
             if (stateData && stateData.state === TRANSCODE_STATE.COMPLETE) {
               this.transcodeJobs.set(entry, {
                 state: TRANSCODE_STATE.COMPLETE,
                 startTime: stateData.startTime,
                 endTime: stateData.endTime,
                 progress: 100,
-                outputDir: episodeDir
+                outputDir: episodeDir,
+                renditions,
+                mode: stateData.mode || 'transcode',
+                clientProfile: stateData.clientProfile,
+                source: stateData.source,
+                duration: stateData.duration,
+                speed: stateData.speed,
+                etaSeconds: 0,
+                seekable: !!stateData.seekable,
+                segmentFormat: stateData.segmentFormat || 'ts',
+                segmentCount: stateData.segmentCount || null,
+                tolerant: !!stateData.tolerant,
+                attempts: stateData.attempts || [],
+                captions: stateData.captions
+                  ? new CaptionExtractor({ outputPath: this.getCaptionsPath(entry), state: stateData.captions })
+                  : null
               });
+              await this.loadLastAccess(entry);
               this.debug(`Found cached episode ${entry}`);
             }
           } catch (error) {
@@ -179,18 +393,71 @@ class HLSStreamManager {
   }
 
   /**
-   * Save transcode state to disk
+   * Save transcode state to disk. Writes are queued per episode, so a progress write still
+   * in flight can never land after (or interleave with) the final state.
+   */
+  saveTranscodeState(episodeId, state) {
+    const previous = this.stateWrites.get(episodeId) || Promise.resolve();
+    const write = previous.then(() => this.writeTranscodeState(episodeId, state));
+
+    this.stateWrites.set(episodeId, write);
+    write.then(() => {
+      if (this.stateWrites.get(episodeId) === write) {
+        this.stateWrites.delete(episodeId);
+      }
+    });
+
+    return write;
+  }
+
+  /**
+   * Write transcode.json through a temporary file, so it is never seen half-written
    */
-  async saveTranscodeState(episodeId, state) {
+  async writeTranscodeState(episodeId, state) {
     const statePath = path.join(this.getStreamDir(episodeId), 'transcode.json');
+    const tempPath = `${statePath}.tmp`;
 
     try {
-      await writeFile(statePath, JSON.stringify(state, null, 2));
+      await writeFile(tempPath, JSON.stringify(state, null, 2));
+      await rename(tempPath, statePath);
     } catch (error) {
       this.debug(`Error saving transcode state: ${error.message}`);
     }
   }
 
+  /**
+   * Load when an episode was last played from its last-access file
+   */
+  async loadLastAccess(episodeId) {
+    try {
+      const data = await readFile(path.join(this.getStreamDir(episodeId), 'last-access'), 'utf8');
+      const lastAccess = parseInt(data);
+      if (lastAccess > 0) {
+        this.lastAccess.set(episodeId, lastAccess);
+        this.lastAccessSaved.set(episodeId, lastAccess);
+      }
+    } catch (error) {
+      // Never played
+    }
+  }
+
+  /**
+   * Record that a segment of an episode was served
+   */
+  touchEpisode(episodeId) {
+    const now = Date.now();
+    this.lastAccess.set(episodeId, now);
+
+    if (now - (this.lastAccessSaved.get(episodeId) || 0) < this.accessSaveInterval) {
+      return;
+    }
+
+    this.lastAccessSaved.set(episodeId, now);
+    writeFile(path.join(this.getStreamDir(episodeId), 'last-access'), String(now)).catch(error => {
+      this.debug(`Error saving last access for episode ${episodeId}: ${error.message}`);
+    });
+  }
+
   /**
    * Load cache state from memory
    */
@@ -204,10 +471,27 @@ class HLSStreamManager {
    * @param {string} episodeId - Episode ID
    * @param {string} sourceUrl - HDHomeRun stream URL
    * @param {boolean} isBulkConversion - Whether this is part of bulk conversion (won't evict)
-   * @param {Object} metadata - Optional metadata (showName, episodeName, airDate)
+   * @param {Object} metadata - Optional metadata (showName, episodeName, airDate, duration in seconds)
+   * @param {string} clientProfile - Client profile deciding which streams may be copied
    * @returns {Promise<string>} - Path to output directory
    */
-  async startTranscode(episodeId, sourceUrl, isBulkConversion = false, metadata = {}) {
+  async startTranscode(episodeId, sourceUrl, isBulkConversion = false, metadata = {}, clientProfile = this.defaultClientProfile) {
+    const starting = this.startingTranscodes.get(episodeId);
+    if (starting) {
+      return starting;
+    }
+
+    const start = this.launchTranscode(episodeId, sourceUrl, isBulkConversion, metadata, clientProfile);
+    this.startingTranscodes.set(episodeId, start);
+
+    try {
+      return await start;
+    } finally {
+      this.startingTranscodes.delete(episodeId);
+    }
+  }
+
+  async launchTranscode(episodeId, sourceUrl, isBulkConversion, metadata, clientProfile) {
     // Check if already transcoded
     const existingJob = this.transcodeJobs.get(episodeId);
 
@@ -225,8 +509,8 @@ class HLSStreamManager {
 
     const outputDir = this.getStreamDir(episodeId);
 
-    // Check concurrent transcode limit
-    const activeCount = this.activeTranscodes.length;
+    // Check concurrent transcode limit (MP4 downloads take slots too, but are never evicted)
+    const activeCount = this.getRunningEncodeCount() + this.getRunningDownloadCount();
     if (activeCount >= this.maxConcurrentTranscodes) {
       if (isBulkConversion) {
         // For bulk conversion, wait for a slot to open up instead of evicting
@@ -242,164 +526,114 @@ class HLSStreamManager {
     // Create output directory
     await mkdir(outputDir, { recursive: true });
 
-    // Build FFmpeg command for full-file transcoding
-    const outputPath = path.join(outputDir, 'stream.m3u8');
-    const segmentPattern = path.join(outputDir, 'segment%04d.ts');
-
-    const ffmpegArgs = [
-      '-i', sourceUrl,
-      '-c:v', 'libx264',          // Transcode to H.264
-      '-preset', 'veryfast',       // Fast encoding
-      '-crf', '23',                // Quality (lower = better, 23 is default)
-      '-maxrate', '5000k',         // Max bitrate for AppleTV
-      '-bufsize', '10000k',        // Buffer size
-      '-g', '48',                  // GOP size (keyframe interval)
-      '-sc_threshold', '0',        // Disable scene change detection
-      '-c:a', 'aac',               // Transcode audio to AAC
-      '-b:a', '128k',              // Audio bitrate
-      '-ac', '2',                  // Stereo audio (downmix from 5.1)
-      '-ar', '48000',              // Audio sample rate
-      '-f', 'hls',                 // HLS format
-      '-hls_time', String(this.segmentDuration),
-      '-hls_list_size', '0',       // Keep ALL segments in playlist
-      '-hls_flags', 'append_list', // No deleting segments, just append
-      '-hls_segment_filename', segmentPattern,
-      outputPath
-    ];
-
-    this.log(`Starting transcode for episode ${episodeId}`);
-    this.debug(`Source: ${sourceUrl}`);
-    this.debug(`Output: ${outputPath}`);
-    this.debug(`FFmpeg args: ${ffmpegArgs.join(' ')}`);
+    // Probe the source to decide which streams can be copied instead of re-encoded
+    const source = await this.probeSource(sourceUrl);
+    const plan = this.planTranscode(source, clientProfile);
 
-    // Spawn FFmpeg process
-    const ffmpeg = spawn('ffmpeg', ffmpegArgs);
+    const { renditions, mode } = plan;
+    const outputPath = path.join(outputDir, renditions[0].name, 'stream.m3u8');
 
     // Track the transcode job
     const job = {
       state: TRANSCODE_STATE.TRANSCODING,
-      process: ffmpeg,
       startTime: Date.now(),
       progress: 0,
       outputDir,
       sourceUrl,
+      plan,
+      renditions,
+      mode,
+      clientProfile,
+      source,
+      segmentFormat: plan.segmentFormat,
+      duration: (source && source.duration) || metadata.duration || null, // Seconds, for progress
+      // Seeking needs exact segment boundaries: forced keyframes (not copied video) and a probed duration
+      seekable: !plan.copyVideo && !!(source && source.duration),
+      segmentCount: null, // Known once an encode reaches the end of the source
+      encodes: [], // Running FFmpeg processes, each starting at a segment
+      segmentsDone: new Set(),
+      encodedSeconds: 0,
+      speed: null,
+      etaSeconds: null,
+      lastProgressSave: Date.now(),
+      captions: null, // CaptionExtractor when the source has closed captions
+      tolerant: false, // Encoding with TOLERANT_INPUT_ARGS after the default arguments failed
+      retrying: false,
+      attempts: [], // { tolerant, startTime, endTime, exitCode, error } of each FFmpeg argument set tried
+      exitCode: null,
+      stderr: null, // Tail of FFmpeg's stderr once failed
       metadata
     };
 
+    // Output of an interrupted, paused or failed attempt is resumed when it was encoded the
+    // same way with exact segment boundaries; anything else is started over
+    const previous = await this.loadTranscodeState(episodeId);
+    const resuming = !!previous && this.canResume(job, previous);
+
+    // A job failing again after a queue retry keeps its history, and goes straight to the
+    // tolerant arguments when the default ones already failed
+    if (previous && previous.state === TRANSCODE_STATE.ERROR) {
+      job.attempts = previous.attempts || [];
+      job.tolerant = !!previous.tolerant;
+    }
+    this.startAttempt(job);
+    if (previous && !resuming) {
+      this.log(`Discarding partial transcode of episode ${episodeId}, starting over`);
+      // MP4 downloads do not depend on the HLS output, and one may be being exported right now
+      await this.cleanupStreamDir(outputDir, [DOWNLOADS_DIR]);
+      await mkdir(outputDir, { recursive: true });
+    }
+
+    for (const rendition of renditions) {
+      await mkdir(path.join(outputDir, rendition.name), { recursive: true });
+    }
+
+    let startSegment = 0;
+    if (resuming) {
+      startSegment = this.loadEncodedSegments(job);
+      this.log(`Resuming transcode for episode ${episodeId} at segment ${startSegment} (${job.segmentsDone.size} segments already encoded)`);
+    }
+
     this.transcodeJobs.set(episodeId, job);
 
     // Add to active transcodes queue
     this.activeTranscodes.push(episodeId);
     this.debug(`Added episode ${episodeId} to active queue (${this.activeTranscodes.length} active)`);
 
+    await TranscodeQueue.markRunning(episodeId, {
+      sourceUrl,
+      clientProfile,
+      metadata,
+      origin: isBulkConversion ? 'pre-cache' : 'on-demand',
+      priority: isBulkConversion ? 0 : ON_DEMAND_PRIORITY
+    });
+
+    this.log(`Starting transcode for episode ${episodeId} (${mode}, client profile ${clientProfile})`);
+    this.debug(`Source: ${sourceUrl}`);
+    this.debug(`Output: ${outputPath}`);
+
+    this.publishTranscodeEvent('transcode.started', episodeId, job, { bulk: isBulkConversion, resumed: resuming });
+
     // Save initial state
     await this.saveTranscodeState(episodeId, {
       state: TRANSCODE_STATE.TRANSCODING,
       startTime: job.startTime,
       sourceUrl,
+      renditions,
+      mode,
+      clientProfile,
+      source,
+      seekable: job.seekable,
+      segmentFormat: job.segmentFormat,
+      tolerant: job.tolerant,
+      attempts: job.attempts,
       showName: metadata.showName,
       episodeName: metadata.episodeName,
       airDate: metadata.airDate
     });
 
-    // Handle FFmpeg output for progress tracking
-    let stderr = '';
-
-    ffmpeg.stderr.on('data', (data) => {
-      const output = data.toString();
-      stderr += output;
-
-      // Try to extract progress information
-      const timeMatch = output.match(/time=(\d+:\d+:\d+\.\d+)/);
-      if (timeMatch) {
-        this.debug(`Transcode progress for ${episodeId}: ${timeMatch[1]}`);
-      }
-
-      this.debug(`FFmpeg: ${output.trim()}`);
-    });
-
-    ffmpeg.on('error', (error) => {
-      this.log(`FFmpeg error for episode ${episodeId}: ${error.message}`);
-      job.state = TRANSCODE_STATE.ERROR;
-      job.error = error.message;
-
-      // Remove from active transcodes queue
-      const index = this.activeTranscodes.indexOf(episodeId);
-      if (index !== -1) {
-        this.activeTranscodes.splice(index, 1);
-        this.debug(`Removed episode ${episodeId} from active queue due to error (${this.activeTranscodes.length} active)`);
-      }
-
-      // Update bulk conversion stats if active
-      if (this.isBulkConverting) {
-        this.bulkConversionStats.failed++;
-        this.logBulkProgress();
-      }
-
-      this.saveTranscodeState(episodeId, {
-        state: TRANSCODE_STATE.ERROR,
-        startTime: job.startTime,
-        endTime: Date.now(),
-        error: error.message,
-        showName: job.metadata.showName,
-        episodeName: job.metadata.episodeName,
-        airDate: job.metadata.airDate
-      });
-    });
-
-    ffmpeg.on('close', (code) => {
-      // Remove from active transcodes queue
-      const index = this.activeTranscodes.indexOf(episodeId);
-      if (index !== -1) {
-        this.activeTranscodes.splice(index, 1);
-        this.debug(`Removed episode ${episodeId} from active queue (${this.activeTranscodes.length} active)`);
-      }
-
-      if (code === 0) {
-        this.log(`Transcode completed successfully for episode ${episodeId}`);
-        job.state = TRANSCODE_STATE.COMPLETE;
-        job.endTime = Date.now();
-        job.progress = 100;
-        delete job.process;
-
-        // Update bulk conversion stats if active
-        if (this.isBulkConverting) {
-          this.bulkConversionStats.completed++;
-          this.logBulkProgress();
-        }
-
-        this.saveTranscodeState(episodeId, {
-          state: TRANSCODE_STATE.COMPLETE,
-          startTime: job.startTime,
-          endTime: job.endTime,
-          sourceUrl: job.sourceUrl,
-          showName: job.metadata.showName,
-          episodeName: job.metadata.episodeName,
-          airDate: job.metadata.airDate
-        });
-      } else {
-        this.log(`FFmpeg process for episode ${episodeId} exited with code ${code}`);
-        job.state = TRANSCODE_STATE.ERROR;
-        job.error = `FFmpeg exited with code ${code}`;
-
-        // Update bulk conversion stats if active
-        if (this.isBulkConverting) {
-          this.bulkConversionStats.failed++;
-          this.logBulkProgress();
-        }
-
-        this.saveTranscodeState(episodeId, {
-          state: TRANSCODE_STATE.ERROR,
-          startTime: job.startTime,
-          endTime: Date.now(),
-          error: job.error,
-          stderr: stderr.slice(-1000), // Last 1000 chars of stderr
-          showName: job.metadata.showName,
-          episodeName: job.metadata.episodeName,
-          airDate: job.metadata.airDate
-        });
-      }
-    });
+    this.spawnEncode(episodeId, job, startSegment);
+    await this.startCaptions(episodeId, job, resuming ? previous : null);
 
     // Wait a moment for FFmpeg to start generating files
     await this.waitForPlaylist(outputPath, 15000); // Wait up to 15 seconds
@@ -408,153 +642,2077 @@ class HLSStreamManager {
   }
 
   /**
-   * Wait for playlist file to be created
-   */
-  async waitForPlaylist(playlistPath, timeout = 15000) {
-    const startTime = Date.now();
-
-    while (Date.now() - startTime < timeout) {
-      try {
-        await stat(playlistPath);
-        this.debug(`Playlist ready: ${playlistPath}`);
-        return true;
-      } catch (error) {
-        // File doesn't exist yet, wait a bit
-        await new Promise(resolve => setTimeout(resolve, 500));
-      }
-    }
-
-    throw new Error('Timeout waiting for HLS playlist to be generated');
-  }
-
-  /**
-   * Get the stream directory for an episode
+   * Whether partial output described by a saved transcode.json can be resumed by a job
    */
-  getStreamDir(episodeId) {
-    return path.join(this.cacheDir, String(episodeId));
+  canResume(job, previous) {
+    const names = renditions => (renditions || []).map(rendition => rendition.name).join(',');
+
+    return previous.state !== TRANSCODE_STATE.COMPLETE &&
+      job.seekable && !!previous.seekable &&
+      previous.mode === job.mode &&
+      (previous.segmentFormat || 'ts') === job.segmentFormat &&
+      names(previous.renditions) === names(job.renditions);
   }
 
   /**
-   * Get the playlist file path for an episode
+   * Mark segments already on disk in every rendition as done
+   * @returns {number} The segment to resume encoding at
    */
-  getPlaylistPath(episodeId) {
-    return path.join(this.getStreamDir(episodeId), 'stream.m3u8');
-  }
+  loadEncodedSegments(job) {
+    const total = this.getSegmentCount(job);
 
-  /**
-   * Check if episode is transcoded or being transcoded
-   */
-  getTranscodeStatus(episodeId) {
-    const job = this.transcodeJobs.get(episodeId);
+    for (let index = 0; index < total; index++) {
+      const filename = this.getSegmentFilename(index, this.getSegmentExtension(job));
+      const encoded = job.renditions.every(rendition =>
+        fs.existsSync(path.join(job.outputDir, rendition.name, filename)));
 
-    if (!job) {
-      return { state: TRANSCODE_STATE.PENDING };
+      if (encoded) {
+        job.segmentsDone.add(index);
+      }
     }
 
-    return {
-      state: job.state,
-      progress: job.progress,
-      startTime: job.startTime,
-      endTime: job.endTime,
-      error: job.error
-    };
-  }
-
-  /**
-   * Check if a segment file exists
-   */
-  async segmentExists(episodeId, filename) {
-    const segmentPath = path.join(this.getStreamDir(episodeId), filename);
+    job.encodedSeconds = job.segmentsDone.size * this.segmentDuration;
+    job.progress = Math.min(99, Math.floor((job.encodedSeconds / job.duration) * 100));
 
-    try {
-      await stat(segmentPath);
-      return true;
-    } catch (error) {
-      return false;
+    const missing = this.findMissingSegment(job);
+    if (missing !== -1) {
+      return missing;
     }
+
+    // With every segment present, encode the last one again to find where the source ends
+    const last = Math.max(0, total - 1);
+    job.segmentsDone.delete(last);
+    return last;
   }
 
   /**
-   * Delete transcode cache for an episode
+   * Extract the source's closed captions to WebVTT alongside the encode. Captions
+   * already extracted by an interrupted attempt being resumed are kept.
+   * @param {Object|null} previous - Saved state of the attempt being resumed
    */
-  async deleteTranscode(episodeId) {
-    const job = this.transcodeJobs.get(episodeId);
-
-    // Kill process if still running
-    if (job && job.process && !job.process.killed) {
-      this.log(`Killing transcode process for episode ${episodeId}`);
-      job.process.kill('SIGTERM');
+  async startCaptions(episodeId, job, previous) {
+    // The subtitle playlist is full-length, so it needs the duration
+    if (!job.source || !job.source.video || !job.source.video.captions || !job.duration) {
+      return;
     }
 
-    // Remove from jobs map
-    this.transcodeJobs.delete(episodeId);
+    const outputPath = this.getCaptionsPath(episodeId);
 
-    // Remove from active transcodes queue
-    const index = this.activeTranscodes.indexOf(episodeId);
-    if (index !== -1) {
-      this.activeTranscodes.splice(index, 1);
+    if (previous && previous.captions === CAPTION_STATE.COMPLETE && fs.existsSync(outputPath)) {
+      job.captions = new CaptionExtractor({ outputPath, state: CAPTION_STATE.COMPLETE });
+      return;
     }
 
-    // Clean up files
-    const outputDir = this.getStreamDir(episodeId);
-    await this.cleanupStreamDir(outputDir);
+    await mkdir(path.dirname(outputPath), { recursive: true });
+
+    job.captions = new CaptionExtractor({
+      outputPath,
+      log: message => this.log(`Episode ${episodeId}: ${message}`)
+    });
+    job.captions.start(job.sourceUrl, () => this.finishCaptions(episodeId, job));
+    this.debug(`Extracting closed captions for episode ${episodeId}`);
   }
 
   /**
-   * Evict the oldest active transcode to make room for a new one
+   * Handle caption extraction exiting. Failed extraction only drops the captions;
+   * the job completes here if its encodes finished first.
    */
-  async evictOldestTranscode() {
-    if (this.activeTranscodes.length === 0) {
+  finishCaptions(episodeId, job) {
+    // Deleted, evicted, paused, failed or shutting down while extracting
+    if (this.isShuttingDown || this.transcodeJobs.get(episodeId) !== job || job.state !== TRANSCODE_STATE.TRANSCODING) {
       return;
     }
 
-    const oldestEpisodeId = this.activeTranscodes[0];
-    this.log(`Evicting oldest transcode (episode ${oldestEpisodeId}) to make room for new transcode`);
+    if (job.captions.state === CAPTION_STATE.COMPLETE) {
+      this.debug(`Closed captions extracted for episode ${episodeId}`);
+    }
 
-    await this.deleteTranscode(oldestEpisodeId);
+    if (job.encodes.length === 0 && !job.retrying) {
+      this.completeTranscode(episodeId, job);
+    }
   }
 
   /**
-   * Clean up old transcodes
+   * Spawn an FFmpeg encode for a job starting at a segment (0 for the initial encode;
+   * later ones are seeks ahead of it, or fill gaps left between encodes)
    */
-  async cleanup() {
-    const now = Date.now();
+  spawnEncode(episodeId, job, startSegment) {
+    const ffmpegArgs = this.buildTranscodeArgs(job.sourceUrl, job.outputDir, job.plan, startSegment, job.tolerant);
 
-    // Check for very old cached transcodes (30 days default)
-    try {
-      const entries = await readdir(this.cacheDir);
+    if (startSegment > 0) {
+      this.log(`Starting encode for episode ${episodeId} at segment ${startSegment} (${startSegment * this.segmentDuration}s)`);
+    }
+    this.debug(`FFmpeg args: ${ffmpegArgs.join(' ')}`);
 
-      for (const entry of entries) {
-        const entryPath = path.join(this.cacheDir, entry);
-        const stats = await stat(entryPath);
+    // Spawn FFmpeg process
+    const ffmpeg = spawn('ffmpeg', ffmpegArgs);
 
-        if (stats.isDirectory()) {
-          const age = now - stats.mtimeMs;
+    const encode = {
+      process: ffmpeg,
+      startSegment,
+      producedSegments: 0,
+      speed: null,
+      stopped: false // Set when we stop it on purpose (caught up with another encode, or replaced)
+    };
+    job.encodes.push(encode);
 
-          if (age > this.maxCacheAge) {
-            this.log(`Cleaning up old cache: ${entry} (age: ${Math.round(age / 86400000)} days)`);
-            await this.deleteTranscode(entry);
-          }
+    // Handle FFmpeg output for progress tracking
+    let stderr = '';
+
+    ffmpeg.stderr.on('data', (data) => {
+      const output = data.toString();
+      stderr = (stderr + output).slice(-STDERR_TAIL_LENGTH);
+
+      // Try to extract progress information
+      const progress = this.parseProgress(output);
+      if (progress) {
+        this.recordEncodeProgress(episodeId, job, encode, progress);
+        this.debug(`Transcode progress for ${episodeId}: ${job.progress}% at ${job.speed}x`);
+
+        // Once the job completed, failed or paused, its final state is already being written
+        if (job.state === TRANSCODE_STATE.TRANSCODING && Date.now() - job.lastProgressSave >= this.progressSaveInterval) {
+          job.lastProgressSave = Date.now();
+          this.saveProgressState(episodeId, job);
         }
       }
+
+      this.debug(`FFmpeg: ${output.trim()}`);
+    });
+
+    ffmpeg.on('error', (error) => {
+      this.log(`FFmpeg error for episode ${episodeId}: ${error.message}`);
+      this.finishEncode(episodeId, job, encode, { error: error.message, stderr });
+    });
+
+    ffmpeg.on('close', (code) => {
+      if (code !== 0 && !encode.stopped) {
+        this.log(`FFmpeg process for episode ${episodeId} exited with code ${code}`);
+        this.finishEncode(episodeId, job, encode, { error: `FFmpeg exited with code ${code}`, exitCode: code, stderr });
+      } else {
+        this.finishEncode(episodeId, job, encode, { reachedEnd: code === 0 });
+      }
+    });
+
+    return encode;
+  }
+
+  /**
+   * Handle an encode exiting: fail the job, fill any gaps left between encodes, or complete it
+   */
+  finishEncode(episodeId, job, encode, result) {
+    const index = job.encodes.indexOf(encode);
+    if (index === -1) {
+      return; // 'error' and 'close' can both fire
+    }
+    job.encodes.splice(index, 1);
+
+    // Progress is estimated from encode time; forget segments that never made it to disk
+    const renditionDir = path.join(job.outputDir, job.renditions[0].name);
+    for (let i = 0; i < encode.producedSegments; i++) {
+      const segment = encode.startSegment + i;
+      if (!fs.existsSync(path.join(renditionDir, this.getSegmentFilename(segment, this.getSegmentExtension(job))))) {
+        job.segmentsDone.delete(segment);
+      }
+    }
+
+    // Deleted, evicted or shutting down while running
+    if (this.isShuttingDown || this.transcodeJobs.get(episodeId) !== job || job.state !== TRANSCODE_STATE.TRANSCODING) {
+      return;
+    }
+
+    if (result.reachedEnd && job.seekable) {
+      // Count the segments this encode actually wrote to learn where the source ends
+      job.segmentCount = this.countSegmentsFrom(job, encode.startSegment);
+    }
+
+    if (result.error) {
+      if (job.encodes.length > 0) {
+        // Other encodes are still running; any gap is filled once they finish
+        this.log(`Encode for episode ${episodeId} at segment ${encode.startSegment} failed: ${result.error}`);
+        return;
+      }
+
+      this.endAttempt(job, result);
+
+      // FFmpeg ran and gave up on the source (rather than failing to start): try once more tolerating corruption
+      if (result.exitCode !== undefined && !job.tolerant) {
+        return this.retryTolerant(episodeId, job, result).catch(error => {
+          this.failTranscode(episodeId, job, { error: error.message, stderr: result.stderr });
+        });
+      }
+      return this.failTranscode(episodeId, job, result);
+    }
+
+    if (job.encodes.length > 0 || (!job.seekable && !result.reachedEnd)) {
+      return;
+    }
+
+    if (job.seekable) {
+      const missing = this.findMissingSegment(job);
+      if (missing !== -1) {
+        this.spawnEncode(episodeId, job, missing);
+        return;
+      }
+    }
+
+    // Captions are usually extracted well ahead of the encode; otherwise finishCaptions completes the job
+    if (job.captions && job.captions.isRunning()) {
+      return;
+    }
+
+    this.completeTranscode(episodeId, job);
+  }
+
+  completeTranscode(episodeId, job) {
+    // Remove from active transcodes queue
+    const index = this.activeTranscodes.indexOf(episodeId);
+    if (index !== -1) {
+      this.activeTranscodes.splice(index, 1);
+      this.debug(`Removed episode ${episodeId} from active queue (${this.activeTranscodes.length} active)`);
+    }
+
+    this.log(`Transcode completed successfully for episode ${episodeId}`);
+    job.state = TRANSCODE_STATE.COMPLETE;
+    job.endTime = Date.now();
+    job.progress = 100;
+    this.endAttempt(job, {});
+    job.etaSeconds = 0;
+    if (job.duration) {
+      job.encodedSeconds = job.duration;
+    }
+    this.publishTranscodeEvent('transcode.completed', episodeId, job);
+
+    TranscodeQueue.setState(episodeId, 'complete', { progress: 100, error: null }).catch(error => {
+      this.log(`Failed to record completed transcode for episode ${episodeId}: ${error.message}`);
+    });
+
+    // Update bulk conversion stats if active
+    if (this.isBulkConverting) {
+      this.bulkConversionStats.completed++;
+      this.logBulkProgress();
+    }
+
+    this.saveTranscodeState(episodeId, {
+      state: TRANSCODE_STATE.COMPLETE,
+      startTime: job.startTime,
+      endTime: job.endTime,
+      sourceUrl: job.sourceUrl,
+      renditions: job.renditions,
+      mode: job.mode,
+      clientProfile: job.clientProfile,
+      source: job.source,
+      seekable: job.seekable,
+      segmentFormat: job.segmentFormat,
+      segmentCount: job.segmentCount,
+      captions: job.captions ? job.captions.state : null,
+      tolerant: job.tolerant,
+      attempts: job.attempts,
+      progress: 100,
+      duration: job.duration,
+      speed: job.speed,
+      showName: job.metadata.showName,
+      episodeName: job.metadata.episodeName,
+      airDate: job.metadata.airDate
+    });
+
+    // The cache just grew, so make room if it is over budget
+    if (this.maxCacheSize) {
+      this.cleanup();
+    }
+
+    this.queueThumbnails(episodeId);
+
+    // A slot is free for queued jobs
+    this.processQueue();
+  }
+
+  /**
+   * Queue trickplay thumbnail generation for a completed episode
+   */
+  queueThumbnails(episodeId) {
+    const generating = this.thumbnailJob && this.thumbnailJob.episodeId === episodeId;
+    if (generating || this.thumbnailQueue.includes(episodeId)) {
+      return;
+    }
+
+    this.thumbnailQueue.push(episodeId);
+    this.processThumbnails();
+  }
+
+  /**
+   * Generate queued thumbnails, one episode at a time
+   */
+  async processThumbnails() {
+    if (this.thumbnailJob) {
+      return;
+    }
+
+    while (this.thumbnailQueue.length > 0 && !this.isShuttingDown) {
+      const episodeId = this.thumbnailQueue.shift();
+      const job = this.transcodeJobs.get(episodeId);
+      const rendition = job && this.getSmallestVideoRendition(job);
+      const duration = job && (job.duration || (job.segmentCount && job.segmentCount * this.segmentDuration));
+
+      // Deleted or evicted since, or nothing to take thumbnails from
+      if (!job || job.state !== TRANSCODE_STATE.COMPLETE || !duration) {
+        continue;
+      }
+
+      // Thumbnails keep the aspect ratio of the rendition they are taken from
+      const height = rendition && rendition.width
+        ? Math.round((THUMBNAIL_WIDTH * rendition.height / rendition.width) / 2) * 2
+        : Math.round(THUMBNAIL_WIDTH * 9 / 16);
+      const generator = new ThumbnailGenerator({
+        outputDir: path.join(this.getStreamDir(episodeId), THUMBNAILS_DIR),
+        interval: this.thumbnailInterval,
+        width: THUMBNAIL_WIDTH,
+        height,
+        spriteUrlPrefix: `${THUMBNAILS_DIR}/`
+      });
+      const input = rendition
+        ? path.join(this.getStreamDir(episodeId), rendition.name, 'stream.m3u8')
+        : this.getPlaylistPath(episodeId);
+
+      this.thumbnailJob = { episodeId, generator };
+      this.debug(`Generating thumbnails for episode ${episodeId}`);
+
+      try {
+        const count = await generator.generate(input, duration);
+        this.debug(`Generated ${count} thumbnails for episode ${episodeId}`);
+      } catch (error) {
+        this.log(`Thumbnail generation failed for episode ${episodeId}: ${error.message}`);
+      }
+
+      this.thumbnailJob = null;
+    }
+  }
+
+  /**
+   * Playlist of a completed episode's smallest video rendition, for analysing it locally
+   * instead of reading the source again
+   * @returns {string|null} - null unless the episode is fully transcoded with muxed audio
+   *   (CMAF video renditions have none)
+   */
+  getAnalysisPlaylist(episodeId) {
+    const job = this.transcodeJobs.get(episodeId);
+    if (!job || job.state !== TRANSCODE_STATE.COMPLETE || job.segmentFormat === 'cmaf') {
+      return null;
+    }
+
+    const rendition = this.getSmallestVideoRendition(job);
+    return rendition
+      ? path.join(this.getStreamDir(episodeId), rendition.name, 'stream.m3u8')
+      : this.getPlaylistPath(episodeId);
+  }
+
+  /**
+   * The smallest video rendition of a job, which thumbnails and commercial analysis read
+   * @returns {Object|null} - null for caches from before the ABR ladder
+   */
+  getSmallestVideoRendition(job) {
+    const videoRenditions = (job.renditions || []).filter(rendition => !rendition.audioOnly);
+    return videoRenditions.length > 0 ? videoRenditions[videoRenditions.length - 1] : null;
+  }
+
+  /**
+   * Stop and forget thumbnail generation for an episode being removed
+   */
+  cancelThumbnails(episodeId) {
+    const index = this.thumbnailQueue.indexOf(episodeId);
+    if (index !== -1) {
+      this.thumbnailQueue.splice(index, 1);
+    }
+
+    if (this.thumbnailJob && this.thumbnailJob.episodeId === episodeId) {
+      this.thumbnailJob.generator.stop();
+    }
+  }
+
+  /**
+   * Get the WebVTT thumbnail index of an episode. Completed episodes without
+   * thumbnails (cached before they were introduced, or failed) get them queued.
+   * @returns {Promise<string|null>} - Index contents, or null if not generated yet
+   */
+  async getThumbnailIndex(episodeId) {
+    try {
+      return await readFile(path.join(this.getStreamDir(episodeId), THUMBNAILS_DIR, ThumbnailGenerator.INDEX_FILENAME), 'utf8');
+    } catch (error) {
+      const job = this.transcodeJobs.get(episodeId);
+      if (job && job.state === TRANSCODE_STATE.COMPLETE) {
+        this.queueThumbnails(episodeId);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Whether thumbnails are queued or being generated for an episode
+   */
+  isGeneratingThumbnails(episodeId) {
+    return this.thumbnailQueue.includes(episodeId) ||
+      (!!this.thumbnailJob && this.thumbnailJob.episodeId === episodeId);
+  }
+
+  /**
+   * Get an episode's cached MP4 download, or queue it to be prepared. A failed attempt
+   * is reported once; the next request tries again.
+   * @param {string} sourceUrl - Encoded from unless the HLS cache has a rendition of this quality
+   * @param {string} quality - One of DOWNLOAD_QUALITIES
+   * @param {number|null} duration - Episode duration in seconds, for progress and the size estimate
+   * @returns {Promise<Object>} - { state: 'complete', quality, size, path } once prepared,
+   *   otherwise { state ('queued', 'preparing' or 'error'), quality, estimatedSize, progress, ... }
+   */
+  async requestDownload(episodeId, sourceUrl, quality = DEFAULT_DOWNLOAD_QUALITY, duration = null) {
+    const key = `${episodeId}/${quality}`;
+    const outputPath = this.getDownloadPath(episodeId, quality);
+    let download = this.downloadJobs.get(key);
+
+    if (download && download.state === 'error') {
+      this.downloadJobs.delete(key);
+      return this.formatDownload(download);
+    }
+
+    if (!download) {
+      try {
+        const { size } = await stat(outputPath);
+        return { state: 'complete', quality, size, path: outputPath };
+      } catch (error) {
+        // Not prepared yet
+      }
+
+      download = {
+        episodeId: String(episodeId),
+        quality,
+        state: 'queued',
+        sourceUrl,
+        outputPath,
+        duration: duration || (this.transcodeJobs.get(String(episodeId)) || {}).duration || null,
+        estimatedSize: null,
+        progress: 0,
+        etaSeconds: null,
+        queuedAt: Date.now(),
+        startTime: null,
+        error: null,
+        exporter: null
+      };
+      download.estimatedSize = await this.estimateDownloadSize(download);
+
+      // Another request may have queued it while the size was estimated
+      if (this.downloadJobs.has(key)) {
+        download = this.downloadJobs.get(key);
+      } else {
+        this.downloadJobs.set(key, download);
+        this.log(`Queued ${quality} MP4 download of episode ${episodeId}`);
+      }
+    }
+
+    this.processDownloads();
+    return this.formatDownload(download);
+  }
+
+  /**
+   * Start queued downloads, oldest first, while transcode slots are free
+   */
+  processDownloads() {
+    if (this.isShuttingDown) {
+      return;
+    }
+
+    for (const download of this.downloadJobs.values()) {
+      if (!this.hasFreeSlot()) {
+        break;
+      }
+      if (download.state === 'queued') {
+        this.runDownload(download);
+      }
+    }
+  }
+
+  async runDownload(download) {
+    const { episodeId, quality } = download;
+    const key = `${episodeId}/${quality}`;
+    const exporter = new Mp4Exporter();
+
+    // Claims the slot before anything else can be started
+    download.state = 'preparing';
+    download.startTime = Date.now();
+    download.exporter = exporter;
+
+    const [rendition, audioRendition] = this.getCachedRenditions(episodeId, quality);
+    const playlist = name => path.join(this.getStreamDir(episodeId), name, 'stream.m3u8');
+
+    this.log(`Preparing ${quality} MP4 download of episode ${episodeId} (${rendition ? 'remux from HLS cache' : 'transcode'})`);
+
+    try {
+      await mkdir(path.dirname(download.outputPath), { recursive: true });
+      await exporter.export({
+        input: rendition ? playlist(rendition.name) : download.sourceUrl,
+        audioInput: audioRendition ? playlist(audioRendition.name) : null,
+        outputPath: download.outputPath,
+        remux: !!rendition,
+        rendition: RENDITION_PRESETS[quality]
+      }, (output) => {
+        const progress = this.parseProgress(output);
+        if (progress && download.duration) {
+          download.progress = Math.min(99, Math.floor((progress.encodedSeconds / download.duration) * 100));
+          download.etaSeconds = progress.speed > 0
+            ? Math.max(0, Math.round((download.duration - progress.encodedSeconds) / progress.speed))
+            : null;
+        }
+      });
+
+      this.downloadJobs.delete(key);
+      this.log(`MP4 download of episode ${episodeId} (${quality}) ready`);
+    } catch (error) {
+      // Cancelled downloads have already been forgotten
+      if (this.downloadJobs.get(key) === download) {
+        this.log(`MP4 download of episode ${episodeId} (${quality}) failed: ${error.message}`);
+        download.state = 'error';
+        download.error = error.message;
+      }
+    }
+
+    download.exporter = null;
+
+    // A slot is free for queued jobs
+    this.processQueue();
+  }
+
+  /**
+   * The HLS renditions of a completed episode a download of a quality is remuxed from:
+   * the video rendition, and for CMAF (video only) the main audio rendition
+   * @returns {Array} - Empty unless cached
+   */
+  getCachedRenditions(episodeId, quality) {
+    const job = this.transcodeJobs.get(String(episodeId));
+    const renditions = (job && job.state === TRANSCODE_STATE.COMPLETE && job.renditions) || [];
+    const rendition = renditions.find(r => r.name === quality);
+
+    if (!rendition) {
+      return [];
+    }
+    return rendition.videoOnly ? [rendition, renditions.find(r => r.main)] : [rendition];
+  }
+
+  /**
+   * Estimate a download's size: the size of the HLS renditions it is remuxed from,
+   * or the quality's bitrates over the episode's duration
+   * @returns {Promise<number|null>} Bytes, or null if the duration is unknown
+   */
+  async estimateDownloadSize(download) {
+    const renditions = this.getCachedRenditions(download.episodeId, download.quality);
+    if (renditions.length > 0) {
+      let size = 0;
+      for (const rendition of renditions) {
+        size += await this.getDirectorySize(path.join(this.getStreamDir(download.episodeId), rendition.name));
+      }
+      return size;
+    }
+
+    const { videoBitrate, audioBitrate } = RENDITION_PRESETS[download.quality];
+    return download.duration ? Math.round(((videoBitrate + audioBitrate) * 1000 / 8) * download.duration) : null;
+  }
+
+  formatDownload(download) {
+    const queued = [...this.downloadJobs.values()].filter(job => job.state === 'queued');
+
+    return {
+      state: download.state,
+      quality: download.quality,
+      estimatedSize: download.estimatedSize,
+      progress: download.progress,
+      etaSeconds: download.etaSeconds,
+      position: download.state === 'queued' ? queued.indexOf(download) + 1 : null,
+      error: download.error
+    };
+  }
+
+  /**
+   * Stop and forget an episode's downloads being prepared
+   */
+  cancelDownloads(episodeId) {
+    for (const [key, download] of this.downloadJobs.entries()) {
+      if (download.episodeId === String(episodeId)) {
+        this.downloadJobs.delete(key);
+        if (download.exporter) {
+          download.exporter.stop();
+        }
+      }
+    }
+  }
+
+  getRunningDownloadCount() {
+    return [...this.downloadJobs.values()].filter(download => download.state === 'preparing').length;
+  }
+
+  /**
+   * Whether a download of an episode is queued or being prepared
+   */
+  isPreparingDownload(episodeId) {
+    return [...this.downloadJobs.values()].some(download =>
+      download.episodeId === String(episodeId) && download.state !== 'error');
+  }
+
+  /**
+   * Number of FFmpeg encodes of running transcodes. Each takes a slot, so a transcode with a
+   * seek encode alongside its main one takes two (and one between encodes still takes one).
+   */
+  getRunningEncodeCount() {
+    return this.activeTranscodes.reduce((count, episodeId) => {
+      const job = this.transcodeJobs.get(episodeId);
+      const encodes = job ? job.encodes.filter(encode => !encode.stopped).length : 0;
+      return count + Math.max(1, encodes);
+    }, 0);
+  }
+
+  /**
+   * Whether a transcode slot is free (encodes, transcodes still probing, and downloads all take one)
+   */
+  hasFreeSlot() {
+    return this.getRunningEncodeCount() + this.startingTranscodes.size + this.getRunningDownloadCount() <
+      this.maxConcurrentTranscodes;
+  }
+
+  /**
+   * Attempts record each FFmpeg argument set a job was encoded with
+   */
+  startAttempt(job) {
+    job.attempts.push({ tolerant: job.tolerant, startTime: Date.now(), endTime: null, exitCode: null, error: null });
+  }
+
+  endAttempt(job, result) {
+    const attempt = job.attempts[job.attempts.length - 1];
+    if (attempt && !attempt.endTime) {
+      attempt.endTime = Date.now();
+      attempt.exitCode = result.exitCode !== undefined ? result.exitCode : null;
+      attempt.error = result.error || null;
+    }
+  }
+
+  /**
+   * Encode a failed job again with TOLERANT_INPUT_ARGS. Seekable jobs keep their segments and
+   * encode the missing ones; copied video has no exact boundaries to resume at, so it starts over.
+   */
+  async retryTolerant(episodeId, job, result) {
+    this.log(`Transcode for episode ${episodeId} failed (${result.error}), retrying with corrupt-stream tolerance`);
+    this.debug(`FFmpeg stderr for episode ${episodeId}: ${(result.stderr || '').trim()}`);
+
+    job.tolerant = true;
+    job.retrying = true; // No encode is running meanwhile, but the job must not complete
+    let startSegment = 0;
+
+    if (job.seekable) {
+      startSegment = this.findMissingSegment(job);
+      if (startSegment === -1) {
+        // Every segment is there: encode the last one again to find where the source ends
+        startSegment = Math.max(0, this.getSegmentCount(job) - 1);
+        job.segmentsDone.delete(startSegment);
+      }
+    } else {
+      for (const rendition of job.renditions) {
+        const renditionDir = path.join(job.outputDir, rendition.name);
+        await this.cleanupStreamDir(renditionDir);
+        await mkdir(renditionDir, { recursive: true });
+      }
+      job.encodedSeconds = 0;
+      job.progress = 0;
+    }
+
+    job.retrying = false;
+
+    // Deleted, evicted, paused or shutting down while cleaning up
+    if (this.isShuttingDown || this.transcodeJobs.get(episodeId) !== job || job.state !== TRANSCODE_STATE.TRANSCODING) {
+      return;
+    }
+
+    this.startAttempt(job);
+    this.saveProgressState(episodeId, job);
+    this.spawnEncode(episodeId, job, startSegment);
+  }
+
+  failTranscode(episodeId, job, result) {
+    const { error } = result;
+    job.state = TRANSCODE_STATE.ERROR;
+    job.error = error;
+    job.exitCode = result.exitCode !== undefined ? result.exitCode : null;
+    job.stderr = result.stderr || null;
+    if (job.captions) {
+      job.captions.stop();
+    }
+    this.publishTranscodeEvent('transcode.failed', episodeId, job);
+
+    // Remove from active transcodes queue
+    const index = this.activeTranscodes.indexOf(episodeId);
+    if (index !== -1) {
+      this.activeTranscodes.splice(index, 1);
+      this.debug(`Removed episode ${episodeId} from active queue due to error (${this.activeTranscodes.length} active)`);
+    }
+
+    this.saveTranscodeState(episodeId, {
+      state: TRANSCODE_STATE.ERROR,
+      startTime: job.startTime,
+      endTime: Date.now(),
+      error,
+      exitCode: job.exitCode,
+      stderr: job.stderr, // Last STDERR_TAIL_LENGTH chars of stderr
+      tolerant: job.tolerant,
+      attempts: job.attempts,
+      renditions: job.renditions, // Lets a retry resume the segments already encoded
+      mode: job.mode,
+      seekable: job.seekable,
+      segmentFormat: job.segmentFormat,
+      captions: job.captions ? job.captions.state : null,
+      showName: job.metadata.showName,
+      episodeName: job.metadata.episodeName,
+      airDate: job.metadata.airDate
+    });
+
+    this.recordFailure(episodeId, error);
+
+    // A slot is free for queued jobs
+    this.processQueue();
+  }
+
+  /**
+   * Queue a failed job for another attempt, or mark it failed once it used up maxAttempts
+   */
+  async recordFailure(episodeId, error) {
+    try {
+      const record = await TranscodeQueue.getJob(episodeId);
+      if (!record) {
+        return;
+      }
+
+      if (record.attempts < this.maxAttempts) {
+        this.log(`Re-queuing episode ${episodeId} after failed attempt ${record.attempts}/${this.maxAttempts}`);
+        await TranscodeQueue.setState(episodeId, 'queued', { error });
+        this.processQueue();
+        return;
+      }
+
+      await TranscodeQueue.setState(episodeId, 'failed', { error });
+
+      // Update bulk conversion stats if active
+      if (this.isBulkConverting) {
+        this.bulkConversionStats.failed++;
+        this.logBulkProgress();
+      }
+    } catch (dbError) {
+      this.log(`Failed to record failed transcode for episode ${episodeId}: ${dbError.message}`);
+    }
+  }
+
+  /**
+   * Stop an encode on purpose (its exit then counts as success, not failure)
+   */
+  stopEncode(encode) {
+    if (!encode.stopped && encode.process && !encode.process.killed) {
+      encode.stopped = true;
+      encode.process.kill('SIGTERM');
+    }
+  }
+
+  /**
+   * Total number of segments, exact once the end of the source was reached
+   */
+  getSegmentCount(job) {
+    if (job.segmentCount) {
+      return job.segmentCount;
+    }
+    return Math.ceil(job.duration / this.segmentDuration);
+  }
+
+  getSegmentFilename(index, extension = '.ts') {
+    return `segment${String(index).padStart(4, '0')}${extension}`;
+  }
+
+  /**
+   * Extension of a job's media segments (caches from before CMAF are MPEG-TS)
+   */
+  getSegmentExtension(job) {
+    return SEGMENT_FORMATS[job.segmentFormat || 'ts'].extension;
+  }
+
+  /**
+   * Count consecutive segments on disk from a segment (checks the first rendition)
+   */
+  countSegmentsFrom(job, startSegment) {
+    const renditionDir = path.join(job.outputDir, job.renditions[0].name);
+    let index = startSegment;
+
+    while (fs.existsSync(path.join(renditionDir, this.getSegmentFilename(index, this.getSegmentExtension(job))))) {
+      index++;
+    }
+
+    return index;
+  }
+
+  /**
+   * First segment missing from disk in any rendition, or -1
+   */
+  findMissingSegment(job) {
+    const total = this.getSegmentCount(job);
+
+    for (let index = 0; index < total; index++) {
+      const filename = this.getSegmentFilename(index, this.getSegmentExtension(job));
+      const missing = job.renditions.some(rendition =>
+        !fs.existsSync(path.join(job.outputDir, rendition.name, filename)));
+
+      if (missing) {
+        return index;
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * Probe a source with ffprobe
+   * @returns {Promise<Object|null>} - { duration, bitrate, video: { codec, profile, level, width, height, captions }, audio: { codec, channels, bitrate },
+   *   audioTracks: [{ index, codec, channels, bitrate, language, descriptive }] }, or null if probing failed (the source is then fully transcoded).
+   *   audio is the first audio track, the one muxed into every video rendition.
+   */
+  async probeSource(sourceUrl) {
+    const args = [
+      '-v', 'error',
+      '-print_format', 'json',
+      '-show_format',
+      '-show_streams',
+      sourceUrl
+    ];
+
+    return new Promise((resolve) => {
+      const ffprobe = spawn('ffprobe', args);
+      let stdout = '';
+
+      const timer = setTimeout(() => {
+        this.log(`ffprobe timed out for ${sourceUrl}`);
+        ffprobe.kill('SIGKILL');
+      }, this.probeTimeout);
+
+      ffprobe.stdout.on('data', (data) => {
+        stdout += data.toString();
+      });
+
+      ffprobe.on('error', (error) => {
+        clearTimeout(timer);
+        this.log(`ffprobe failed: ${error.message}`);
+        resolve(null);
+      });
+
+      ffprobe.on('close', (code) => {
+        clearTimeout(timer);
+
+        if (code !== 0) {
+          this.debug(`ffprobe exited with code ${code} for ${sourceUrl}`);
+          return resolve(null);
+        }
+
+        try {
+          const probe = JSON.parse(stdout);
+          const streams = probe.streams || [];
+          const video = streams.find(stream => stream.codec_type === 'video');
+          const audioStreams = streams.filter(stream => stream.codec_type === 'audio');
+          const audio = audioStreams[0];
+          const format = probe.format || {};
+
+          resolve({
+            duration: parseFloat(format.duration) || null,
+            bitrate: parseInt(format.bit_rate) || null,
+            video: video ? {
+              codec: video.codec_name,
+              profile: video.profile,
+              level: video.level,
+              width: video.width,
+              height: video.height,
+              captions: !!video.closed_captions // A/53 closed captions found in the video
+            } : null,
+            audio: audio ? {
+              codec: audio.codec_name,
+              channels: audio.channels,
+              bitrate: parseInt(audio.bit_rate) || null
+            } : null,
+            audioTracks: audioStreams.map((stream, index) => ({
+              index, // Position among the audio streams (FFmpeg's 0:a:N)
+              codec: stream.codec_name,
+              channels: stream.channels,
+              bitrate: parseInt(stream.bit_rate) || null,
+              language: (stream.tags && stream.tags.language) || null,
+              // Descriptive video service, flagged for visually impaired viewers
+              descriptive: !!(stream.disposition && (stream.disposition.visual_impaired || stream.disposition.descriptions))
+            }))
+          });
+        } catch (error) {
+          this.debug(`Unreadable ffprobe output for ${sourceUrl}: ${error.message}`);
+          resolve(null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Choose the transcode mode and renditions for a probed source and client profile
+   * @returns {Object} - { mode, copyVideo, copyAudio, renditions }
+   */
+  planTranscode(source, clientProfile) {
+    const allowed = CLIENT_PROFILES[clientProfile] || CLIENT_PROFILES[this.defaultClientProfile];
+
+    const copyVideo = !!(allowed.copyVideo && source && source.video && source.video.codec === 'h264');
+    const copyAudio = !!(allowed.copyAudio && source && source.audio && source.audio.codec === 'aac');
+
+    let mode = 'transcode';
+    if (copyVideo && copyAudio) {
+      mode = 'remux';
+    } else if (copyVideo) {
+      mode = 'copy-video';
+    } else if (copyAudio) {
+      mode = 'copy-audio';
+    }
+
+    // Copied audio keeps the source bitrate
+    const audioBitrate = rendition => (copyAudio && source.audio.bitrate)
+      ? Math.round(source.audio.bitrate / 1000)
+      : rendition.audioBitrate;
+
+    let renditions;
+
+    if (copyVideo) {
+      // A single rendition at the source's own resolution and bitrate
+      const { video } = source;
+      const audioKbps = copyAudio && source.audio.bitrate ? Math.round(source.audio.bitrate / 1000) : 128;
+      const totalKbps = source.bitrate ? Math.round(source.bitrate / 1000) : 8000;
+
+      renditions = [{
+        name: 'source',
+        width: video.width,
+        height: video.height,
+        videoBitrate: Math.max(totalKbps - audioKbps, 0),
+        audioBitrate: audioKbps,
+        codecs: `${this.getVideoCodecString(video)},mp4a.40.2`,
+        copy: true
+      }];
+    } else {
+      // Skip rungs above the source resolution (keeping at least the smallest video rung)
+      const sourceHeight = source && source.video && source.video.height;
+      const videoRungs = this.ladder.filter(rendition => !rendition.audioOnly);
+      const fitting = sourceHeight
+        ? videoRungs.filter(rendition => rendition.height <= sourceHeight)
+        : videoRungs;
+
+      renditions = (fitting.length > 0 ? fitting : videoRungs.slice(-1))
+        .map(rendition => ({ ...rendition, audioBitrate: audioBitrate(rendition) }));
+    }
+
+    for (const rendition of this.ladder.filter(r => r.audioOnly)) {
+      renditions.push({ ...rendition, audioBitrate: audioBitrate(rendition) });
+    }
+
+    if (this.segmentFormat === 'cmaf') {
+      // Video renditions without audio, which comes from one main audio rendition
+      renditions = renditions.map(rendition => rendition.audioOnly ? rendition : {
+        ...rendition,
+        videoOnly: true,
+        codecs: rendition.codecs.split(',')[0]
+      });
+
+      const videoCount = renditions.filter(rendition => rendition.videoOnly).length;
+      renditions.splice(videoCount, 0, {
+        name: MAIN_AUDIO_RENDITION,
+        audioOnly: true,
+        main: true,
+        audioBitrate: renditions[0].audioBitrate,
+        codecs: 'mp4a.40.2'
+      });
+    }
+
+    renditions.push(...this.planAlternateAudio(source, allowed));
+
+    return { mode, copyVideo, copyAudio, segmentFormat: this.segmentFormat, renditions };
+  }
+
+  /**
+   * Alternate audio renditions for a probed source: each secondary audio track as
+   * stereo AAC, and the primary track as AC-3 when surround audio is kept.
+   * Their audioCodec ('copy', 'aac' or 'ac3') overrides the plan's audio codec.
+   * @returns {Array} - Audio-only renditions listed in the master playlist's AUDIO groups
+   */
+  planAlternateAudio(source, allowed) {
+    const tracks = (source && source.audioTracks) || [];
+    const renditions = [];
+
+    // NAME must be unique within an AUDIO group, which also lists the primary track
+    const labels = new Set(tracks.slice(0, 1).map(track => this.describeAudioTrack(track).label));
+
+    for (const track of tracks.slice(1)) {
+      const copy = !!(allowed.copyAudio && track.codec === 'aac' && track.channels <= 2);
+      const description = this.describeAudioTrack(track);
+      if (labels.has(description.label)) {
+        description.label = `${description.label} ${track.index + 1}`;
+      }
+      labels.add(description.label);
+
+      renditions.push({
+        name: `audio-${track.index}`,
+        audioOnly: true,
+        alternate: true,
+        group: AUDIO_GROUPS.stereo,
+        sourceAudio: track.index,
+        audioCodec: copy ? 'copy' : 'aac',
+        audioBitrate: copy && track.bitrate ? Math.round(track.bitrate / 1000) : ALTERNATE_AUDIO_BITRATE,
+        codecs: 'mp4a.40.2',
+        ...description
+      });
+    }
+
+    const primary = tracks[0];
+    if (this.surroundAudio && primary && primary.channels > 2) {
+      // Broadcast AC-3 and E-AC-3 are copied as they are
+      const copy = primary.codec === 'ac3' || primary.codec === 'eac3';
+
+      renditions.push({
+        name: 'surround',
+        audioOnly: true,
+        alternate: true,
+        group: AUDIO_GROUPS.surround,
+        sourceAudio: primary.index,
+        audioCodec: copy ? 'copy' : 'ac3',
+        audioBitrate: copy && primary.bitrate ? Math.round(primary.bitrate / 1000) : SURROUND_AUDIO_BITRATE,
+        channels: copy ? primary.channels : 6,
+        codecs: primary.codec === 'eac3' ? 'ec-3' : 'ac-3',
+        ...this.describeAudioTrack(primary)
+      });
+    }
+
+    return renditions;
+  }
+
+  /**
+   * HLS LANGUAGE tag and display name of a probed audio track
+   * @returns {Object} - { language, label }
+   */
+  describeAudioTrack(track) {
+    const known = AUDIO_LANGUAGES[track.language];
+    const language = known ? known.tag : (track.language && track.language !== 'und' ? track.language : null);
+    const name = known ? known.name : `Audio ${track.index + 1}`;
+
+    return {
+      language,
+      label: track.descriptive ? `${name} (Described Video)` : name,
+      descriptive: track.descriptive
+    };
+  }
+
+  /**
+   * RFC 6381 codec string (e.g. "avc1.640028") for a probed H.264 stream
+   */
+  getVideoCodecString(video) {
+    const profileIdc = H264_PROFILE_IDC[video.profile] || 0x64;
+    const level = video.level > 0 ? video.level : 40;
+    const hex = value => value.toString(16).padStart(2, '0');
+
+    return `avc1.${hex(profileIdc)}00${hex(level)}`;
+  }
+
+  /**
+   * Build FFmpeg arguments writing every rendition of a plan in a single pass.
+   * Variant playlists and segments are written to {outputDir}/{rendition}/; keyframes
+   * are forced on segment boundaries so players can switch renditions cleanly.
+   * Encodes starting after segment 0 seek the source with -ss and keep the original
+   * timeline and segment numbering, so their segments slot into the same playlist.
+   * Tolerant encodes (the retry of a failed one) skip corrupt packets instead of stopping.
+   */
+  buildTranscodeArgs(sourceUrl, outputDir, plan, startSegment = 0, tolerant = false) {
+    const { renditions, copyVideo, copyAudio } = plan;
+    const videoRenditions = renditions.filter(rendition => !rendition.audioOnly);
+    const offset = startSegment * this.segmentDuration;
+
+    const args = tolerant ? [...TOLERANT_INPUT_ARGS] : [];
+    if (startSegment > 0) {
+      args.push('-ss', String(offset));
+    }
+    args.push('-i', sourceUrl);
+
+    if (!copyVideo) {
+      const filters = [
+        `[0:v:0]split=${videoRenditions.length}${videoRenditions.map((r, i) => `[s${i}]`).join('')}`,
+        ...videoRenditions.map((rendition, i) => `[s${i}]scale=-2:${rendition.height}[v${i}]`)
+      ];
+      args.push('-filter_complex', filters.join(';'));
+    }
+
+    // Output streams: one video + audio pair per video rendition, then audio-only renditions
+    const streamMap = [];
+    const alternateAudioArgs = [];
+    let audioIndex = 0;
+
+    videoRenditions.forEach((rendition, i) => {
+      args.push('-map', copyVideo ? '0:v:0' : `[v${i}]`);
+      if (!copyVideo) {
+        args.push(
+          `-maxrate:v:${i}`, `${rendition.videoBitrate}k`,
+          `-bufsize:v:${i}`, `${rendition.videoBitrate * 2}k`
+        );
+      }
+
+      // CMAF renditions are video only
+      if (rendition.videoOnly) {
+        streamMap.push(`v:${i},name:${rendition.name}`);
+        return;
+      }
+
+      args.push('-map', '0:a:0');
+      if (!copyAudio) {
+        args.push(`-b:a:${audioIndex}`, `${rendition.audioBitrate}k`);
+      }
+      streamMap.push(`v:${i},a:${audioIndex},name:${rendition.name}`);
+      audioIndex++;
+    });
+
+    for (const rendition of renditions.filter(r => r.audioOnly)) {
+      args.push('-map', `0:a:${rendition.sourceAudio || 0}`);
+      if (rendition.alternate) {
+        // Set after the plan's audio codec below, so these override it for this stream
+        alternateAudioArgs.push(...this.buildAlternateAudioArgs(rendition, audioIndex));
+      } else if (!copyAudio) {
+        args.push(`-b:a:${audioIndex}`, `${rendition.audioBitrate}k`);
+      }
+      streamMap.push(`a:${audioIndex},name:${rendition.name}`);
+      audioIndex++;
+    }
+
+    if (copyVideo) {
+      args.push('-c:v', 'copy');   // Source is already H.264, segments split on its keyframes
+    } else {
+      args.push(
+        '-c:v', 'libx264',          // Transcode to H.264
+        '-preset', 'veryfast',       // Fast encoding
+        '-profile:v', 'high',
+        '-crf', '23',                // Quality (lower = better, 23 is default)
+        '-g', '48',                  // GOP size (keyframe interval)
+        '-sc_threshold', '0',        // Disable scene change detection
+        '-force_key_frames', `expr:gte(t,n_forced*${this.segmentDuration})` // Align segments across renditions
+      );
+    }
+
+    if (copyAudio) {
+      args.push('-c:a', 'copy');   // Source is already AAC
+    } else {
+      args.push(
+        '-c:a', 'aac',               // Transcode audio to AAC
+        '-ac', '2',                  // Stereo audio (downmix from 5.1)
+        '-ar', '48000'               // Audio sample rate
+      );
+    }
+
+    args.push(...alternateAudioArgs);
+
+    if (startSegment > 0) {
+      args.push(
+        '-output_ts_offset', String(offset), // Keep timestamps on the episode's timeline
+        '-start_number', String(startSegment)
+      );
+    }
+
+    const format = SEGMENT_FORMATS[plan.segmentFormat || 'ts'];
+    if (plan.segmentFormat === 'cmaf') {
+      args.push('-hls_fmp4_init_filename', 'init_%v.mp4'); // Written next to each rendition's playlist
+    }
+
+    args.push(
+      '-f', 'hls',                 // HLS format
+      '-hls_time', String(this.segmentDuration),
+      '-hls_list_size', '0',       // Keep ALL segments in playlist
+      '-hls_segment_type', format.segmentType,
+      // Segments appear only once complete; seek encodes must not append to (and renumber from) the playlist
+      '-hls_flags', startSegment > 0 ? 'independent_segments+temp_file' : 'append_list+independent_segments+temp_file',
+      '-hls_segment_filename', path.join(outputDir, '%v', `segment%04d${format.extension}`),
+      '-var_stream_map', streamMap.join(' '),
+      path.join(outputDir, '%v', startSegment > 0 ? 'seek.m3u8' : 'stream.m3u8')
+    );
+
+    return args;
+  }
+
+  /**
+   * Per-stream codec options of an alternate audio rendition (output audio stream index)
+   */
+  buildAlternateAudioArgs(rendition, index) {
+    if (rendition.audioCodec === 'copy') {
+      return [`-c:a:${index}`, 'copy'];
+    }
+
+    if (rendition.audioCodec === 'ac3') {
+      return [`-c:a:${index}`, 'ac3', `-b:a:${index}`, `${rendition.audioBitrate}k`, `-ac:a:${index}`, '6'];
+    }
+
+    return [
+      `-c:a:${index}`, 'aac',
+      `-b:a:${index}`, `${rendition.audioBitrate}k`,
+      `-ac:a:${index}`, '2',
+      `-ar:a:${index}`, '48000'
+    ];
+  }
+
+  /**
+   * Build the master playlist for an episode from its rendition ladder
+   * @returns {Promise<string>} - Playlist contents
+   */
+  async getMasterPlaylist(episodeId) {
+    const job = this.transcodeJobs.get(episodeId);
+
+    // Caches from before the ABR ladder only have a single media playlist
+    if (!job || !job.renditions) {
+      return await readFile(this.getPlaylistPath(episodeId), 'utf8');
+    }
+
+    const lines = ['#EXTM3U', `#EXT-X-VERSION:${job.segmentFormat === 'cmaf' ? 7 : 3}`, '#EXT-X-INDEPENDENT-SEGMENTS'];
+
+    // Closed captions, off until the viewer turns them on
+    const captions = !!job.captions && job.captions.state !== CAPTION_STATE.ERROR;
+    if (captions) {
+      lines.push(`#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="${SUBTITLES_GROUP}",NAME="Closed Captions",LANGUAGE="${this.captionLanguage}",DEFAULT=NO,AUTOSELECT=YES,FORCED=NO,URI="${CAPTIONS_DIR}/stream.m3u8"`);
+    }
+
+    // Alternate audio: AUDIO groups offering the secondary tracks alongside the muxed primary
+    // track ("aac"), and with surround sound the AC-3 rendition in place of it ("ac3").
+    // CMAF video carries no audio, so its primary track is the main audio rendition.
+    const alternates = job.renditions.filter(rendition => rendition.alternate);
+    const mainAudio = job.renditions.find(rendition => rendition.main) || null;
+    const surround = alternates.find(rendition => rendition.group === AUDIO_GROUPS.surround);
+    const secondary = alternates.filter(rendition => rendition.group === AUDIO_GROUPS.stereo);
+    const groups = [];
+
+    if (alternates.length > 0 || mainAudio) {
+      const primary = job.source && job.source.audioTracks && job.source.audioTracks[0];
+      const main = primary ? this.describeAudioTrack(primary) : { language: null, label: 'Main' };
+
+      lines.push(this.buildAudioMedia(AUDIO_GROUPS.stereo, main, true, mainAudio && mainAudio.name));
+      secondary.forEach(rendition => lines.push(this.buildAudioMedia(AUDIO_GROUPS.stereo, rendition, false, rendition.name)));
+      groups.push({ id: AUDIO_GROUPS.stereo, rendition: mainAudio });
+
+      if (surround) {
+        lines.push(this.buildAudioMedia(AUDIO_GROUPS.surround, { ...surround, label: `${surround.label} 5.1` }, true, surround.name));
+        secondary.forEach(rendition => lines.push(this.buildAudioMedia(AUDIO_GROUPS.surround, rendition, false, rendition.name)));
+        groups.push({ id: AUDIO_GROUPS.surround, rendition: surround });
+      }
+    }
+
+    // Extra bandwidth of the largest stereo alternate, fetched alongside the muxed audio
+    const secondaryKbps = Math.max(0, ...secondary.map(rendition => rendition.audioBitrate));
+
+    for (const group of groups.length > 0 ? groups : [null]) {
+      // The audio-only rung only carries the stereo primary track
+      const variants = job.renditions.filter(r => !r.alternate && !r.main &&
+        !(r.audioOnly && group && group.id === AUDIO_GROUPS.surround));
+
+      for (const rendition of variants) {
+        // A CMAF audio-only rung plays its own audio rather than the group's
+        const grouped = !!group && !(rendition.audioOnly && group.rendition);
+        let kbps = (rendition.videoBitrate || 0) + (rendition.videoOnly ? 0 : rendition.audioBitrate);
+        let codecs = rendition.codecs;
+
+        if (grouped) {
+          const groupCodecs = [
+            ...(group.rendition ? [group.rendition.codecs] : []),
+            ...(secondary.length > 0 ? ['mp4a.40.2'] : [])
+          ];
+          kbps += group.rendition ? Math.max(group.rendition.audioBitrate, secondaryKbps) : secondaryKbps;
+          codecs = [...new Set([...codecs.split(','), ...groupCodecs])].join(',');
+        }
+
+        // Peak bandwidth in bits/s, with ~10% allowance for MPEG-TS overhead
+        const bandwidth = Math.round(kbps * 1000 * 1.1);
+        const attributes = [`BANDWIDTH=${bandwidth}`];
+
+        if (!rendition.audioOnly) {
+          attributes.push(`RESOLUTION=${rendition.width}x${rendition.height}`);
+        }
+        attributes.push(`CODECS="${codecs}"`);
+        if (grouped) {
+          attributes.push(`AUDIO="${group.id}"`);
+        }
+        if (captions) {
+          attributes.push(`SUBTITLES="${SUBTITLES_GROUP}"`);
+        }
+
+        lines.push(`#EXT-X-STREAM-INF:${attributes.join(',')}`);
+        lines.push(`${rendition.name}/stream.m3u8`);
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * An EXT-X-MEDIA audio rendition line. Without a URI the track is the one muxed into the variant.
+   * @param {Object} track - { language, label, descriptive, channels }
+   */
+  buildAudioMedia(groupId, track, isDefault, renditionName) {
+    const attributes = [
+      'TYPE=AUDIO',
+      `GROUP-ID="${groupId}"`,
+      `NAME="${track.label}"`
+    ];
+
+    if (track.language) {
+      attributes.push(`LANGUAGE="${track.language}"`);
+    }
+    attributes.push(`DEFAULT=${isDefault ? 'YES' : 'NO'}`, 'AUTOSELECT=YES');
+    if (track.descriptive) {
+      attributes.push('CHARACTERISTICS="public.accessibility.describes-video"');
+    }
+    if (track.channels) {
+      attributes.push(`CHANNELS="${track.channels}"`);
+    }
+    if (renditionName) {
+      attributes.push(`URI="${renditionName}/stream.m3u8"`);
+    }
+
+    return `#EXT-X-MEDIA:${attributes.join(',')}`;
+  }
+
+  /**
+   * Build a full-length VOD playlist for a rendition of a seekable job, listing every
+   * segment up front (including ones not encoded yet) so players can seek anywhere
+   * @returns {Promise<string|null>} - Playlist contents, or null to serve FFmpeg's own playlist
+   */
+  async getVariantPlaylist(episodeId, renditionName) {
+    const job = this.transcodeJobs.get(episodeId);
+
+    if (!job || !job.seekable || !job.renditions || !job.renditions.some(r => r.name === renditionName)) {
+      return null;
+    }
+
+    const markers = this.getCommercialMarkers ? await this.getCommercialMarkers(episodeId) : [];
+    const initSegment = job.segmentFormat === 'cmaf' ? `init_${renditionName}.mp4` : null;
+    return this.buildVodPlaylist(job, this.getSegmentExtension(job), markers, initSegment);
+  }
+
+  /**
+   * Build the full-length subtitle playlist of an episode's closed captions
+   * @returns {string|null} - Playlist contents, or null if the episode has no captions
+   */
+  getCaptionPlaylist(episodeId) {
+    const job = this.transcodeJobs.get(episodeId);
+
+    if (!job || !job.captions || !job.duration) {
+      return null;
+    }
+
+    return this.buildVodPlaylist(job, '.vtt');
+  }
+
+  /**
+   * Whether an episode has extracted (or extracting) closed captions with a given segment
+   */
+  hasCaptionSegment(episodeId, index) {
+    const job = this.transcodeJobs.get(episodeId);
+    return !!job && !!job.captions && !!job.duration && index < this.getSegmentCount(job);
+  }
+
+  /**
+   * Cut a caption segment from an episode's extracted closed captions
+   * @returns {Promise<string|null>} - WebVTT contents, or null while extraction has not reached the segment
+   */
+  async getCaptionSegment(episodeId, index) {
+    const job = this.transcodeJobs.get(episodeId);
+    const start = index * this.segmentDuration;
+
+    // fMP4 segments start at timestamp 0 rather than MPEG-TS's 1.4s
+    return job.captions.getSegment(start, start + this.segmentDuration, job.segmentFormat === 'cmaf' ? 0 : undefined);
+  }
+
+  /**
+   * List every segment of a job (segment0000 and on, with the given extension) in a VOD playlist
+   * @param {Array} markers - Commercial breaks to tag with EXT-X-DATERANGE
+   * @param {string|null} initSegment - Initialization segment of fragmented MP4 segments
+   */
+  buildVodPlaylist(job, extension, markers = [], initSegment = null) {
+    const total = this.getSegmentCount(job);
+    const lines = [
+      '#EXTM3U',
+      `#EXT-X-VERSION:${initSegment ? 7 : 3}`,
+      `#EXT-X-TARGETDURATION:${this.segmentDuration}`,
+      '#EXT-X-MEDIA-SEQUENCE:0',
+      '#EXT-X-PLAYLIST-TYPE:VOD',
+      '#EXT-X-INDEPENDENT-SEGMENTS'
+    ];
+
+    if (initSegment) {
+      lines.push(`#EXT-X-MAP:URI="${initSegment}"`);
+    }
+
+    // Date ranges need a program date: the air date when known (any fixed date works for players)
+    if (markers.length > 0) {
+      const airDate = job.metadata && job.metadata.airDate;
+      const startDate = (airDate && Date.parse(airDate)) || 0;
+      const isoDate = seconds => new Date(startDate + Math.round(seconds * 1000)).toISOString();
+
+      lines.push(`#EXT-X-PROGRAM-DATE-TIME:${isoDate(0)}`);
+      markers.forEach((marker, index) => {
+        lines.push(`#EXT-X-DATERANGE:ID="commercial-${index + 1}",CLASS="${COMMERCIAL_DATERANGE_CLASS}",` +
+          `START-DATE="${isoDate(marker.start_time)}",DURATION=${(marker.end_time - marker.start_time).toFixed(3)},` +
+          `X-CONFIDENCE=${marker.confidence}`);
+      });
+    }
+
+    for (let index = 0; index < total; index++) {
+      const remaining = job.duration - index * this.segmentDuration;
+      const duration = index === total - 1 && remaining > 0 ? Math.min(remaining, this.segmentDuration) : this.segmentDuration;
+
+      lines.push(`#EXTINF:${duration.toFixed(6)},`);
+      lines.push(this.getSegmentFilename(index, extension));
+    }
+
+    lines.push('#EXT-X-ENDLIST');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Build a DASH manifest over an episode's CMAF segments, the same ones its HLS playlists list.
+   * Seekable episodes list every segment up front from the fixed segment duration; copied video
+   * is split on its own keyframes, so its segment durations are read from FFmpeg's playlists
+   * once the transcode is complete.
+   * @returns {Promise<string|null>} - MPD contents, or null unless the episode has CMAF segments
+   *   with a known layout
+   */
+  async getDashManifest(episodeId) {
+    const job = this.transcodeJobs.get(episodeId);
+
+    if (!job || job.segmentFormat !== 'cmaf' || !job.renditions ||
+        (!job.seekable && job.state !== TRANSCODE_STATE.COMPLETE)) {
+      return null;
+    }
+
+    const extension = this.getSegmentExtension(job);
+    const timelines = new Map();
+
+    if (!job.seekable) {
+      for (const rendition of job.renditions) {
+        timelines.set(rendition.name, await this.readSegmentDurations(path.join(job.outputDir, rendition.name, 'stream.m3u8')));
+      }
+    }
+
+    const firstTimeline = timelines.get(job.renditions[0].name);
+    const duration = job.duration || (firstTimeline ? firstTimeline.reduce((sum, d) => sum + d, 0) / 1000 : 0);
+
+    const buildRepresentation = (rendition, attributes, children = []) => {
+      const template = `initialization="init_$RepresentationID$.mp4" media="segment$Number%04d$${extension}" startNumber="0"`;
+      const lines = [
+        `      <Representation id="${rendition.name}" ${attributes}>`,
+        ...children.map(child => `        ${child}`),
+        `        <BaseURL>${rendition.name}/</BaseURL>`
+      ];
+
+      if (job.seekable) {
+        lines.push(`        <SegmentTemplate timescale="1000" duration="${this.segmentDuration * 1000}" ${template}/>`);
+      } else {
+        lines.push(`        <SegmentTemplate timescale="1000" ${template}>`, '          <SegmentTimeline>');
+        lines.push(...this.buildSegmentTimeline(timelines.get(rendition.name)).map(entry => `            ${entry}`));
+        lines.push('          </SegmentTimeline>', '        </SegmentTemplate>');
+      }
+
+      lines.push('      </Representation>');
+      return lines;
+    };
+
+    const channelConfig = channels =>
+      `<AudioChannelConfiguration schemeIdUri="urn:mpeg:dash:23003:3:audio_channel_configuration:2011" value="${channels || 2}"/>`;
+
+    const buildAudioSet = (id, track, role, renditions) => [
+      `    <AdaptationSet id="${id}" contentType="audio" mimeType="audio/mp4"${track.language ? ` lang="${track.language}"` : ''} segmentAlignment="true" startWithSAP="1">`,
+      `      <Label>${escapeXml(track.label)}</Label>`,
+      `      <Role schemeIdUri="urn:mpeg:dash:role:2011" value="${role}"/>`,
+      ...(track.descriptive ? ['      <Accessibility schemeIdUri="urn:tva:metadata:cs:AudioPurposeCS:2007" value="1"/>'] : []),
+      ...renditions.flatMap(rendition => buildRepresentation(rendition,
+        `bandwidth="${rendition.audioBitrate * 1000}" codecs="${rendition.codecs}"`, [channelConfig(rendition.channels)])),
+      '    </AdaptationSet>'
+    ];
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" profiles="urn:mpeg:dash:profile:isoff-live:2011,urn:mpeg:dash:profile:cmaf:2019"' +
+        ` type="static" mediaPresentationDuration="PT${duration.toFixed(3)}S" minBufferTime="PT${this.segmentDuration * 2}S">`,
+      '  <Period id="0" start="PT0S">'
+    ];
+
+    // Video ladder
+    const videoRenditions = job.renditions.filter(rendition => rendition.videoOnly);
+    lines.push('    <AdaptationSet id="0" contentType="video" mimeType="video/mp4" segmentAlignment="true" startWithSAP="1">');
+    for (const rendition of videoRenditions) {
+      lines.push(...buildRepresentation(rendition,
+        `bandwidth="${rendition.videoBitrate * 1000}" width="${rendition.width}" height="${rendition.height}" codecs="${rendition.codecs}"`));
+    }
+    lines.push('    </AdaptationSet>');
+
+    // Primary audio: the main audio rendition and the lower bitrate audio-only rung
+    const primary = job.source && job.source.audioTracks && job.source.audioTracks[0];
+    const main = primary ? this.describeAudioTrack(primary) : { language: null, label: 'Main' };
+    let nextId = 1;
+
+    lines.push(...buildAudioSet(nextId++, main, 'main', job.renditions.filter(rendition => rendition.audioOnly && !rendition.alternate)));
+
+    // Surround sound and secondary tracks
+    for (const rendition of job.renditions.filter(r => r.alternate)) {
+      const label = rendition.group === AUDIO_GROUPS.surround ? `${rendition.label} 5.1` : rendition.label;
+      lines.push(...buildAudioSet(nextId++, { ...rendition, label }, 'alternate', [rendition]));
+    }
+
+    // Closed captions, as one WebVTT file once fully extracted
+    if (job.captions && job.captions.state === CAPTION_STATE.COMPLETE) {
+      lines.push(
+        `    <AdaptationSet id="${nextId++}" contentType="text" mimeType="text/vtt" lang="${this.captionLanguage}">`,
+        '      <Label>Closed Captions</Label>',
+        '      <Role schemeIdUri="urn:mpeg:dash:role:2011" value="caption"/>',
+        '      <Representation id="captions" bandwidth="256">',
+        `        <BaseURL>${CAPTIONS_DIR}/captions.vtt</BaseURL>`,
+        '      </Representation>',
+        '    </AdaptationSet>'
+      );
+    }
+
+    lines.push('  </Period>', '</MPD>');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Segment durations (ms) listed in a playlist FFmpeg wrote
+   */
+  async readSegmentDurations(playlistPath) {
+    const playlist = await readFile(playlistPath, 'utf8');
+    return [...playlist.matchAll(/^#EXTINF:(\d+(?:\.\d+)?)/gm)].map(match => Math.round(parseFloat(match[1]) * 1000));
+  }
+
+  /**
+   * SegmentTimeline entries for consecutive segment durations, with repeats collapsed
+   */
+  buildSegmentTimeline(durations) {
+    const entries = [];
+    let time = 0;
+
+    for (const duration of durations) {
+      const last = entries[entries.length - 1];
+      if (last && last.d === duration) {
+        last.r++;
+      } else {
+        entries.push({ t: time, d: duration, r: 0 });
+      }
+      time += duration;
+    }
+
+    return entries.map((entry, index) =>
+      `<S${index === 0 ? ` t="${entry.t}"` : ''} d="${entry.d}"${entry.r > 0 ? ` r="${entry.r}"` : ''}/>`);
+  }
+
+  /**
+   * Make sure a requested segment is being produced. A segment well ahead of every
+   * running encode starts a seek encode at that point (replacing any earlier seek encode).
+   * @returns {boolean} - Whether a seek encode was started
+   */
+  requestSegment(episodeId, filename) {
+    const job = this.transcodeJobs.get(episodeId);
+    const match = filename.match(/^segment(\d+)(\.\w+)$/);
+
+    if (!job || !job.seekable || job.state !== TRANSCODE_STATE.TRANSCODING || !match || match[2] !== this.getSegmentExtension(job)) {
+      return false;
+    }
+
+    const index = parseInt(match[1]);
+    if (index >= this.getSegmentCount(job) || job.segmentsDone.has(index)) {
+      return false;
+    }
+
+    const thresholdSegments = Math.ceil(this.seekThreshold / this.segmentDuration);
+    const covered = job.encodes.some(encode => {
+      const position = encode.startSegment + encode.producedSegments;
+      return !encode.stopped && encode.startSegment <= index && index - position <= thresholdSegments;
+    });
+
+    if (covered) {
+      return false;
+    }
+
+    // A seek encode needs a slot of its own, unless it replaces this episode's previous one.
+    // Without one the segment is left to the running encode.
+    const replacing = job.encodes.some(encode => encode.startSegment > 0 && !encode.stopped);
+    if (!replacing && !this.hasFreeSlot()) {
+      this.debug(`No free transcode slot for a seek encode of episode ${episodeId} at segment ${index}`);
+      return false;
+    }
+
+    // Keep at most one seek encode alongside the encode running from the start
+    for (const encode of job.encodes) {
+      if (encode.startSegment > 0) {
+        this.stopEncode(encode);
+      }
+    }
+
+    this.spawnEncode(episodeId, job, index);
+    return true;
+  }
+
+  /**
+   * Parse an FFmpeg stderr chunk ("time=00:12:34.56 ... speed=3.2x")
+   * @returns {Object|null} - { encodedSeconds, speed } or null if the chunk has no progress
+   */
+  parseProgress(output) {
+    const timeMatches = [...output.matchAll(/time=(\d+):(\d+):(\d+(?:\.\d+)?)/g)];
+    if (timeMatches.length === 0) {
+      return null;
+    }
+
+    const [, hours, minutes, seconds] = timeMatches[timeMatches.length - 1];
+    const speedMatches = [...output.matchAll(/speed=\s*(\d+(?:\.\d+)?)x/g)];
+
+    return {
+      encodedSeconds: parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseFloat(seconds),
+      speed: speedMatches.length > 0 ? parseFloat(speedMatches[speedMatches.length - 1][1]) : null
+    };
+  }
+
+  /**
+   * Record an encode's progress and update the job's progress, speed and ETA
+   */
+  recordEncodeProgress(episodeId, job, encode, progress) {
+    if (progress.speed !== null) {
+      encode.speed = progress.speed;
+    }
+
+    // Segments are complete once the encode has moved past their end
+    const produced = Math.floor(progress.encodedSeconds / this.segmentDuration);
+
+    for (let i = encode.producedSegments; i < produced; i++) {
+      const segment = encode.startSegment + i;
+
+      // Reached segments another encode already wrote: the rest is covered (or will be filled)
+      if (job.seekable && job.segmentsDone.has(segment)) {
+        this.debug(`Encode for episode ${episodeId} caught up at segment ${segment}, stopping it`);
+        this.stopEncode(encode);
+        break;
+      }
+      job.segmentsDone.add(segment);
+    }
+    encode.producedSegments = Math.max(encode.producedSegments, produced);
+
+    job.speed = job.encodes.reduce((sum, running) => sum + (running.speed || 0), 0) || null;
+
+    // Seekable jobs may be encoded in several pieces, so count segments rather than time
+    job.encodedSeconds = job.seekable
+      ? Math.min(job.duration, job.segmentsDone.size * this.segmentDuration)
+      : progress.encodedSeconds;
+
+    if (job.duration) {
+      // Held below 100 until FFmpeg exits
+      job.progress = Math.min(99, Math.floor((job.encodedSeconds / job.duration) * 100));
+      job.etaSeconds = job.speed > 0
+        ? Math.max(0, Math.round((job.duration - job.encodedSeconds) / job.speed))
+        : null;
+    }
+  }
+
+  /**
+   * Persist in-progress state so progress survives in transcode.json
+   */
+  saveProgressState(episodeId, job) {
+    TranscodeQueue.setProgress(episodeId, job.progress).catch(error => {
+      this.debug(`Error saving progress of episode ${episodeId}: ${error.message}`);
+    });
+
+    return this.saveTranscodeState(episodeId, {
+      state: job.state,
+      startTime: job.startTime,
+      sourceUrl: job.sourceUrl,
+      renditions: job.renditions,
+      mode: job.mode,
+      clientProfile: job.clientProfile,
+      source: job.source,
+      seekable: job.seekable,
+      segmentFormat: job.segmentFormat,
+      captions: job.captions ? job.captions.state : null,
+      tolerant: job.tolerant,
+      attempts: job.attempts,
+      progress: job.progress,
+      duration: job.duration,
+      encodedSeconds: job.encodedSeconds,
+      speed: job.speed,
+      etaSeconds: job.etaSeconds,
+      updatedAt: Date.now(),
+      showName: job.metadata.showName,
+      episodeName: job.metadata.episodeName,
+      airDate: job.metadata.airDate
+    });
+  }
+
+  /**
+   * Publish a transcode state change on the event bus
+   */
+  publishTranscodeEvent(type, episodeId, job, extra = {}) {
+    events.publish('transcode', type, {
+      episodeId: String(episodeId),
+      state: job.state,
+      progress: job.progress,
+      startTime: job.startTime,
+      endTime: job.endTime,
+      error: job.error,
+      showName: job.metadata ? job.metadata.showName : undefined,
+      episodeName: job.metadata ? job.metadata.episodeName : undefined,
+      ...extra
+    });
+  }
+
+  /**
+   * Wait for playlist file to be created
+   */
+  async waitForPlaylist(playlistPath, timeout = 15000) {
+    const startTime = Date.now();
+
+    while (Date.now() - startTime < timeout) {
+      try {
+        await stat(playlistPath);
+        this.debug(`Playlist ready: ${playlistPath}`);
+        return true;
+      } catch (error) {
+        // File doesn't exist yet, wait a bit
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+    }
+
+    throw new Error('Timeout waiting for HLS playlist to be generated');
+  }
+
+  /**
+   * Estimate the HLS cache size of a recording from the ladder's bitrates (an upper
+   * bound: rungs above the source resolution are skipped, and copied streams vary)
+   * @param {number} durationSeconds
+   * @returns {number} Bytes
+   */
+  estimateTranscodeSize(durationSeconds) {
+    const kbps = this.ladder.reduce((sum, rendition) => sum + (rendition.videoBitrate || 0) + rendition.audioBitrate, 0);
+    return Math.round((kbps * 1000 / 8) * (durationSeconds || 0));
+  }
+
+  /**
+   * Get the stream directory for an episode
+   */
+  getStreamDir(episodeId) {
+    return path.join(this.cacheDir, String(episodeId));
+  }
+
+  /**
+   * Get the path closed captions are extracted to for an episode
+   */
+  getCaptionsPath(episodeId) {
+    return path.join(this.getStreamDir(episodeId), CAPTIONS_DIR, 'captions.vtt');
+  }
+
+  /**
+   * Get the path an episode's MP4 download of a quality is cached at
+   */
+  getDownloadPath(episodeId, quality) {
+    return path.join(this.getStreamDir(episodeId), DOWNLOADS_DIR, `${quality}.mp4`);
+  }
+
+  /**
+   * Get the playlist file path for an episode
+   */
+  getPlaylistPath(episodeId) {
+    return path.join(this.getStreamDir(episodeId), 'stream.m3u8');
+  }
+
+  /**
+   * Check if episode is transcoded or being transcoded
+   */
+  getTranscodeStatus(episodeId) {
+    const job = this.transcodeJobs.get(episodeId);
+
+    if (!job) {
+      return { state: TRANSCODE_STATE.PENDING };
+    }
+
+    return {
+      state: job.state,
+      progress: job.progress,
+      startTime: job.startTime,
+      endTime: job.endTime,
+      error: job.error,
+      exitCode: job.exitCode !== undefined ? job.exitCode : null,
+      stderr: job.stderr || null,
+      tolerant: !!job.tolerant,
+      attempts: job.attempts || [],
+      duration: job.duration || null,
+      encodedSeconds: job.encodedSeconds !== undefined ? Math.round(job.encodedSeconds) : null,
+      speed: job.speed || null,
+      etaSeconds: job.etaSeconds !== undefined ? job.etaSeconds : null,
+      renditions: job.renditions ? job.renditions.map(rendition => rendition.name) : null,
+      seekable: !!job.seekable,
+      segmentFormat: job.segmentFormat || 'ts',
+      encodes: job.encodes ? job.encodes.map(encode => ({
+        startSegment: encode.startSegment,
+        producedSegments: encode.producedSegments,
+        speed: encode.speed
+      })) : [],
+      mode: job.mode || null,
+      clientProfile: job.clientProfile || null,
+      source: job.source || null,
+      captions: job.captions ? job.captions.status() : null
+    };
+  }
+
+  /**
+   * Check if a segment file exists
+   */
+  async segmentExists(episodeId, filename) {
+    const segmentPath = path.join(this.getStreamDir(episodeId), filename);
+
+    try {
+      await stat(segmentPath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Delete transcode cache for an episode, its MP4 downloads, and its queued or finished job
+   */
+  async deleteTranscode(episodeId) {
+    await this.discardTranscode(episodeId);
+    this.cancelDownloads(episodeId);
+    await this.cleanupStreamDir(this.getStreamDir(episodeId));
+    await TranscodeQueue.remove(episodeId);
+  }
+
+  /**
+   * Stop an episode's transcode and delete its HLS output, leaving its job and MP4 downloads alone
+   */
+  async discardTranscode(episodeId) {
+    const job = this.transcodeJobs.get(episodeId);
+
+    // Kill processes if still running
+    if (job && job.encodes && job.encodes.length > 0) {
+      this.log(`Killing transcode process for episode ${episodeId}`);
+      job.encodes.forEach(encode => this.stopEncode(encode));
+    }
+    if (job && job.captions) {
+      job.captions.stop();
+    }
+    this.cancelThumbnails(episodeId);
+
+    // Remove from jobs map
+    this.transcodeJobs.delete(episodeId);
+    this.lastAccess.delete(episodeId);
+    this.lastAccessSaved.delete(episodeId);
+
+    if (job) {
+      this.publishTranscodeEvent('transcode.removed', episodeId, job);
+    }
+
+    // Remove from active transcodes queue
+    const index = this.activeTranscodes.indexOf(episodeId);
+    if (index !== -1) {
+      this.activeTranscodes.splice(index, 1);
+    }
+
+    // Clean up files
+    const outputDir = this.getStreamDir(episodeId);
+    await this.cleanupStreamDir(outputDir, [DOWNLOADS_DIR]);
+  }
+
+  /**
+   * Evict an episode from the cache. Its job is kept: a completed one is marked evicted so
+   * pre-caching does not transcode it again.
+   */
+  async evictTranscode(episodeId) {
+    await this.discardTranscode(episodeId);
+
+    const record = await TranscodeQueue.getJob(episodeId);
+    if (record && record.state === 'complete') {
+      await TranscodeQueue.setState(episodeId, 'evicted');
+    }
+  }
+
+  /**
+   * Evict the oldest active transcode to make room for a new one. Its job goes back
+   * in the queue and starts over once a slot is free.
+   */
+  async evictOldestTranscode() {
+    if (this.activeTranscodes.length === 0) {
+      return;
+    }
+
+    const oldestEpisodeId = this.activeTranscodes[0];
+    this.log(`Evicting oldest transcode (episode ${oldestEpisodeId}) to make room for new transcode`);
+
+    await this.discardTranscode(oldestEpisodeId);
+    await TranscodeQueue.setState(oldestEpisodeId, 'queued');
+  }
+
+  /**
+   * Size and last use of every episode in the cache, least recently played first
+   * (the order they would be evicted in)
+   */
+  async getCacheEntries() {
+    const pinned = await this.getPinnedEpisodeIds();
+    const entries = [];
+
+    for (const entry of await readdir(this.cacheDir, { withFileTypes: true })) {
+      if (!entry.isDirectory()) {
+        continue;
+      }
+
+      const episodeId = entry.name;
+      const episodeDir = path.join(this.cacheDir, episodeId);
+      const job = this.transcodeJobs.get(episodeId);
+      const lastAccess = this.lastAccess.get(episodeId) || null;
+
+      // Episodes never played count from when they were cached
+      const cachedAt = (job && (job.endTime || job.startTime)) || (await stat(episodeDir)).mtimeMs;
+
+      entries.push({
+        episodeId,
+        sizeBytes: await this.getDirectorySize(episodeDir),
+        state: job ? job.state : TRANSCODE_STATE.PENDING,
+        lastAccess,
+        lastUsed: Math.max(lastAccess || 0, cachedAt),
+        pinned: pinned.has(episodeId),
+        active: (job && job.state === TRANSCODE_STATE.TRANSCODING) || this.startingTranscodes.has(episodeId) ||
+          this.isPreparingDownload(episodeId)
+      });
+    }
+
+    return entries.sort((a, b) => a.lastUsed - b.lastUsed);
+  }
+
+  /**
+   * Cache usage against the size budget, with per-episode sizes
+   */
+  async getCacheUsage() {
+    const entries = await this.getCacheEntries();
+    const totalBytes = entries.reduce((sum, entry) => sum + entry.sizeBytes, 0);
+
+    return {
+      totalBytes,
+      maxBytes: this.maxCacheSize,
+      maxAgeDays: Math.round(this.maxCacheAge / 86400000),
+      overBudget: !!this.maxCacheSize && totalBytes > this.maxCacheSize,
+      episodeCount: entries.length,
+      pinnedBytes: entries.filter(entry => entry.pinned).reduce((sum, entry) => sum + entry.sizeBytes, 0),
+      episodes: entries.map(({ lastUsed, ...entry }) => ({
+        ...entry,
+        lastAccess: entry.lastAccess ? new Date(entry.lastAccess).toISOString() : null
+      }))
+    };
+  }
+
+  /**
+   * Evict cached episodes not played within maxCacheAge, then least recently played
+   * episodes until the cache fits maxCacheSize. Pinned episodes and running
+   * transcodes are never evicted.
+   * @returns {Promise<Object|null>} { totalBytes, maxBytes, freedBytes, evicted }, or null if already running
+   */
+  async cleanup() {
+    if (this.isCleaningUp) {
+      return null;
+    }
+
+    this.isCleaningUp = true;
+    const now = Date.now();
+    const evicted = [];
+
+    try {
+      const entries = await this.getCacheEntries();
+      let totalBytes = entries.reduce((sum, entry) => sum + entry.sizeBytes, 0);
+
+      const evict = async (entry, reason) => {
+        await this.evictTranscode(entry.episodeId);
+        totalBytes -= entry.sizeBytes;
+        evicted.push({ episodeId: entry.episodeId, sizeBytes: entry.sizeBytes, reason });
+      };
+
+      for (const entry of entries) {
+        if (entry.pinned || entry.active) {
+          continue;
+        }
+
+        // Paused and interrupted jobs resume from their partial output, and queued retries from theirs
+        const record = await TranscodeQueue.getJob(entry.episodeId);
+        if (record && ['queued', 'paused', 'running'].includes(record.state)) {
+          continue;
+        }
+
+        const age = now - entry.lastUsed;
+        if (age > this.maxCacheAge) {
+          this.log(`Cleaning up old cache: ${entry.episodeId} (unused for ${Math.round(age / 86400000)} days)`);
+          await evict(entry, 'age');
+        } else if (this.maxCacheSize && totalBytes > this.maxCacheSize) {
+          this.log(`Evicting episode ${entry.episodeId} (${Math.round(entry.sizeBytes / 1048576)} MB) to fit cache budget`);
+          await evict(entry, 'size');
+        }
+      }
+
+      if (this.maxCacheSize && totalBytes > this.maxCacheSize) {
+        this.log(`HLS cache still over budget (${Math.round(totalBytes / 1048576)}/${Math.round(this.maxCacheSize / 1048576)} MB): remaining episodes are pinned or transcoding`);
+      }
+
+      return {
+        totalBytes,
+        maxBytes: this.maxCacheSize,
+        freedBytes: evicted.reduce((sum, entry) => sum + entry.sizeBytes, 0),
+        evicted
+      };
     } catch (error) {
       this.debug(`Cleanup error: ${error.message}`);
+      return { totalBytes: null, maxBytes: this.maxCacheSize, freedBytes: 0, evicted, error: error.message };
+    } finally {
+      this.isCleaningUp = false;
+    }
+  }
+
+  /**
+   * Total size of a directory and its rendition subdirectories in bytes
+   */
+  async getDirectorySize(dirPath) {
+    let totalSize = 0;
+
+    try {
+      for (const file of await readdir(dirPath, { withFileTypes: true })) {
+        const filePath = path.join(dirPath, file.name);
+        totalSize += file.isDirectory()
+          ? await this.getDirectorySize(filePath)
+          : (await stat(filePath)).size;
+      }
+    } catch (error) {
+      // Files can disappear while a transcode is running
+      this.debug(`Error sizing ${dirPath}: ${error.message}`);
     }
+
+    return totalSize;
   }
 
   /**
    * Clean up a stream directory
+   * @param {string[]} keep - Entries to leave in place (the directory itself is then kept)
    */
-  async cleanupStreamDir(dirPath) {
+  async cleanupStreamDir(dirPath, keep = []) {
     try {
-      const files = await readdir(dirPath);
+      const files = await readdir(dirPath, { withFileTypes: true });
 
       for (const file of files) {
-        const filePath = path.join(dirPath, file);
-        await unlink(filePath);
+        if (keep.includes(file.name)) {
+          continue;
+        }
+
+        const filePath = path.join(dirPath, file.name);
+        if (file.isDirectory()) {
+          await this.cleanupStreamDir(filePath); // Rendition subdirectories
+        } else {
+          await unlink(filePath);
+        }
       }
 
-      await fs.promises.rmdir(dirPath);
+      if (keep.length === 0) {
+        await fs.promises.rmdir(dirPath);
+      }
       this.debug(`Cleaned up directory: ${dirPath}`);
     } catch (error) {
       this.debug(`Error cleaning up ${dirPath}: ${error.message}`);
@@ -563,104 +2721,342 @@ class HLSStreamManager {
 
   /**
    * Start bulk conversion of all episodes
+   * Episodes are added to the persistent queue (unless they already have a job) and run
+   * as slots free up. Episodes added while a run is in progress join that run.
    * @param {Array} episodes - Array of episode objects with id and play_url
+   * @returns {Promise<number>} Number of episodes queued
    */
   async startBulkConversion(episodes) {
-    if (this.isBulkConverting) {
-      this.log('Bulk conversion already in progress');
-      return;
-    }
+    this.beginBulkRun();
 
-    this.isBulkConverting = true;
+    let queued = 0;
+    let cached = 0;
 
-    // Filter out episodes that are already transcoded
-    const episodesToConvert = episodes.filter(episode => {
-      const job = this.transcodeJobs.get(String(episode.id));
-      return !job || job.state !== TRANSCODE_STATE.COMPLETE;
-    });
+    for (const episode of episodes) {
+      const episodeId = String(episode.id);
+      const job = this.transcodeJobs.get(episodeId);
 
-    this.bulkConversionQueue = episodesToConvert.map(ep => ({
-      id: String(ep.id),
-      sourceUrl: ep.play_url || ep.source_url,
-      title: ep.title || ep.episode_title || 'Unknown',
-      metadata: {
-        showName: ep.series_title,
-        episodeName: ep.episode_title || ep.title,
-        airDate: ep.start_time ? new Date(ep.start_time * 1000).toISOString() : null
+      // Filter out episodes that are already transcoded
+      if (job && job.state === TRANSCODE_STATE.COMPLETE) {
+        cached++;
+        continue;
       }
-    }));
 
-    this.bulkConversionStats = {
-      total: this.bulkConversionQueue.length,
-      completed: 0,
-      failed: 0,
-      skipped: 0
-    };
+      const sourceUrl = episode.play_url || episode.source_url;
+      if (!sourceUrl) {
+        this.bulkConversionStats.skipped++;
+        this.log(`Skipped episode ${episodeId} (no source URL)`);
+        continue;
+      }
+
+      const added = await TranscodeQueue.enqueue({
+        episodeId,
+        sourceUrl,
+        clientProfile: this.defaultClientProfile,
+        priority: episode.priority || 0,
+        origin: 'pre-cache',
+        metadata: {
+          showName: episode.series_title,
+          episodeName: episode.episode_title || episode.title,
+          airDate: episode.start_time ? new Date(episode.start_time * 1000).toISOString() : null,
+          duration: episode.duration || null
+        }
+      });
 
-    this.log(`Starting bulk conversion of ${this.bulkConversionQueue.length} episodes (${episodes.length - this.bulkConversionQueue.length} already cached)`);
+      if (added) {
+        queued++;
+      }
+    }
+
+    this.log(`Queued ${queued} of ${episodes.length} episodes for bulk conversion (${cached} already cached, others already have a job)`);
 
     // Start processing the queue
-    this.processBulkConversionQueue();
+    this.processQueue();
+    return queued;
   }
 
   /**
-   * Process the bulk conversion queue
+   * Start counting a new bulk conversion run, unless one is in progress
    */
-  async processBulkConversionQueue() {
-    while (this.bulkConversionQueue.length > 0 || this.activeTranscodes.length > 0) {
-      // Check if we have room for more transcodes
-      if (this.activeTranscodes.length >= this.maxConcurrentTranscodes || this.bulkConversionQueue.length === 0) {
-        // Wait a bit before checking again
-        await new Promise(resolve => setTimeout(resolve, 5000));
-        continue;
+  beginBulkRun() {
+    if (!this.isBulkConverting) {
+      this.isBulkConverting = true;
+      this.bulkConversionStats = { completed: 0, failed: 0, skipped: 0 };
+    }
+  }
+
+  /**
+   * Run queued jobs (highest priority first) whenever a transcode slot is free, until
+   * the queue is empty. Safe to call at any time; only one runner is active.
+   */
+  processQueue() {
+    this.queueChanged = true;
+
+    // Downloads someone is waiting for get a free slot before queued transcodes
+    this.processDownloads();
+
+    if (this.isProcessingQueue || this.isShuttingDown) {
+      return;
+    }
+
+    this.isProcessingQueue = true;
+    this.runQueue().catch(error => {
+      this.log(`Transcode queue stopped: ${error.message}`);
+    });
+  }
+
+  async runQueue() {
+    try {
+      while (!this.isShuttingDown) {
+        this.queueChanged = false;
+
+        // Check if we have room for more transcodes (including ones still probing)
+        if (!this.hasFreeSlot()) {
+          // Wait a bit before checking again
+          await new Promise(resolve => setTimeout(resolve, 5000));
+          continue;
+        }
+
+        // Get next job from queue
+        const next = await TranscodeQueue.nextQueued();
+
+        if (!next) {
+          if (this.queueChanged) {
+            continue;
+          }
+
+          // Wait for running transcodes so the run's stats are complete
+          if (this.activeTranscodes.length > 0) {
+            await new Promise(resolve => setTimeout(resolve, 5000));
+            continue;
+          }
+          break;
+        }
+
+        const episodeId = next.episode_id;
+        this.beginBulkRun();
+
+        // Check if already transcoded (might have been requested on-demand)
+        const existingJob = this.transcodeJobs.get(episodeId);
+        if (existingJob && existingJob.state === TRANSCODE_STATE.COMPLETE) {
+          await TranscodeQueue.setState(episodeId, 'complete', { progress: 100 });
+          this.bulkConversionStats.skipped++;
+          this.debug(`Skipped episode ${episodeId} (already transcoded)`);
+          this.logBulkProgress();
+          continue;
+        }
+
+        // Start transcode
+        this.log(`Bulk converting ${next.metadata.showName || 'episode'} ${episodeId}: ${next.metadata.episodeName || 'Unknown'}`);
+
+        try {
+          await this.startTranscode(episodeId, next.source_url, true, next.metadata, next.client_profile || this.defaultClientProfile);
+          // Note: completed/failed stats are updated in the FFmpeg event handlers
+        } catch (error) {
+          this.log(`Failed to start conversion for episode ${episodeId}: ${error.message}`);
+          await TranscodeQueue.setState(episodeId, 'failed', { error: error.message });
+          this.bulkConversionStats.failed++;
+          this.logBulkProgress();
+        }
       }
+    } finally {
+      this.isProcessingQueue = false;
+    }
 
-      // Get next episode from queue
-      const episode = this.bulkConversionQueue.shift();
+    if (this.isBulkConverting && !this.isShuttingDown) {
+      this.isBulkConverting = false;
+      this.log(`Bulk conversion complete! Stats: ${this.bulkConversionStats.completed} completed, ${this.bulkConversionStats.failed} failed, ${this.bulkConversionStats.skipped} skipped`);
+    }
+  }
 
-      if (!episode || !episode.sourceUrl) {
-        this.bulkConversionStats.skipped++;
-        this.log(`Skipped episode ${episode?.id} (no source URL)`);
-        continue;
+  /**
+   * List transcode jobs with the live status of running and paused ones
+   * @param {object} options - { states: [..], limit }
+   */
+  async listTranscodes(options = {}) {
+    const jobs = await TranscodeQueue.listJobs(options);
+    return jobs.map(job => this.formatQueueJob(job));
+  }
+
+  async getQueueJob(episodeId) {
+    const job = await TranscodeQueue.getJob(episodeId);
+    return job ? this.formatQueueJob(job) : null;
+  }
+
+  formatQueueJob(job) {
+    const live = this.transcodeJobs.get(job.episode_id);
+    const { source_url, ...rest } = job;
+
+    return {
+      ...rest,
+      status: live && (live.state === TRANSCODE_STATE.TRANSCODING || live.state === TRANSCODE_STATE.PAUSED)
+        ? this.getTranscodeStatus(job.episode_id)
+        : null
+    };
+  }
+
+  /**
+   * Change the priority of a job (higher runs first)
+   * @returns {Promise<Object|null>} The job, or null if the episode has none
+   */
+  async setTranscodePriority(episodeId, priority) {
+    const job = await TranscodeQueue.setPriority(episodeId, priority);
+    if (job) {
+      this.processQueue();
+    }
+    return job ? this.formatQueueJob(job) : null;
+  }
+
+  /**
+   * Pause a queued or running job. A running transcode is stopped, keeping its output
+   * so resuming continues where it left off (when the episode is seekable).
+   * Playing the episode starts it again regardless.
+   * @returns {Promise<Object|null>} The job, or null if the episode has none; throws if it cannot be paused
+   */
+  async pauseTranscode(episodeId) {
+    const record = await TranscodeQueue.getJob(episodeId);
+    if (!record) {
+      return null;
+    }
+
+    if (record.state !== 'queued' && record.state !== 'running') {
+      throw new Error(`Cannot pause a ${record.state} transcode`);
+    }
+
+    if (this.startingTranscodes.has(episodeId)) {
+      throw new Error('Transcode is starting, try again in a moment');
+    }
+
+    const job = this.transcodeJobs.get(episodeId);
+    if (job && job.state === TRANSCODE_STATE.TRANSCODING) {
+      this.log(`Pausing transcode for episode ${episodeId}`);
+      job.state = TRANSCODE_STATE.PAUSED;
+      job.etaSeconds = null;
+      job.encodes.forEach(encode => this.stopEncode(encode));
+      if (job.captions) {
+        job.captions.stop(); // Extracted again from the start on resume
       }
 
-      // Check if already transcoded (might have been requested on-demand)
-      const existingJob = this.transcodeJobs.get(episode.id);
-      if (existingJob && existingJob.state === TRANSCODE_STATE.COMPLETE) {
-        this.bulkConversionStats.skipped++;
-        this.debug(`Skipped episode ${episode.id} (already transcoded)`);
-        this.logBulkProgress();
-        continue;
+      const index = this.activeTranscodes.indexOf(episodeId);
+      if (index !== -1) {
+        this.activeTranscodes.splice(index, 1);
       }
 
-      // Start transcode
-      this.log(`Bulk converting ${episode.metadata.showName} episode ${episode.id}: ${episode.title}`);
+      await this.saveProgressState(episodeId, job);
+      this.publishTranscodeEvent('transcode.paused', episodeId, job);
+    }
 
-      try {
-        await this.startTranscode(episode.id, episode.sourceUrl, true, episode.metadata);
-        // Note: completed/failed stats are updated in the FFmpeg event handlers
-      } catch (error) {
-        this.log(`Failed to start conversion for episode ${episode.id}: ${error.message}`);
-        this.bulkConversionStats.failed++;
-        this.logBulkProgress();
-      }
+    await TranscodeQueue.setState(episodeId, 'paused');
+    this.processQueue();
+    return this.getQueueJob(episodeId);
+  }
+
+  /**
+   * Queue a paused job again, or retry a failed, cancelled or evicted one
+   * @returns {Promise<Object|null>} The job, or null if the episode has none; throws if it cannot be resumed
+   */
+  async resumeTranscode(episodeId) {
+    const record = await TranscodeQueue.getJob(episodeId);
+    if (!record) {
+      return null;
     }
 
-    this.isBulkConverting = false;
-    this.log(`Bulk conversion complete! Stats: ${this.bulkConversionStats.completed} completed, ${this.bulkConversionStats.failed} failed, ${this.bulkConversionStats.skipped} skipped`);
+    if (!['paused', 'failed', 'cancelled', 'evicted'].includes(record.state)) {
+      throw new Error(`Cannot resume a ${record.state} transcode`);
+    }
+
+    this.log(`Resuming transcode for episode ${episodeId}`);
+    await TranscodeQueue.setState(episodeId, 'queued', record.state === 'paused' ? {} : { attempts: 0, error: null });
+    this.processQueue();
+    return this.getQueueJob(episodeId);
   }
 
   /**
-   * Log bulk conversion progress
+   * Cancel a job, stopping its transcode and deleting partial output. The job is kept
+   * as cancelled, so pre-caching does not queue it again.
+   * @returns {Promise<Object|null>} The job, or null if the episode has none; throws if it cannot be cancelled
    */
-  logBulkProgress() {
+  async cancelTranscode(episodeId) {
+    const record = await TranscodeQueue.getJob(episodeId);
+    if (!record) {
+      return null;
+    }
+
+    if (['complete', 'cancelled', 'evicted'].includes(record.state)) {
+      throw new Error(`Cannot cancel a ${record.state} transcode`);
+    }
+
+    if (this.startingTranscodes.has(episodeId)) {
+      throw new Error('Transcode is starting, try again in a moment');
+    }
+
+    this.log(`Cancelling transcode for episode ${episodeId}`);
+    await this.discardTranscode(episodeId);
+    await TranscodeQueue.setState(episodeId, 'cancelled');
+    events.publish('transcode', 'transcode.cancelled', { episodeId: String(episodeId), state: 'cancelled' });
+
+    this.processQueue();
+    return this.getQueueJob(episodeId);
+  }
+
+  /**
+   * Bulk conversion stats including the progress of running transcodes
+   */
+  async getBulkConversionStatus() {
     const stats = this.bulkConversionStats;
     const processed = stats.completed + stats.failed + stats.skipped;
-    const percentage = Math.round((processed / stats.total) * 100);
-    const remaining = this.bulkConversionQueue.length;
-    const active = this.activeTranscodes.length;
+    const queuedJobs = await TranscodeQueue.listJobs({ states: ['queued'] });
+
+    const active = this.activeTranscodes.map(episodeId => {
+      const job = this.transcodeJobs.get(episodeId) || {};
+      return {
+        episodeId,
+        showName: job.metadata ? job.metadata.showName : undefined,
+        episodeName: job.metadata ? job.metadata.episodeName : undefined,
+        progress: job.progress || 0,
+        speed: job.speed || null,
+        etaSeconds: job.etaSeconds !== undefined ? job.etaSeconds : null
+      };
+    });
+
+    // The run covers what it finished, what is running and what is still queued
+    const total = processed + active.length + queuedJobs.length;
+
+    // Running transcodes count towards the total by their own progress
+    const partial = active.reduce((sum, job) => sum + job.progress / 100, 0);
+    const percentage = total > 0
+      ? Math.min(100, Math.round(((processed + partial) / total) * 100))
+      : 0;
 
-    this.log(`Bulk conversion progress: ${processed}/${stats.total} (${percentage}%) - ${remaining} queued, ${active} active transcodes`);
+    // Remaining recording time divided by the combined encode speed of running transcodes
+    const activeJobs = this.activeTranscodes.map(episodeId => this.transcodeJobs.get(episodeId)).filter(Boolean);
+    const throughput = activeJobs.reduce((sum, job) => sum + (job.speed || 0), 0);
+    const remainingSeconds = queuedJobs.reduce((sum, job) => sum + (job.metadata.duration || 0), 0) +
+      activeJobs.reduce((sum, job) => sum + Math.max(0, (job.duration || 0) - (job.encodedSeconds || 0)), 0);
+
+    return {
+      isBulkConverting: this.isBulkConverting,
+      total,
+      ...stats,
+      processed,
+      queued: queuedJobs.length,
+      percentage,
+      etaSeconds: this.isBulkConverting && throughput > 0 ? Math.round(remainingSeconds / throughput) : null,
+      active
+    };
+  }
+
+  /**
+   * Log bulk conversion progress
+   */
+  logBulkProgress() {
+    this.getBulkConversionStatus().then(status => {
+      const eta = status.etaSeconds !== null ? `, ETA ${Math.round(status.etaSeconds / 60)} min` : '';
+
+      this.log(`Bulk conversion progress: ${status.processed}/${status.total} (${status.percentage}%) - ${status.queued} queued, ${status.active.length} active transcodes${eta}`);
+    }).catch(error => {
+      this.debug(`Error getting bulk conversion status: ${error.message}`);
+    });
   }
 
   /**
@@ -669,15 +3065,26 @@ class HLSStreamManager {
   async shutdown() {
     this.log('Shutting down HLS stream manager...');
 
-    // Stop bulk conversion
+    // Stop running queued jobs; the queue itself is kept for the next start
+    this.isShuttingDown = true;
     this.isBulkConverting = false;
-    this.bulkConversionQueue = [];
 
     // Stop all active transcodes
     for (const [episodeId, job] of this.transcodeJobs.entries()) {
-      if (job.state === TRANSCODE_STATE.TRANSCODING && job.process) {
+      if (job.state === TRANSCODE_STATE.TRANSCODING && job.encodes && job.encodes.length > 0) {
         this.log(`Stopping transcode for episode ${episodeId}`);
-        job.process.kill('SIGTERM');
+        job.encodes.forEach(encode => this.stopEncode(encode));
+      }
+      if (job.captions) {
+        job.captions.stop();
+      }
+    }
+    if (this.thumbnailJob) {
+      this.thumbnailJob.generator.stop();
+    }
+    for (const download of this.downloadJobs.values()) {
+      if (download.exporter) {
+        download.exporter.stop();
       }
     }
 
@@ -685,4 +3092,10 @@ class HLSStreamManager {
   }
 }
 
+HLSStreamManager.CLIENT_PROFILES = Object.keys(CLIENT_PROFILES);
+HLSStreamManager.CAPTIONS_DIR = CAPTIONS_DIR;
+HLSStreamManager.THUMBNAILS_DIR = THUMBNAILS_DIR;
+HLSStreamManager.DOWNLOAD_QUALITIES = DOWNLOAD_QUALITIES;
+HLSStreamManager.DEFAULT_DOWNLOAD_QUALITY = DEFAULT_DOWNLOAD_QUALITY;
+
 module.exports = HLSStreamManager;
@@ -0,0 +1,317 @@
+/**
+ * Library Module
+ * Merged view of the recordings on every DVR device
+ *
+ * Series are stored per device, so a household with two DVRs has two rows for the
+ * same show. The merged library groups them by HDHomeRun Series ID. Episodes with the
+ * same program ID on more than one device are duplicates; the best copy is the
+ * successful recording with the largest file (then the longest recording).
+ * Deleting the redundant copies is performed by the caller, like retention.
+ */
+
+const db = require('asynqlite');
+const axios = require('axios');
+const { NOT_TRASHED } = require('./database');
+
+class LibraryManager {
+  /**
+   * Get merged series, one entry per HDHomeRun Series ID
+   */
+  async getSeries() {
+    const rows = await db.run(`
+      SELECT
+        s.id,
+        s.series_id,
+        s.title,
+        s.category,
+        s.image_url,
+        s.episode_count,
+        s.total_duration,
+        s.first_recorded,
+        s.last_recorded,
+        EXISTS (SELECT 1 FROM series_favorites f WHERE f.series_id = s.series_id) as favorite,
+        d.device_id,
+        d.friendly_name as device_name
+      FROM series s
+      JOIN devices d ON s.device_id = d.id
+      ORDER BY s.title, d.friendly_name
+    `) || [];
+
+    // Distinct programs per series; episodes without a program ID count individually
+    const counts = await db.run(`
+      SELECT
+        s.series_id,
+        COUNT(DISTINCT COALESCE(e.program_id, 'episode:' || e.id)) as unique_episodes
+      FROM episodes e
+      JOIN series s ON e.series_id = s.id
+      WHERE ${NOT_TRASHED}
+      GROUP BY s.series_id
+    `) || [];
+    const uniqueEpisodes = new Map(counts.map(row => [row.series_id, row.unique_episodes]));
+
+    const merged = new Map();
+
+    for (const row of rows) {
+      let series = merged.get(row.series_id);
+
+      if (!series) {
+        series = {
+          series_id: row.series_id,
+          title: row.title,
+          category: row.category,
+          image_url: row.image_url,
+          favorite: !!row.favorite,
+          episode_count: uniqueEpisodes.get(row.series_id) || 0,
+          recording_count: 0,
+          total_duration: 0,
+          first_recorded: row.first_recorded,
+          last_recorded: row.last_recorded,
+          devices: []
+        };
+        merged.set(row.series_id, series);
+      }
+
+      series.recording_count += row.episode_count || 0;
+      series.total_duration += row.total_duration || 0;
+      if (row.first_recorded && (!series.first_recorded || row.first_recorded < series.first_recorded)) {
+        series.first_recorded = row.first_recorded;
+      }
+      if (row.last_recorded && (!series.last_recorded || row.last_recorded > series.last_recorded)) {
+        series.last_recorded = row.last_recorded;
+      }
+
+      series.devices.push({
+        show_id: row.id,
+        device_id: row.device_id,
+        device_name: row.device_name,
+        episode_count: row.episode_count || 0
+      });
+    }
+
+    return Array.from(merged.values()).map(series => ({
+      ...series,
+      device_count: series.devices.length,
+      duplicate_count: series.recording_count - series.episode_count
+    }));
+  }
+
+  /**
+   * Get every non-trashed copy of the episodes of a series across devices
+   */
+  async getSeriesEpisodes(seriesId) {
+    const episodes = await db.run(`
+      SELECT
+        e.id,
+        e.program_id,
+        e.title,
+        e.episode_title,
+        e.episode_number,
+        e.season_number,
+        e.episode_num,
+        e.synopsis,
+        e.category,
+        e.channel_name,
+        e.channel_number,
+        e.channel_image_url,
+        e.start_time,
+        e.end_time,
+        e.duration,
+        e.original_airdate,
+        e.record_start_time,
+        e.record_end_time,
+        e.first_airing,
+        e.filename,
+        e.file_size,
+        e.play_url,
+        e.cmd_url,
+        COALESCE(e.resume_position, 0) as resume_position,
+        COALESCE(e.watched, 0) as watched,
+        e.record_success,
+        e.image_url,
+        e.series_id as show_id,
+        s.series_id,
+        s.title as series_title,
+        d.device_id,
+        d.friendly_name as device_name
+      FROM episodes e
+      JOIN series s ON e.series_id = s.id
+      JOIN devices d ON s.device_id = d.id
+      WHERE s.series_id = ? AND ${NOT_TRASHED}
+      ORDER BY e.start_time DESC, e.id
+    `, [seriesId]);
+
+    return episodes || [];
+  }
+
+  /**
+   * Collapse copies of the same program into one entry (the best copy) with a `copies` list
+   */
+  mergeEpisodes(episodes) {
+    const groups = new Map();
+
+    for (const episode of episodes) {
+      const key = episode.program_id || `episode:${episode.id}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(episode);
+    }
+
+    return Array.from(groups.values()).map(copies => {
+      const ranked = this.rankCopies(copies);
+      return {
+        ...ranked[0],
+        copies: ranked.map(copy => this.summarizeCopy(copy))
+      };
+    });
+  }
+
+  /**
+   * Find programs recorded on more than one device
+   * @param {object} options - { programId } to limit to one program
+   * @returns {Promise<Array>} [{ program_id, series_title, episode_title, keep, redundant }]
+   */
+  async getDuplicates(options = {}) {
+    const { programId = null } = options;
+
+    const copies = await db.run(`
+      SELECT
+        e.id,
+        e.program_id,
+        e.episode_title,
+        e.episode_number,
+        e.start_time,
+        e.record_start_time,
+        e.record_end_time,
+        e.record_success,
+        e.file_size,
+        e.play_url,
+        e.cmd_url,
+        e.series_id as show_id,
+        s.series_id,
+        s.title as series_title,
+        d.device_id,
+        d.friendly_name as device_name
+      FROM episodes e
+      JOIN series s ON e.series_id = s.id
+      JOIN devices d ON s.device_id = d.id
+      WHERE ${NOT_TRASHED}
+        AND e.program_id IN (
+          SELECT e.program_id
+          FROM episodes e
+          JOIN series s ON e.series_id = s.id
+          WHERE e.program_id IS NOT NULL AND e.program_id != '' AND ${NOT_TRASHED}
+            AND (? IS NULL OR e.program_id = ?)
+          GROUP BY e.program_id
+          HAVING COUNT(DISTINCT s.device_id) > 1
+        )
+      ORDER BY e.program_id, e.id
+    `, [programId, programId]) || [];
+
+    // Sizes are only needed to compare copies, so look them up here rather than during sync
+    await this.fillFileSizes(copies);
+
+    const groups = new Map();
+    for (const copy of copies) {
+      if (!groups.has(copy.program_id)) {
+        groups.set(copy.program_id, []);
+      }
+      groups.get(copy.program_id).push(copy);
+    }
+
+    return Array.from(groups.entries()).map(([program_id, group]) => {
+      const [keep, ...redundant] = this.rankCopies(group);
+      return {
+        program_id,
+        series_id: keep.series_id,
+        series_title: keep.series_title,
+        episode_title: keep.episode_title,
+        episode_number: keep.episode_number,
+        keep,
+        redundant
+      };
+    });
+  }
+
+  /**
+   * Order copies best first: successful recording, largest file, longest recording, oldest row
+   */
+  rankCopies(copies) {
+    const recorded = copy => (copy.record_end_time && copy.record_start_time)
+      ? copy.record_end_time - copy.record_start_time
+      : 0;
+
+    return [...copies].sort((a, b) =>
+      (b.record_success ? 1 : 0) - (a.record_success ? 1 : 0) ||
+      (b.file_size || 0) - (a.file_size || 0) ||
+      recorded(b) - recorded(a) ||
+      a.id - b.id
+    );
+  }
+
+  summarizeCopy(copy) {
+    return {
+      episode_id: copy.id,
+      show_id: copy.show_id,
+      device_id: copy.device_id,
+      device_name: copy.device_name,
+      file_size: copy.file_size || null,
+      record_success: !!copy.record_success
+    };
+  }
+
+  /**
+   * Fill in missing file sizes from the device (Content-Length of the recording) and store them
+   */
+  async fillFileSizes(copies) {
+    for (const copy of copies) {
+      if (copy.file_size || !copy.play_url) {
+        continue;
+      }
+
+      try {
+        const response = await axios.head(copy.play_url, { timeout: 5000 });
+        const size = parseInt(response.headers['content-length']);
+
+        if (size > 0) {
+          copy.file_size = size;
+          await db.run('UPDATE episodes SET file_size = ? WHERE id = ?', [size, copy.id]);
+        }
+      } catch (error) {
+        console.error(`[Library] Failed to get file size for episode ${copy.id}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Remove the redundant copies of duplicated programs
+   * @param {Function} removeEpisode - async (episode) => result; throws on failure
+   * @param {object} options - { programId } to limit to one program
+   */
+  async removeDuplicates(removeEpisode, options = {}) {
+    const duplicates = await this.getDuplicates(options);
+    const results = [];
+
+    // One at a time: removal may talk to the device
+    for (const duplicate of duplicates) {
+      for (const copy of duplicate.redundant) {
+        try {
+          await removeEpisode(copy);
+          results.push({ ...this.summarizeCopy(copy), program_id: duplicate.program_id, success: true, error: null });
+        } catch (error) {
+          console.error(`[Library] Failed to remove duplicate episode ${copy.id}: ${error.message}`);
+          results.push({ ...this.summarizeCopy(copy), program_id: duplicate.program_id, success: false, error: error.message });
+        }
+      }
+    }
+
+    return {
+      programs: duplicates.length,
+      removed: results.filter(result => result.success).length,
+      failed: results.filter(result => !result.success).length,
+      results
+    };
+  }
+}
+
+module.exports = new LibraryManager();
@@ -7,11 +7,29 @@
  * - Track active streams by tuner ID
  * - Automatic HLS segment management
  * - Process monitoring and error handling
+ * - Closed captions extracted to a WebVTT subtitle track
+ *
+ * playlist.m3u8 is a master playlist pairing the video playlist (video.m3u8)
+ * with the captions subtitle playlist (captions/stream.m3u8), generated on request.
+ * Segments are MPEG-TS (segment-N.ts), or with segmentFormat 'cmaf' fragmented MP4
+ * (init.mp4 and segment-N.m4s).
  */
 
 const { spawn } = require('child_process');
 const fs = require('fs').promises;
 const path = require('path');
+const CaptionExtractor = require('./captions');
+
+const { CAPTION_STATE } = CaptionExtractor;
+
+// Segments kept in the live playlists (~60 seconds at 6s per segment)
+const SEGMENTS_TO_KEEP = 10;
+
+// Segment file extension and FFmpeg HLS segment type of each segment format
+const SEGMENT_FORMATS = {
+  ts: { extension: '.ts', segmentType: 'mpegts' },
+  cmaf: { extension: '.m4s', segmentType: 'fmp4' }
+};
 
 class LiveStreamManager {
   constructor(config = {}) {
@@ -19,8 +37,14 @@ class LiveStreamManager {
       cacheDir: config.cacheDir || 'live-cache',
       segmentDuration: config.segmentDuration || 6,
       bufferMinutes: config.bufferMinutes || 60,
+      captionLanguage: config.captionLanguage || 'en',
       ...config
     };
+    this.config.segmentFormat = config.segmentFormat || 'ts';
+
+    if (!SEGMENT_FORMATS[this.config.segmentFormat]) {
+      throw new Error(`Unknown segment format "${this.config.segmentFormat}". Expected one of: ${Object.keys(SEGMENT_FORMATS).join(', ')}`);
+    }
 
     this.activeStreams = new Map(); // tunerId → stream info
   }
@@ -44,11 +68,13 @@ class LiveStreamManager {
     await fs.mkdir(hlsPath, { recursive: true });
 
     const playlistPath = path.join(hlsPath, 'playlist.m3u8');
-    const segmentPath = path.join(hlsPath, 'segment-%d.ts');
+    const videoPlaylistPath = path.join(hlsPath, 'video.m3u8');
+    const format = SEGMENT_FORMATS[this.config.segmentFormat];
+    const segmentPath = path.join(hlsPath, `segment-%d${format.extension}`);
+    const captionsPath = path.join(hlsPath, 'captions', 'captions.vtt');
 
-    // Calculate HLS list size for live streaming (rolling window)
-    // Keep last 10 segments (~60 seconds at 6s per segment) for live playback
-    const segmentsToKeep = 10;
+    await fs.mkdir(path.dirname(captionsPath), { recursive: true });
+    await fs.writeFile(playlistPath, this.buildMasterPlaylist());
 
     // FFmpeg command for live TV transcoding
     // Standard live HLS configuration
@@ -77,11 +103,17 @@ class LiveStreamManager {
       // HLS output format - Live streaming mode
       '-f', 'hls',
       '-hls_time', this.config.segmentDuration.toString(),
-      '-hls_list_size', segmentsToKeep.toString(),  // Sliding window of segments
+      '-hls_list_size', SEGMENTS_TO_KEEP.toString(), // Sliding window of segments
       '-hls_flags', 'delete_segments+omit_endlist', // Delete old segments, mark as live
       '-hls_segment_filename', segmentPath,
-      '-hls_segment_type', 'mpegts',        // Use MPEG-TS segments (better compatibility)
-      playlistPath
+      '-hls_segment_type', format.segmentType, // MPEG-TS (best compatibility) or fragmented MP4
+      '-hls_fmp4_init_filename', 'init.mp4', // fMP4 only: written next to video.m3u8
+      videoPlaylistPath,
+      // Untouched source video on stdout for caption extraction (the tuner can only be read once)
+      '-map', '0:v:0',
+      '-c:v', 'copy',
+      '-f', 'mpegts',
+      'pipe:1'
     ];
 
     console.log(`[LiveStream] Starting stream for ${tunerId} on channel ${channelNumber}`);
@@ -102,16 +134,21 @@ class LiveStreamManager {
       pid: ffmpeg.pid,
       process: ffmpeg,
       startTime: Date.now(),
-      errors: []
+      errors: [],
+      captions: new CaptionExtractor({
+        outputPath: captionsPath,
+        log: message => console.log(`[LiveStream ${tunerId}] ${message}`)
+      })
     };
 
-    // Handle FFmpeg stdout
-    ffmpeg.stdout.on('data', (data) => {
-      // Log first few lines, then be quiet
-      if (streamInfo.errors.length < 5) {
-        console.log(`[LiveStream ${tunerId}] ${data.toString().trim()}`);
-      }
+    // Feed the source video to caption extraction. If extraction exits early the
+    // video is drained instead, so it never holds up the stream.
+    const extractor = streamInfo.captions.start('pipe:0', () => {
+      ffmpeg.stdout.unpipe();
+      ffmpeg.stdout.resume();
     });
+    extractor.stdin.on('error', () => {}); // EPIPE when extraction exits first
+    ffmpeg.stdout.pipe(extractor.stdin);
 
     // Handle FFmpeg stderr (where FFmpeg logs)
     ffmpeg.stderr.on('data', (data) => {
@@ -144,7 +181,7 @@ class LiveStreamManager {
     this.activeStreams.set(tunerId, streamInfo);
 
     // Wait for playlist to be created (with timeout)
-    await this.waitForPlaylist(playlistPath, 15000);
+    await this.waitForPlaylist(videoPlaylistPath, 15000);
 
     console.log(`[LiveStream] Stream ${tunerId} started successfully (PID: ${ffmpeg.pid})`);
     return ffmpeg.pid;
@@ -164,6 +201,8 @@ class LiveStreamManager {
 
     console.log(`[LiveStream] Stopping stream ${tunerId} (PID: ${streamInfo.pid})`);
 
+    streamInfo.captions.stop();
+
     return new Promise((resolve) => {
       const process = streamInfo.process;
 
@@ -207,10 +246,89 @@ class LiveStreamManager {
       startTime: streamInfo.startTime,
       uptime: Date.now() - streamInfo.startTime,
       errorCount: streamInfo.errors.length,
-      recentErrors: streamInfo.errors.slice(-5)
+      recentErrors: streamInfo.errors.slice(-5),
+      captions: streamInfo.captions.status()
     };
   }
 
+  /**
+   * Build the master playlist pairing the video with its closed captions (off until turned on)
+   * @returns {string}
+   */
+  buildMasterPlaylist() {
+    // Peak bandwidth in bits/s: the 5000k video maxrate and 128k audio, with ~10% MPEG-TS overhead
+    const bandwidth = Math.round((5000 + 128) * 1000 * 1.1);
+
+    return [
+      '#EXTM3U',
+      `#EXT-X-VERSION:${this.config.segmentFormat === 'cmaf' ? 7 : 3}`,
+      `#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="Closed Captions",LANGUAGE="${this.config.captionLanguage}",DEFAULT=NO,AUTOSELECT=YES,FORCED=NO,URI="captions/stream.m3u8"`,
+      `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},SUBTITLES="subs"`,
+      'video.m3u8',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Index of the first caption segment not yet complete. Follows extraction, or the
+   * stream's uptime once extraction has failed so the track keeps up (with empty segments).
+   * @param {object} streamInfo - Active stream
+   * @returns {number}
+   */
+  getCaptionSegmentCount(streamInfo) {
+    const seconds = streamInfo.captions.state === CAPTION_STATE.ERROR
+      ? (Date.now() - streamInfo.startTime) / 1000
+      : streamInfo.captions.extractedSeconds;
+
+    return Math.floor(seconds / this.config.segmentDuration);
+  }
+
+  /**
+   * Build the sliding-window subtitle playlist of a stream's closed captions
+   * @param {string} tunerId - Tuner identifier
+   * @returns {string|null} Playlist contents, or null if the stream is not active
+   */
+  getCaptionPlaylist(tunerId) {
+    const streamInfo = this.activeStreams.get(tunerId);
+    if (!streamInfo) {
+      return null;
+    }
+
+    const total = this.getCaptionSegmentCount(streamInfo);
+    const first = Math.max(0, total - SEGMENTS_TO_KEEP);
+    const lines = [
+      '#EXTM3U',
+      '#EXT-X-VERSION:3',
+      `#EXT-X-TARGETDURATION:${this.config.segmentDuration}`,
+      `#EXT-X-MEDIA-SEQUENCE:${first}`
+    ];
+
+    for (let index = first; index < total; index++) {
+      lines.push(`#EXTINF:${this.config.segmentDuration.toFixed(6)},`);
+      lines.push(`segment-${index}.vtt`);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Cut a WebVTT caption segment from a stream's extracted closed captions
+   * @param {string} tunerId - Tuner identifier
+   * @param {number} index - Segment index
+   * @returns {Promise<string|null>} WebVTT contents, or null if the segment is not available
+   */
+  async getCaptionSegment(tunerId, index) {
+    const streamInfo = this.activeStreams.get(tunerId);
+    if (!streamInfo || index >= this.getCaptionSegmentCount(streamInfo)) {
+      return null;
+    }
+
+    const start = index * this.config.segmentDuration;
+    const mpegtsStart = this.config.segmentFormat === 'cmaf' ? 0 : undefined; // fMP4 starts at timestamp 0
+    const segment = await streamInfo.captions.getSegment(start, start + this.config.segmentDuration, mpegtsStart);
+    return segment === null ? CaptionExtractor.buildSegment([], mpegtsStart) : segment;
+  }
+
   /**
    * Check if stream is active
    * @param {string} tunerId - Tuner identifier
@@ -271,7 +389,7 @@ class LiveStreamManager {
     }
 
     const hlsPath = streamInfo.hlsPath;
-    const firstSegmentPath = path.join(hlsPath, 'segment-0.ts');
+    const firstSegmentPath = path.join(hlsPath, `segment-0${SEGMENT_FORMATS[this.config.segmentFormat].extension}`);
     const startTime = Date.now();
     const checkInterval = 500;
 
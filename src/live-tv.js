@@ -13,6 +13,7 @@
 const db = require('asynqlite');
 const axios = require('axios');
 const LiveStreamManager = require('./live-stream');
+const events = require('./events');
 
 class TunerManager {
   constructor(config = {}) {
@@ -273,6 +274,7 @@ class TunerManager {
     }
 
     console.log(`[LiveTV] No tuners available`);
+    events.publish('tuners', 'tuner.unavailable', { clientId, channelNumber });
     return null;
   }
 
@@ -362,6 +364,7 @@ class TunerManager {
       `, [channelNumber, pid, tunerId]);
 
       console.log(`[LiveTV] Stream started on ${tunerId} (PID: ${pid})`);
+      events.publish('tuners', 'tuner.started', { tunerId, channelNumber, deviceId: tuner.deviceId });
     } catch (error) {
       console.error(`[LiveTV] Failed to start stream on ${tunerId}:`, error);
       throw error;
@@ -403,6 +406,7 @@ class TunerManager {
     `, [tunerId]);
 
     console.log(`[LiveTV] Stream stopped on ${tunerId}`);
+    events.publish('tuners', 'tuner.stopped', { tunerId, deviceId: tuner.deviceId });
   }
 
   /**
@@ -436,6 +440,14 @@ class TunerManager {
           last_accessed = CURRENT_TIMESTAMP
       WHERE id = ?
     `, [tuner.viewerCount, tunerId]);
+
+    events.publish('tuners', 'tuner.allocated', {
+      tunerId,
+      clientId,
+      channelNumber,
+      viewerCount: tuner.viewerCount,
+      state: tuner.state
+    });
   }
 
   /**
@@ -496,6 +508,14 @@ class TunerManager {
             WHERE id = ?
           `, [tunerId]);
         }
+
+        events.publish('tuners', 'tuner.released', {
+          tunerId,
+          clientId,
+          channelNumber: tuner.channelNumber,
+          viewerCount: tuner.viewerCount,
+          state: tuner.state
+        });
       }
     }
   }
@@ -510,6 +530,25 @@ class TunerManager {
     return this.liveStreamManager.waitForFirstSegment(tunerId, timeout);
   }
 
+  /**
+   * Get the closed captions subtitle playlist of a tuner's stream
+   * @param {string} tunerId - Tuner identifier
+   * @returns {string|null}
+   */
+  getCaptionPlaylist(tunerId) {
+    return this.liveStreamManager.getCaptionPlaylist(tunerId);
+  }
+
+  /**
+   * Get a WebVTT closed captions segment of a tuner's stream
+   * @param {string} tunerId - Tuner identifier
+   * @param {number} index - Segment index
+   * @returns {Promise<string|null>}
+   */
+  async getCaptionSegment(tunerId, index) {
+    return this.liveStreamManager.getCaptionSegment(tunerId, index);
+  }
+
   /**
    * Get tuner status
    */
@@ -0,0 +1,121 @@
+/**
+ * MP4 Export Module
+ * Produces a single downloadable MP4 (H.264/AAC) of an episode
+ *
+ * An episode already transcoded to HLS is remuxed from the rendition of the requested
+ * quality, which takes seconds. Otherwise the source is encoded at that quality.
+ * Either way the moov atom is moved to the front (faststart) so players can start
+ * before the whole file has arrived. The file is written under a temporary name and
+ * renamed once complete, so its presence means the export is finished.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const { promisify } = require('util');
+
+const rename = promisify(fs.rename);
+const unlink = promisify(fs.unlink);
+
+class Mp4Exporter {
+  constructor() {
+    this.process = null;
+    this.stopped = false;
+  }
+
+  /**
+   * Export an episode to MP4
+   * @param {object} options - { input (source URL or playlist), audioInput (separate audio playlist,
+   *   optional), outputPath, remux (input is already H.264/AAC), rendition ({ height, videoBitrate,
+   *   audioBitrate } when encoding) }
+   * @param {function} onProgress - Called with FFmpeg's stderr output as it arrives
+   */
+  async export(options, onProgress = () => {}) {
+    const partPath = `${options.outputPath}.part`;
+
+    try {
+      await this.runFFmpeg(this.buildArgs(options, partPath), onProgress);
+      await rename(partPath, options.outputPath);
+    } catch (error) {
+      await unlink(partPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  buildArgs({ input, audioInput, remux, rendition }, outputPath) {
+    const args = ['-y', '-nostdin', '-i', input];
+
+    if (audioInput) {
+      args.push('-i', audioInput, '-map', '0:v:0', '-map', '1:a:0');
+    } else {
+      args.push('-map', '0:v:0', '-map', '0:a:0');
+    }
+
+    if (remux) {
+      // MPEG-TS segments carry ADTS audio, which MP4 stores without the headers
+      args.push('-c', 'copy', '-bsf:a', 'aac_adtstoasc');
+    } else {
+      args.push(
+        // Never scale up past the source
+        '-vf', `scale=-2:'min(${rendition.height},ih)'`,
+        '-c:v', 'libx264',
+        '-preset', 'veryfast',
+        '-profile:v', 'high',
+        '-pix_fmt', 'yuv420p',
+        '-b:v', `${rendition.videoBitrate}k`,
+        '-maxrate', `${rendition.videoBitrate}k`,
+        '-bufsize', `${rendition.videoBitrate * 2}k`,
+        '-c:a', 'aac',
+        '-ac', '2',
+        '-b:a', `${rendition.audioBitrate}k`
+      );
+    }
+
+    args.push('-movflags', '+faststart', '-f', 'mp4', outputPath);
+    return args;
+  }
+
+  runFFmpeg(args, onProgress) {
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn('ffmpeg', args);
+      let stderrTail = '';
+
+      this.process = ffmpeg;
+
+      ffmpeg.stderr.on('data', (data) => {
+        const output = data.toString();
+        stderrTail = (stderrTail + output).slice(-1000);
+        onProgress(output);
+      });
+
+      ffmpeg.on('error', (error) => {
+        this.process = null;
+        reject(error);
+      });
+
+      ffmpeg.on('close', (code) => {
+        this.process = null;
+
+        if (this.stopped) {
+          reject(new Error('MP4 export stopped'));
+        } else if (code !== 0) {
+          const lastLine = stderrTail.trim().split('\n').pop();
+          reject(new Error(`FFmpeg exited with code ${code}${lastLine ? `: ${lastLine}` : ''}`));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Stop exporting (the partial file is removed)
+   */
+  stop() {
+    if (this.process && !this.stopped) {
+      this.stopped = true;
+      this.process.kill('SIGTERM');
+    }
+  }
+}
+
+module.exports = Mp4Exporter;
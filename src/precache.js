@@ -0,0 +1,280 @@
+/**
+ * Pre-cache Module
+ * Declarative policies deciding which recordings are transcoded to HLS ahead of playback
+ *
+ * Each enabled policy selects episodes with its filters:
+ * - unwatched_only: skip episodes marked watched
+ * - favorites_only: only favorited series
+ * - category: only series (or episodes) in this category, e.g. "series", "movie", "news"
+ * - max_age_days: only episodes recorded within this many days
+ * - newest_per_series: only the newest N matching episodes of each series
+ * - max_total_gb: stop adding episodes (newest first) once their estimated HLS size would exceed this
+ *
+ * An episode is pre-cached when any policy selects it, and queued with the highest
+ * priority of those policies. Copies of the same program on several devices are
+ * pre-cached once, picking the copy the merged library keeps. Queueing is performed by the caller.
+ */
+
+const db = require('asynqlite');
+const { NOT_TRASHED } = require('./database');
+const LibraryManager = require('./library');
+
+const DAY_SECONDS = 24 * 60 * 60;
+const GB = 1024 * 1024 * 1024;
+
+// Columns that can be set through the API, with their validators
+const POLICY_FIELDS = {
+  name: value => {
+    if (typeof value !== 'string' || value.trim() === '') {
+      throw new Error('name must be a non-empty string');
+    }
+    return value.trim();
+  },
+  enabled: value => value ? 1 : 0,
+  priority: value => {
+    const priority = Number(value);
+    if (!Number.isInteger(priority)) {
+      throw new Error('priority must be an integer');
+    }
+    return priority;
+  },
+  unwatched_only: value => value ? 1 : 0,
+  favorites_only: value => value ? 1 : 0,
+  category: value => {
+    if (value === null || value === '') {
+      return null;
+    }
+    if (typeof value !== 'string') {
+      throw new Error('category must be a string');
+    }
+    return value;
+  },
+  newest_per_series: value => positiveOrNull(value, 'newest_per_series', true),
+  max_age_days: value => positiveOrNull(value, 'max_age_days', true),
+  max_total_gb: value => positiveOrNull(value, 'max_total_gb', false)
+};
+
+function positiveOrNull(value, field, integer) {
+  if (value === null || value === '') {
+    return null;
+  }
+
+  const number = Number(value);
+  if (isNaN(number) || number <= 0 || (integer && !Number.isInteger(number))) {
+    throw new Error(`${field} must be a positive ${integer ? 'integer' : 'number'} or null`);
+  }
+  return number;
+}
+
+class PreCacheManager {
+  /**
+   * List all pre-cache policies
+   */
+  async listPolicies() {
+    const policies = await db.run('SELECT * FROM precache_policies ORDER BY priority DESC, id');
+    return (policies || []).map(policy => this.formatPolicy(policy));
+  }
+
+  async getPolicyById(policyId) {
+    const policies = await db.run('SELECT * FROM precache_policies WHERE id = ?', [policyId]);
+    return policies && policies.length > 0 ? this.formatPolicy(policies[0]) : null;
+  }
+
+  formatPolicy(policy) {
+    return {
+      ...policy,
+      enabled: !!policy.enabled,
+      unwatched_only: !!policy.unwatched_only,
+      favorites_only: !!policy.favorites_only
+    };
+  }
+
+  /**
+   * Validate the given policy fields, throwing an Error with a client-facing message
+   * @returns {object} Column → value for the fields present
+   */
+  validatePolicy(params) {
+    const values = {};
+
+    for (const [field, validate] of Object.entries(POLICY_FIELDS)) {
+      if (params[field] !== undefined) {
+        values[field] = validate(params[field]);
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Create a pre-cache policy
+   * @param {object} params - { name, enabled, priority, unwatched_only, favorites_only, category, newest_per_series, max_age_days, max_total_gb }
+   */
+  async createPolicy(params) {
+    const values = this.validatePolicy({ name: 'Pre-cache policy', ...params });
+    const columns = Object.keys(values);
+
+    await db.run(`
+      INSERT INTO precache_policies (${columns.join(', ')})
+      VALUES (${columns.map(() => '?').join(', ')})
+    `, Object.values(values));
+
+    const created = await db.run('SELECT last_insert_rowid() as id');
+    return await this.getPolicyById(created[0].id);
+  }
+
+  /**
+   * Update the given fields of a policy; null clears an optional filter
+   */
+  async updatePolicy(policyId, updates) {
+    const existing = await this.getPolicyById(policyId);
+    if (!existing) {
+      return null;
+    }
+
+    const values = this.validatePolicy(updates);
+    const columns = Object.keys(values);
+
+    if (columns.length > 0) {
+      await db.run(`
+        UPDATE precache_policies SET
+          ${columns.map(column => `${column} = ?`).join(', ')},
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [...Object.values(values), policyId]);
+    }
+
+    return await this.getPolicyById(policyId);
+  }
+
+  async deletePolicy(policyId) {
+    const existing = await this.getPolicyById(policyId);
+    if (!existing) {
+      return false;
+    }
+
+    await db.run('DELETE FROM precache_policies WHERE id = ?', [policyId]);
+    return true;
+  }
+
+  /**
+   * Work out which episodes the enabled policies select
+   * @param {object} options - { estimateSize: (episode) => bytes, episodeIds: only return these (e.g. new recordings) }
+   * @returns {Promise<Array>} [{ episode, policies: [{ id, name }], priority, estimated_bytes }] newest first
+   */
+  async getCandidates(options = {}) {
+    const { estimateSize = () => 0, episodeIds = null } = options;
+
+    const policies = await db.run('SELECT * FROM precache_policies WHERE enabled = 1 ORDER BY priority DESC, id');
+    if (!policies || policies.length === 0) {
+      return [];
+    }
+
+    const episodes = this.dedupePrograms(await db.run(`
+      SELECT
+        e.id,
+        e.series_id as show_id,
+        e.program_id,
+        e.title,
+        e.episode_title,
+        e.category,
+        e.start_time,
+        e.duration,
+        e.play_url,
+        e.watched,
+        e.record_success,
+        e.file_size,
+        e.record_start_time,
+        e.record_end_time,
+        s.series_id,
+        s.title as series_title,
+        s.category as series_category,
+        EXISTS (SELECT 1 FROM series_favorites f WHERE f.series_id = s.series_id) as favorite
+      FROM episodes e
+      JOIN series s ON e.series_id = s.id
+      WHERE ${NOT_TRASHED}
+      ORDER BY e.start_time DESC, e.id
+    `) || []);
+
+    const now = Math.floor(Date.now() / 1000);
+    const candidates = new Map(); // episode id → candidate, in first-selected order
+
+    for (const policy of policies) {
+      const positions = new Map(); // series id → matching episodes seen so far (newest first)
+      const maxBytes = policy.max_total_gb ? policy.max_total_gb * GB : null;
+      let totalBytes = 0;
+
+      for (const episode of episodes) {
+        if (!this.matchesFilters(policy, episode, now)) {
+          continue;
+        }
+
+        const position = positions.get(episode.series_id) || 0;
+        positions.set(episode.series_id, position + 1);
+        if (policy.newest_per_series && position >= policy.newest_per_series) {
+          continue;
+        }
+
+        const size = estimateSize(episode);
+        if (maxBytes && totalBytes + size > maxBytes) {
+          continue; // An older, shorter episode may still fit
+        }
+        totalBytes += size;
+
+        let candidate = candidates.get(episode.id);
+        if (!candidate) {
+          candidate = { episode, policies: [], priority: policy.priority, estimated_bytes: size };
+          candidates.set(episode.id, candidate);
+        }
+        candidate.policies.push({ id: policy.id, name: policy.name });
+        candidate.priority = Math.max(candidate.priority, policy.priority);
+      }
+    }
+
+    const selected = Array.from(candidates.values());
+    const onlyIds = episodeIds ? new Set(episodeIds.map(Number)) : null;
+
+    return selected
+      .filter(candidate => !onlyIds || onlyIds.has(candidate.episode.id))
+      .sort((a, b) => b.episode.start_time - a.episode.start_time);
+  }
+
+  /**
+   * Whether an episode passes a policy's filters (everything except the per-series and size limits)
+   */
+  matchesFilters(policy, episode, now) {
+    if (policy.unwatched_only && episode.watched) {
+      return false;
+    }
+
+    if (policy.favorites_only && !episode.favorite) {
+      return false;
+    }
+
+    if (policy.category && episode.series_category !== policy.category && episode.category !== policy.category) {
+      return false;
+    }
+
+    if (policy.max_age_days && episode.start_time < now - policy.max_age_days * DAY_SECONDS) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Keep one copy of programs recorded on several devices: the one the merged library keeps
+   */
+  dedupePrograms(episodes) {
+    const copies = new Map();
+
+    for (const episode of episodes) {
+      const key = episode.program_id || `episode:${episode.id}`;
+      copies.set(key, [...(copies.get(key) || []), episode]);
+    }
+
+    const keep = new Set(Array.from(copies.values()).map(group => LibraryManager.rankCopies(group)[0].id));
+    return episodes.filter(episode => keep.has(episode.id));
+  }
+}
+
+module.exports = new PreCacheManager();
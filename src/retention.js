@@ -0,0 +1,348 @@
+/**
+ * Retention Module
+ * Automatically removes recordings according to retention rules
+ *
+ * Rules:
+ * - keep_last: keep only the newest N episodes of a series
+ * - delete_watched_after: delete episodes X days after they were marked watched
+ * - delete_older_than: delete episodes recorded more than Y days ago, unless the series is a favorite
+ *
+ * A rule without a series is global. A series rule replaces the global rule of the
+ * same type for that series. Deletion itself is performed by the caller so that
+ * retention uses exactly the same device/HLS/database path as DELETE /api/episodes/:id.
+ */
+
+const db = require('asynqlite');
+const { NOT_TRASHED } = require('./database');
+
+const RULE_TYPES = ['keep_last', 'delete_watched_after', 'delete_older_than'];
+const DAY_SECONDS = 24 * 60 * 60;
+
+class RetentionManager {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  /**
+   * List all retention rules (global rules first)
+   */
+  async listRules() {
+    const rules = await db.run(`
+      SELECT
+        r.*,
+        (SELECT title FROM series s WHERE s.series_id = r.series_id LIMIT 1) as series_title
+      FROM retention_rules r
+      ORDER BY r.series_id IS NOT NULL, r.series_id, r.rule_type
+    `);
+
+    return (rules || []).map(rule => this.formatRule(rule));
+  }
+
+  async getRuleById(ruleId) {
+    const rules = await db.run('SELECT * FROM retention_rules WHERE id = ?', [ruleId]);
+    return rules && rules.length > 0 ? this.formatRule(rules[0]) : null;
+  }
+
+  formatRule(rule) {
+    return {
+      ...rule,
+      scope: rule.series_id ? 'series' : 'global',
+      enabled: !!rule.enabled
+    };
+  }
+
+  /**
+   * Validate rule parameters, throwing an Error with a client-facing message
+   */
+  validateRule(ruleType, value) {
+    if (!RULE_TYPES.includes(ruleType)) {
+      throw new Error(`Invalid rule type "${ruleType}". Expected one of: ${RULE_TYPES.join(', ')}`);
+    }
+
+    const numericValue = parseInt(value);
+    if (isNaN(numericValue) || numericValue <= 0) {
+      throw new Error('Rule value must be a positive integer');
+    }
+
+    return numericValue;
+  }
+
+  /**
+   * Create a retention rule
+   * @param {object} params - { rule_type, value, series_id, enabled }
+   */
+  async createRule(params) {
+    const { rule_type, value, series_id = null, enabled = true } = params;
+    const numericValue = this.validateRule(rule_type, value);
+
+    await db.run(`
+      INSERT INTO retention_rules (series_id, rule_type, value, enabled)
+      VALUES (?, ?, ?, ?)
+    `, [series_id || null, rule_type, numericValue, enabled ? 1 : 0]);
+
+    const created = await db.run('SELECT last_insert_rowid() as id');
+    return await this.getRuleById(created[0].id);
+  }
+
+  /**
+   * Update a rule's value and/or enabled flag
+   */
+  async updateRule(ruleId, updates) {
+    const existing = await this.getRuleById(ruleId);
+    if (!existing) {
+      return null;
+    }
+
+    const numericValue = updates.value !== undefined
+      ? this.validateRule(existing.rule_type, updates.value)
+      : null;
+    const enabled = updates.enabled === undefined ? null : (updates.enabled ? 1 : 0);
+
+    await db.run(`
+      UPDATE retention_rules SET
+        value = COALESCE(?, value),
+        enabled = COALESCE(?, enabled),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [numericValue, enabled, ruleId]);
+
+    return await this.getRuleById(ruleId);
+  }
+
+  async deleteRule(ruleId) {
+    const existing = await this.getRuleById(ruleId);
+    if (!existing) {
+      return false;
+    }
+
+    await db.run('DELETE FROM retention_rules WHERE id = ?', [ruleId]);
+    return true;
+  }
+
+  /**
+   * Mark or unmark a series (by HDHomeRun Series ID) as a favorite
+   */
+  async setFavorite(seriesId, favorite) {
+    if (favorite) {
+      await db.run('INSERT OR IGNORE INTO series_favorites (series_id) VALUES (?)', [seriesId]);
+    } else {
+      await db.run('DELETE FROM series_favorites WHERE series_id = ?', [seriesId]);
+    }
+    return favorite;
+  }
+
+  /**
+   * Work out which episodes the enabled rules would remove
+   * @returns {Promise<Array>} [{ episode, rule, reason }] ordered oldest first
+   */
+  async getCandidates() {
+    const rules = await db.run('SELECT * FROM retention_rules WHERE enabled = 1');
+    if (!rules || rules.length === 0) {
+      return [];
+    }
+
+    const episodes = await db.run(`
+      SELECT
+        e.id,
+        e.series_id as show_id,
+        e.title,
+        e.episode_title,
+        e.episode_number,
+        e.start_time,
+        e.cmd_url,
+        e.watched,
+        w.watched_at,
+        s.series_id,
+        s.title as series_title,
+        EXISTS (SELECT 1 FROM series_favorites f WHERE f.series_id = s.series_id) as favorite
+      FROM episodes e
+      JOIN series s ON e.series_id = s.id
+      LEFT JOIN watch_history w ON w.episode_id = e.id
+      WHERE ${NOT_TRASHED}
+      ORDER BY e.series_id, e.start_time DESC
+    `) || [];
+
+    const now = Math.floor(Date.now() / 1000);
+    const candidates = [];
+    const keptPerShow = new Map(); // show id → episodes seen so far (newest first)
+
+    for (const episode of episodes) {
+      const position = keptPerShow.get(episode.show_id) || 0;
+      keptPerShow.set(episode.show_id, position + 1);
+
+      const effectiveRules = this.getEffectiveRules(rules, episode.series_id);
+      const match = this.matchRule(effectiveRules, episode, position, now);
+
+      if (match) {
+        candidates.push({ episode, ...match });
+      }
+    }
+
+    return candidates.sort((a, b) => a.episode.start_time - b.episode.start_time);
+  }
+
+  /**
+   * Series rules override global rules of the same type
+   */
+  getEffectiveRules(rules, seriesId) {
+    const effective = {};
+
+    for (const rule of rules) {
+      if (!rule.series_id && !effective[rule.rule_type]) {
+        effective[rule.rule_type] = rule;
+      }
+    }
+
+    for (const rule of rules) {
+      if (rule.series_id && rule.series_id === seriesId) {
+        effective[rule.rule_type] = rule;
+      }
+    }
+
+    return effective;
+  }
+
+  /**
+   * Return the first rule that selects this episode for removal, if any
+   * @param {number} position - 0-based index of the episode within its series, newest first
+   */
+  matchRule(effectiveRules, episode, position, now) {
+    const keepLast = effectiveRules.keep_last;
+    if (keepLast && position >= keepLast.value) {
+      return {
+        rule: keepLast,
+        reason: `Series keeps only the newest ${keepLast.value} episode(s)`
+      };
+    }
+
+    const watchedAfter = effectiveRules.delete_watched_after;
+    if (watchedAfter && episode.watched && episode.watched_at &&
+        episode.watched_at <= now - watchedAfter.value * DAY_SECONDS) {
+      return {
+        rule: watchedAfter,
+        reason: `Watched more than ${watchedAfter.value} day(s) ago`
+      };
+    }
+
+    const olderThan = effectiveRules.delete_older_than;
+    if (olderThan && !episode.favorite &&
+        episode.start_time <= now - olderThan.value * DAY_SECONDS) {
+      return {
+        rule: olderThan,
+        reason: `Recorded more than ${olderThan.value} day(s) ago`
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Enforce retention rules
+   * @param {Function} deleteEpisode - async (episode) => { deviceDeletion, hlsDeletion }; throws on failure
+   * @param {string} triggeredBy - 'schedule' or 'manual'
+   * @returns {Promise<object>} Run summary including per-episode results
+   */
+  async run(deleteEpisode, triggeredBy = 'manual') {
+    if (this.isRunning) {
+      throw new Error('Retention run already in progress');
+    }
+
+    this.isRunning = true;
+
+    try {
+      const candidates = await this.getCandidates();
+
+      await db.run('INSERT INTO retention_runs (triggered_by, candidate_count) VALUES (?, ?)',
+        [triggeredBy, candidates.length]);
+      const runRow = await db.run('SELECT last_insert_rowid() as id');
+      const runId = runRow[0].id;
+
+      console.log(`[Retention] Run ${runId} (${triggeredBy}): ${candidates.length} episode(s) to remove`);
+
+      const results = [];
+      let deleted = 0;
+      let failed = 0;
+
+      // One at a time: each deletion talks to the device
+      for (const candidate of candidates) {
+        const { episode, rule, reason } = candidate;
+        let outcome;
+
+        try {
+          const deletion = await deleteEpisode(episode);
+          outcome = {
+            success: true,
+            error: null,
+            deviceDeleted: !!(deletion.deviceDeletion && deletion.deviceDeletion.success),
+            hlsDeleted: !!(deletion.hlsDeletion && deletion.hlsDeletion.success)
+          };
+          deleted++;
+        } catch (error) {
+          console.error(`[Retention] Failed to remove episode ${episode.id}: ${error.message}`);
+          outcome = { success: false, error: error.message, deviceDeleted: false, hlsDeleted: false };
+          failed++;
+        }
+
+        await db.run(`
+          INSERT INTO retention_audit (
+            run_id, rule_id, rule_type, reason, episode_id, series_id, series_title,
+            episode_title, episode_number, start_time, success, error, device_deleted, hls_deleted
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          runId, rule.id, rule.rule_type, reason, episode.id, episode.series_id, episode.series_title,
+          episode.episode_title, episode.episode_number, episode.start_time,
+          outcome.success ? 1 : 0, outcome.error, outcome.deviceDeleted ? 1 : 0, outcome.hlsDeleted ? 1 : 0
+        ]);
+
+        results.push({ episode_id: episode.id, series_title: episode.series_title, episode_title: episode.episode_title, reason, ...outcome });
+      }
+
+      await db.run(`
+        UPDATE retention_runs SET
+          finished_at = CURRENT_TIMESTAMP,
+          deleted_count = ?,
+          failed_count = ?
+        WHERE id = ?
+      `, [deleted, failed, runId]);
+
+      console.log(`[Retention] Run ${runId} finished: ${deleted} removed, ${failed} failed`);
+
+      return { run_id: runId, triggered_by: triggeredBy, candidates: candidates.length, deleted, failed, results };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Get recent runs with their audit entries
+   */
+  async getAudit(options = {}) {
+    const { limit = 20, runId = null } = options;
+
+    const runs = runId
+      ? await db.run('SELECT * FROM retention_runs WHERE id = ?', [runId])
+      : await db.run('SELECT * FROM retention_runs ORDER BY id DESC LIMIT ?', [limit]);
+
+    const audited = [];
+    for (const run of runs || []) {
+      const entries = await db.run(
+        'SELECT * FROM retention_audit WHERE run_id = ? ORDER BY id',
+        [run.id]
+      );
+
+      audited.push({
+        ...run,
+        entries: (entries || []).map(entry => ({
+          ...entry,
+          success: !!entry.success,
+          device_deleted: !!entry.device_deleted,
+          hls_deleted: !!entry.hls_deleted
+        }))
+      });
+    }
+
+    return audited;
+  }
+}
+
+module.exports = new RetentionManager();
@@ -9,9 +9,24 @@ const HDHomeRunDiscovery = require('./discovery');
 const HDHomeRunDVR = require('./dvr');
 const HDHomeRunDatabase = require('./database');
 const HLSStreamManager = require('./hls-stream');
+const CaptionExtractor = require('./captions');
 const GuideManager = require('./guide');
 const RecordingRulesManager = require('./recording-rules');
 const TunerManager = require('./live-tv');
+const RetentionManager = require('./retention');
+const LibraryManager = require('./library');
+const TranscodeQueue = require('./transcode-queue');
+const PreCacheManager = require('./precache');
+const CommercialDetector = require('./commercials');
+const SourceProxy = require('./source-proxy');
+const events = require('./events');
+
+// Content types of media segments served from the HLS cache, by extension
+const SEGMENT_CONTENT_TYPES = {
+  '.ts': 'video/mp2t',
+  '.m4s': 'video/iso.segment',
+  '.mp4': 'video/mp4' // CMAF initialization segments
+};
 
 class HDHomeRunServer {
   constructor(options = {}) {
@@ -20,11 +35,33 @@ class HDHomeRunServer {
     this.port = options.port || 3000;
     this.verbose = options.verbose || false;
     this.preCache = options.preCache || false;
+    this.detectCommercials = options.detectCommercials !== false; // Analyse finished recordings after discovery
     this.database = new HDHomeRunDatabase();
-    this.hlsManager = new HLSStreamManager({ verbose: this.verbose });
+    this.hlsManager = new HLSStreamManager({
+      verbose: this.verbose,
+      ladder: options.hlsLadder,
+      clientProfile: options.hlsClientProfile,
+      maxCacheSize: options.hlsCacheMaxSize,
+      captionLanguage: options.captionLanguage,
+      surroundAudio: options.hlsSurroundAudio,
+      segmentFormat: options.hlsSegmentFormat,
+      getPinnedEpisodeIds: () => this.database.getPinnedEpisodeIds(),
+      getCommercialMarkers: options.hlsCommercialMarkers ? episodeId => CommercialDetector.getMarkers(episodeId) : null
+    });
+    this.sourceProxy = new SourceProxy({
+      maxKbps: options.sourceMaxKbps,
+      log: message => this.log(message)
+    });
     this.isDiscovering = false;
     this.lastDiscovery = null;
+    this.lastSync = null; // Per-run added/removed counts from the most recent discovery
     this.isBulkCaching = false;
+    this.preCacheScanned = false; // Whole library queued once; later discoveries only queue new recordings
+
+    // Trashed episodes are removed from the device after this many hours
+    this.trashGraceHours = options.trashGraceHours ?? 48; // 0 purges at the next check
+    this.syncConcurrency = options.syncConcurrency || 4; // Episode listings fetched at once per device
+    this.isPurgingTrash = false;
 
     // Live TV configuration
     this.liveTVEnabled = options.liveTV !== false; // Enabled by default
@@ -38,6 +75,8 @@ class HDHomeRunServer {
       tunerCooldown: 300,
       pruneInterval: 30,
       maxViewersPerTuner: 10,
+      captionLanguage: options.captionLanguage,
+      segmentFormat: options.hlsSegmentFormat,
       ...options.liveTVConfig
     };
     this.tunerManager = null;
@@ -95,12 +134,261 @@ class HDHomeRunServer {
     const hlsCacheDir = path.join(this.hlsManager.cacheDir, String(episode.id));
     const hlsCacheSize = this.getDirectorySize(hlsCacheDir);
 
-    return {
+    const formatted = {
       ...episode,
       hls_cache_bytes: hlsCacheSize,
       source_url: episode.play_url,  // Keep original HDHomeRun URL
+      source_proxy_url: `${baseUrl}/api/episodes/${episode.id}/source`, // Original recording, relayed
       play_url: hlsUrl                // Replace with HLS proxy URL
     };
+
+    // CMAF segments are also served as DASH
+    if (this.hlsManager.segmentFormat === 'cmaf') {
+      formatted.dash_url = `${baseUrl}/api/stream/${episode.id}/manifest.mpd`;
+    }
+
+    return formatted;
+  }
+
+  getEpisodeFilename(episode) {
+    // File name (without extension) for downloads of an episode: "Show - S01E02 - Title"
+    return [episode.title, episode.episode_number, episode.episode_title]
+      .filter(Boolean)
+      .join(' - ')
+      .replace(/[^\w\s.-]/g, '')
+      .trim() || `episode-${episode.id}`;
+  }
+
+  formatEpisode(episode, req) {
+    // Full episode representation used by the single-episode and list endpoints
+    const formattedEpisode = this.formatEpisodeWithHLS(episode, req);
+
+    return {
+      ...formattedEpisode,
+      start_time: new Date(episode.start_time * 1000).toISOString(),
+      end_time: new Date(episode.end_time * 1000).toISOString(),
+      original_airdate: episode.original_airdate ? new Date(episode.original_airdate * 1000).toISOString() : null,
+      duration_minutes: Math.round((episode.duration || 0) / 60),
+      resume_minutes: Math.round((episode.resume_position || 0) / 60)
+    };
+  }
+
+  async startEpisodeStream(req, res, episodeId) {
+    // Start transcoding an episode for streaming (or reuse the existing transcode).
+    // Responds with an error and returns false if it cannot be streamed.
+    const episode = await this.database.getEpisodeById(episodeId);
+
+    if (!episode) {
+      res.status(404).json({ error: 'Episode not found' });
+      return false;
+    }
+
+    if (!episode.source_url && !episode.play_url) {
+      res.status(400).json({ error: 'Episode has no playback URL' });
+      return false;
+    }
+
+    // Client profile decides whether video/audio may be copied instead of re-encoded
+    const clientProfile = req.query.client || this.hlsManager.defaultClientProfile;
+    if (!HLSStreamManager.CLIENT_PROFILES.includes(clientProfile)) {
+      res.status(400).json({
+        error: `Unknown client profile "${clientProfile}"`,
+        validProfiles: HLSStreamManager.CLIENT_PROFILES
+      });
+      return false;
+    }
+
+    // Use source_url (original HDHomeRun URL) for transcoding
+    const sourceUrl = episode.source_url || episode.play_url;
+
+    this.debug(`Stream requested for episode ${episodeId}: ${episode.title}`);
+
+    // Prepare metadata for transcode
+    const metadata = {
+      showName: episode.series_title,
+      episodeName: episode.episode_title || episode.title,
+      airDate: episode.start_time ? new Date(episode.start_time * 1000).toISOString() : null,
+      duration: episode.duration || null
+    };
+
+    await this.hlsManager.startTranscode(episodeId, sourceUrl, false, metadata, clientProfile);
+    return true;
+  }
+
+  async serveStreamFile(req, res, episodeId, rendition, filename) {
+    // Serve a playlist or segment from an episode's HLS cache, waiting briefly
+    // for it to appear while the transcode is still running
+    try {
+      // Validate names to prevent directory traversal
+      if (filename.includes('..') || filename.includes('/') ||
+          (rendition && (rendition.includes('..') || rendition.includes('/')))) {
+        return res.status(400).json({ error: 'Invalid filename' });
+      }
+
+      if (rendition === HLSStreamManager.CAPTIONS_DIR) {
+        return await this.serveCaptionFile(res, episodeId, filename);
+      }
+
+      if (rendition === HLSStreamManager.THUMBNAILS_DIR) {
+        return this.serveThumbnailSprite(res, episodeId, filename);
+      }
+
+      const streamDir = this.hlsManager.getStreamDir(episodeId);
+      const filePath = rendition
+        ? path.join(streamDir, rendition, filename)
+        : path.join(streamDir, filename);
+
+      // Seekable episodes get a full-length playlist listing segments not encoded yet
+      if (rendition && filename === 'stream.m3u8') {
+        const playlist = await this.hlsManager.getVariantPlaylist(episodeId, rendition);
+        if (playlist) {
+          res.set({
+            'Content-Type': 'application/vnd.apple.mpegurl',
+            'Cache-Control': 'no-cache',
+            'Access-Control-Allow-Origin': '*'
+          });
+          return res.send(playlist);
+        }
+      }
+
+      // Check if file exists - wait a bit if transcode is in progress
+      const status = this.hlsManager.getTranscodeStatus(episodeId);
+
+      if (status.state === 'transcoding') {
+        // A segment far ahead of the encode starts a new encode at that point,
+        // which needs longer to produce its first segment
+        const seeking = !fs.existsSync(filePath) && this.hlsManager.requestSegment(episodeId, filename);
+        const maxAttempts = seeking ? 30 : 10;
+
+        // Transcode in progress - wait briefly for segment to appear
+        let attempts = 0;
+        while (attempts < maxAttempts) {
+          if (fs.existsSync(filePath)) {
+            break;
+          }
+          await new Promise(resolve => setTimeout(resolve, 500));
+          attempts++;
+        }
+      }
+
+      // Check if file exists
+      if (!fs.existsSync(filePath)) {
+        return res.status(404).json({
+          error: 'Segment not found',
+          transcodeState: status.state
+        });
+      }
+
+      this.debug(`Serving ${rendition ? `${rendition}/` : ''}${filename} for episode ${episodeId}`);
+
+      // Variant playlists grow while transcoding, so only segments are cacheable
+      const isPlaylist = filename.endsWith('.m3u8');
+
+      // Segment requests mean the episode is being played (for least-recently-played eviction)
+      if (!isPlaylist) {
+        this.hlsManager.touchEpisode(episodeId);
+      }
+      res.set({
+        'Content-Type': isPlaylist ? 'application/vnd.apple.mpegurl' : (SEGMENT_CONTENT_TYPES[path.extname(filename)] || 'video/mp2t'),
+        'Cache-Control': isPlaylist ? 'no-cache' : 'public, max-age=86400', // Cache segments for 24 hours
+        'Access-Control-Allow-Origin': '*'
+      });
+
+      const stream = fs.createReadStream(filePath);
+      stream.pipe(res);
+
+      stream.on('error', (error) => {
+        this.log(`Error streaming segment ${filename}: ${error.message}`);
+        if (!res.headersSent) {
+          res.status(500).json({ error: 'Failed to stream segment' });
+        }
+      });
+    } catch (error) {
+      this.log(`Error serving HLS segment: ${error.message}`);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to serve segment' });
+      }
+    }
+  }
+
+  async serveCaptionFile(res, episodeId, filename) {
+    // Serve the subtitle playlist or a WebVTT segment of an episode's closed captions.
+    // Segments are cut from the extracted captions; one extraction has not reached yet
+    // is waited for briefly, then served empty so playback never stalls on captions.
+    res.set({
+      'Cache-Control': 'no-cache',
+      'Access-Control-Allow-Origin': '*'
+    });
+
+    if (filename === 'stream.m3u8') {
+      const playlist = this.hlsManager.getCaptionPlaylist(episodeId);
+      if (!playlist) {
+        return res.status(404).json({ error: 'Episode has no closed captions' });
+      }
+
+      res.set('Content-Type', 'application/vnd.apple.mpegurl');
+      return res.send(playlist);
+    }
+
+    // The whole extracted file, which DASH manifests list once extraction is complete
+    if (filename === 'captions.vtt') {
+      const captionsPath = this.hlsManager.getCaptionsPath(episodeId);
+      if (!fs.existsSync(captionsPath)) {
+        return res.status(404).json({ error: 'Episode has no closed captions' });
+      }
+
+      res.set('Content-Type', 'text/vtt');
+      return fs.createReadStream(captionsPath).pipe(res);
+    }
+
+    const match = filename.match(/^segment(\d+)\.vtt$/);
+    if (!match || !this.hlsManager.hasCaptionSegment(episodeId, parseInt(match[1]))) {
+      return res.status(404).json({ error: 'Caption segment not found' });
+    }
+
+    const index = parseInt(match[1]);
+    let segment = await this.hlsManager.getCaptionSegment(episodeId, index);
+
+    for (let attempts = 0; segment === null && attempts < 10; attempts++) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+      segment = await this.hlsManager.getCaptionSegment(episodeId, index);
+    }
+
+    res.set('Content-Type', 'text/vtt');
+    res.send(segment === null ? CaptionExtractor.buildSegment([]) : segment);
+  }
+
+  serveThumbnailSprite(res, episodeId, filename) {
+    // Serve a trickplay sprite sheet referenced by an episode's thumbnails.vtt
+    if (!/^sprite\d+\.jpg$/.test(filename)) {
+      return res.status(404).json({ error: 'Thumbnail sprite not found' });
+    }
+
+    const filePath = path.join(this.hlsManager.getStreamDir(episodeId), HLSStreamManager.THUMBNAILS_DIR, filename);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Thumbnail sprite not found' });
+    }
+
+    res.set({
+      'Content-Type': 'image/jpeg',
+      'Cache-Control': 'public, max-age=86400',
+      'Access-Control-Allow-Origin': '*'
+    });
+    fs.createReadStream(filePath).pipe(res);
+  }
+
+  async resolveProfile(req) {
+    // A viewer profile can be named (by ID or name) via the X-Profile header,
+    // a ?profile= query parameter, or a "profile" field in the request body.
+    // Requests without a profile use the shared (device) progress.
+    const profileRef = req.get('X-Profile') || req.query.profile || (req.body && req.body.profile);
+
+    if (!profileRef) {
+      return { profileRef: null, profile: null };
+    }
+
+    const profile = await this.database.getProfile(profileRef);
+    return { profileRef, profile };
   }
 
   async relayProgressToHDHomeRun(cmdUrl, position, watched) {
@@ -169,6 +457,74 @@ class HDHomeRunServer {
     }
   }
 
+  summarizeEpisode(episode) {
+    // Compact episode description used in event payloads
+    return {
+      episode_id: episode.id,
+      show_id: episode.show_id || episode.series_id,
+      series_title: episode.series_title,
+      episode_title: episode.episode_title,
+      episode_number: episode.episode_number
+    };
+  }
+
+  async deleteEpisodeCompletely(episode, rerecord = false) {
+    // Three-step deletion shared by DELETE /api/episodes/:id and retention:
+    // device recording, then HLS cache, then the database row.
+    // Throws with error.stage set to 'device' or 'database' on failure.
+
+    // Step 1: Delete from HDHomeRun device (fails fast)
+    let deviceDeletionResult = null;
+    if (episode.cmd_url) {
+      try {
+        deviceDeletionResult = await this.deleteRecordingFromHDHomeRun(episode.cmd_url, rerecord);
+        this.log(`✓ Episode deleted from HDHomeRun device`);
+      } catch (error) {
+        this.log(`✗ Failed to delete from device: ${error.message}`);
+        error.stage = 'device';
+        throw error;
+      }
+    } else {
+      this.log(`⚠️  Episode has no cmd_url, skipping device deletion`);
+    }
+
+    // Step 2: Delete HLS cache directory, stopping any running transcode and dropping its queue job
+    const hlsCacheDir = path.join(this.hlsManager.cacheDir, String(episode.id));
+    const hlsCacheExists = fs.existsSync(hlsCacheDir);
+    let hlsDeletionResult = { attempted: false, success: false };
+
+    try {
+      if (hlsCacheExists) {
+        this.log(`Deleting HLS cache directory: ${hlsCacheDir}`);
+      } else {
+        this.log(`HLS cache directory does not exist: ${hlsCacheDir}`);
+      }
+      await this.hlsManager.deleteTranscode(String(episode.id));
+      if (hlsCacheExists) {
+        hlsDeletionResult = { attempted: true, success: !fs.existsSync(hlsCacheDir) };
+        this.log(hlsDeletionResult.success ? `✓ HLS cache deleted` : `✗ HLS cache directory still present`);
+      }
+    } catch (error) {
+      this.log(`✗ Failed to delete HLS cache: ${error.message}`);
+      hlsDeletionResult = { attempted: true, success: false, error: error.message };
+    }
+
+    // Step 3: Delete from local database
+    try {
+      await this.database.deleteEpisode(episode.id);
+      this.log(`✓ Episode deleted from local database`);
+      events.publish('recordings', 'recording.removed', this.summarizeEpisode(episode));
+    } catch (error) {
+      this.log(`✗ Failed to delete from database: ${error.message}`);
+      error.stage = 'database';
+      error.deviceDeletion = deviceDeletionResult;
+      error.hlsDeletion = hlsDeletionResult;
+      throw error;
+    }
+
+    return { deviceDeletion: deviceDeletionResult, hlsDeletion: hlsDeletionResult };
+  }
+
   setupMiddleware() {
     this.app.use(cors());
     this.app.use(express.json());
@@ -182,6 +538,15 @@ class HDHomeRunServer {
   }
 
   setupRoutes() {
+    // Episode IDs name directories in the HLS cache, so only plain numbers are accepted
+    // (an encoded "%2e%2e" would otherwise reach outside it)
+    this.app.param('episodeId', (req, res, next, episodeId) => {
+      if (!/^\d+$/.test(episodeId)) {
+        return res.status(400).json({ error: 'Invalid episode ID' });
+      }
+      next();
+    });
+
     // Health check endpoint
     this.app.get('/health', (req, res) => {
       res.json({
@@ -202,9 +567,11 @@ class HDHomeRunServer {
         res.json({
           ...stats,
           lastDiscovery: this.lastDiscovery,
+          lastSync: this.lastSync,
           isDiscovering: this.isDiscovering,
           preCache: this.preCache,
           isBulkCaching: this.isBulkCaching,
+          bulkConversion: await this.hlsManager.getBulkConversionStatus(),
           serverStarted: new Date().toISOString()
         });
       } catch (error) {
@@ -239,6 +606,7 @@ class HDHomeRunServer {
         const formattedSeries = series.map(s => ({
           ...s,
           duration_hours: Math.round((s.total_duration || 0) / 3600),
+          favorite: !!s.favorite,
           first_recorded: s.first_recorded ? new Date(s.first_recorded * 1000).toISOString() : null,
           last_recorded: s.last_recorded ? new Date(s.last_recorded * 1000).toISOString() : null
         }));
@@ -268,6 +636,7 @@ class HDHomeRunServer {
         const formattedSeries = {
           ...series,
           duration_hours: Math.round((series.total_duration || 0) / 3600),
+          favorite: !!series.favorite,
           first_recorded: series.first_recorded ? new Date(series.first_recorded * 1000).toISOString() : null,
           last_recorded: series.last_recorded ? new Date(series.last_recorded * 1000).toISOString() : null
         };
@@ -291,7 +660,13 @@ class HDHomeRunServer {
           return res.status(404).json({ error: 'Show not found' });
         }
 
+        const { profileRef, profile } = await this.resolveProfile(req);
+        if (profileRef && !profile) {
+          return res.status(404).json({ error: 'Profile not found', profile: profileRef });
+        }
+
         let episodes = await this.database.getEpisodesBySeriesId(id);
+        episodes = await this.database.applyProfileProgress(profile && profile.id, episodes);
 
         // Filter by watched status if specified
         if (watched !== undefined) {
@@ -330,6 +705,7 @@ class HDHomeRunServer {
             series_id: series.series_id,
             title: series.title
           },
+          profile: profile ? { id: profile.id, name: profile.name } : null,
           filters: { limit, watched, season }
         });
       } catch (error) {
@@ -338,11 +714,78 @@ class HDHomeRunServer {
       }
     });
 
+    // Get the next episode to watch for a show
+    this.app.get('/api/shows/:id/next', async (req, res) => {
+      try {
+        const { id } = req.params;
+
+        const series = await this.database.getSeriesById(id);
+        if (!series) {
+          return res.status(404).json({ error: 'Show not found' });
+        }
+
+        const { profileRef, profile } = await this.resolveProfile(req);
+        if (profileRef && !profile) {
+          return res.status(404).json({ error: 'Profile not found', profile: profileRef });
+        }
+
+        const next = await this.database.getNextEpisode(series.id, profile && profile.id);
+
+        res.json({
+          episode: next.episode ? this.formatEpisode(next.episode, req) : null,
+          inProgress: !!(next.episode && next.episode.resume_position > 0),
+          remaining: next.remaining,
+          total: next.total,
+          show: {
+            id: series.id,
+            series_id: series.series_id,
+            title: series.title
+          },
+          profile: profile ? { id: profile.id, name: profile.name } : null
+        });
+      } catch (error) {
+        this.log(`Error getting next episode for show ${req.params.id}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to retrieve next episode' });
+      }
+    });
+
+    // Get in-progress episodes across all shows
+    this.app.get('/api/continue-watching', async (req, res) => {
+      try {
+        const { limit = 20 } = req.query;
+
+        const { profileRef, profile } = await this.resolveProfile(req);
+        if (profileRef && !profile) {
+          return res.status(404).json({ error: 'Profile not found', profile: profileRef });
+        }
+
+        const episodes = await this.database.getInProgressEpisodes(profile && profile.id, parseInt(limit));
+        const formattedEpisodes = episodes.map(e => this.formatEpisode(e, req));
+
+        res.json({
+          episodes: formattedEpisodes,
+          count: formattedEpisodes.length,
+          limit: parseInt(limit),
+          profile: profile ? { id: profile.id, name: profile.name } : null
+        });
+      } catch (error) {
+        this.log(`Error getting continue watching list: ${error.message}`);
+        res.status(500).json({ error: 'Failed to retrieve in-progress episodes' });
+      }
+    });
+
     // Get recent episodes across all shows
     this.app.get('/api/episodes/recent', async (req, res) => {
       try {
         const { limit = 20 } = req.query;
-        const episodes = await this.database.getRecentEpisodes(parseInt(limit));
+
+        const { profileRef, profile } = await this.resolveProfile(req);
+        if (profileRef && !profile) {
+          return res.status(404).json({ error: 'Profile not found', profile: profileRef });
+        }
+
+        let episodes = await this.database.getRecentEpisodes(parseInt(limit));
+        episodes = await this.database.applyProfileProgress(profile && profile.id, episodes);
 
         const formattedEpisodes = episodes.map(e => {
           const episode = this.formatEpisodeWithHLS(e, req);
@@ -358,7 +801,8 @@ class HDHomeRunServer {
         res.json({
           episodes: formattedEpisodes,
           count: formattedEpisodes.length,
-          limit: parseInt(limit)
+          limit: parseInt(limit),
+          profile: profile ? { id: profile.id, name: profile.name } : null
         });
       } catch (error) {
         this.log(`Error getting recent episodes: ${error.message}`);
@@ -370,12 +814,20 @@ class HDHomeRunServer {
     this.app.get('/api/episodes/:id', async (req, res) => {
       try {
         const { id } = req.params;
-        const episode = await this.database.getEpisodeById(id);
+
+        const { profileRef, profile } = await this.resolveProfile(req);
+        if (profileRef && !profile) {
+          return res.status(404).json({ error: 'Profile not found', profile: profileRef });
+        }
+
+        let episode = await this.database.getEpisodeById(id);
 
         if (!episode) {
           return res.status(404).json({ error: 'Episode not found' });
         }
 
+        [episode] = await this.database.applyProfileProgress(profile && profile.id, [episode]);
+
         const formattedEpisode = this.formatEpisodeWithHLS(episode, req);
 
         res.json({
@@ -394,6 +846,149 @@ class HDHomeRunServer {
       }
     });
 
+    // Get commercial breaks and chapters detected in an episode
+    this.app.get('/api/episodes/:id/markers', async (req, res) => {
+      try {
+        const { id } = req.params;
+        const minConfidence = req.query.min_confidence !== undefined ? parseFloat(req.query.min_confidence) : 0;
+
+        if (isNaN(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+          return res.status(400).json({ error: 'min_confidence must be a number between 0 and 1' });
+        }
+
+        const episode = await this.database.getEpisodeById(id);
+        if (!episode) {
+          return res.status(404).json({ error: 'Episode not found' });
+        }
+
+        const analysis = await CommercialDetector.getAnalysis(episode.id);
+        const markers = (await CommercialDetector.getMarkers(episode.id))
+          .filter(marker => marker.confidence >= minConfidence);
+        const duration = (analysis && analysis.duration) || episode.duration || null;
+
+        res.json({
+          episodeId: episode.id,
+          analysis: analysis ? this.formatCommercialAnalysis(analysis) : null,
+          commercials: markers.map(marker => ({
+            start: marker.start_time,
+            end: marker.end_time,
+            duration: Math.round((marker.end_time - marker.start_time) * 100) / 100,
+            confidence: marker.confidence
+          })),
+          chapters: analysis && analysis.state === 'complete' ? CommercialDetector.buildChapters(markers, duration) : []
+        });
+      } catch (error) {
+        this.log(`Error getting markers for episode ${req.params.id}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to retrieve markers' });
+      }
+    });
+
+    // Analyse an episode for commercial breaks (again)
+    this.app.post('/api/episodes/:id/markers/analyze', async (req, res) => {
+      try {
+        const episode = await this.database.getEpisodeById(req.params.id);
+        if (!episode) {
+          return res.status(404).json({ error: 'Episode not found' });
+        }
+
+        const analysis = await CommercialDetector.getAnalysis(episode.id);
+        if (analysis && analysis.state === 'running') {
+          return res.status(409).json({ error: 'Episode is already being analysed' });
+        }
+
+        await CommercialDetector.enqueue([episode.id], true);
+        this.processCommercialQueue();
+
+        res.status(202).json({
+          success: true,
+          message: 'Episode queued for commercial detection',
+          analysis: this.formatCommercialAnalysis(await CommercialDetector.getAnalysis(episode.id))
+        });
+      } catch (error) {
+        this.log(`Error queuing commercial detection for episode ${req.params.id}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to queue commercial detection' });
+      }
+    });
+
+    // Download an episode as a single MP4. Until the file is prepared (queued with
+    // transcodes) this answers 202 with its state and estimated size; once prepared the
+    // file is served with Content-Length and Range support (HEAD gives the size alone).
+    this.app.get('/api/episodes/:id/download', async (req, res) => {
+      try {
+        const quality = req.query.quality || HLSStreamManager.DEFAULT_DOWNLOAD_QUALITY;
+        if (!HLSStreamManager.DOWNLOAD_QUALITIES.includes(quality)) {
+          return res.status(400).json({
+            error: `Unknown quality "${quality}"`,
+            validQualities: HLSStreamManager.DOWNLOAD_QUALITIES
+          });
+        }
+
+        const episode = await this.database.getEpisodeById(req.params.id);
+        if (!episode) {
+          return res.status(404).json({ error: 'Episode not found' });
+        }
+
+        if (!episode.play_url) {
+          return res.status(400).json({ error: 'Episode has no playback URL' });
+        }
+
+        const download = await this.hlsManager.requestDownload(episode.id, episode.play_url, quality, episode.duration);
+
+        if (download.state !== 'complete') {
+          res.set('Retry-After', '10');
+          return res.status(download.state === 'error' ? 500 : 202).json({
+            episodeId: episode.id,
+            ...download
+          });
+        }
+
+        this.hlsManager.touchEpisode(String(episode.id));
+        res.set('Access-Control-Allow-Origin', '*');
+        res.attachment(`${this.getEpisodeFilename(episode)} (${quality}).mp4`);
+        res.sendFile(path.resolve(download.path), (err) => {
+          if (err && !res.headersSent) {
+            this.log(`Error serving download of episode ${episode.id}: ${err.message}`);
+            res.status(500).json({ error: 'Failed to serve download' });
+          }
+        });
+      } catch (error) {
+        this.log(`Error preparing download of episode ${req.params.id}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to prepare download' });
+      }
+    });
+
+    // Relay the original recording from the device, for clients that play MPEG-TS
+    // themselves. Range requests are passed through so they can seek.
+    this.app.get('/api/episodes/:id/source', async (req, res) => {
+      try {
+        const maxKbps = req.query.max_kbps !== undefined ? parseInt(req.query.max_kbps) : null;
+        if (maxKbps !== null && (isNaN(maxKbps) || maxKbps <= 0)) {
+          return res.status(400).json({ error: 'max_kbps must be a positive number' });
+        }
+
+        const episode = await this.database.getEpisodeById(req.params.id);
+        if (!episode) {
+          return res.status(404).json({ error: 'Episode not found' });
+        }
+
+        if (!episode.play_url) {
+          return res.status(400).json({ error: 'Episode has no playback URL' });
+        }
+
+        this.debug(`Relaying source of episode ${episode.id}${req.headers.range ? ` (${req.headers.range})` : ''}`);
+
+        await this.sourceProxy.relay(req, res, episode.play_url, {
+          maxKbps,
+          filename: `${this.getEpisodeFilename(episode)}.ts`
+        });
+      } catch (error) {
+        this.log(`Error relaying source of episode ${req.params.id}: ${error.message}`);
+        if (!res.headersSent) {
+          res.status(502).json({ error: 'Recording is not available from the device', details: error.message });
+        }
+      }
+    });
+
     // Update episode playback progress
     this.app.put('/api/episodes/:id/progress', async (req, res) => {
       try {
@@ -415,23 +1010,56 @@ class HDHomeRunServer {
           });
         }
 
+        const { profileRef, profile } = await this.resolveProfile(req);
+        if (profileRef && !profile) {
+          return res.status(404).json({ error: 'Profile not found', profile: profileRef });
+        }
+
         // Get episode to check if it exists and get CmdURL
         const episode = await this.database.getEpisodeById(id);
         if (!episode) {
           return res.status(404).json({ error: 'Episode not found' });
         }
 
-        // Update progress in local database
-        const updatedEpisode = await this.database.updateEpisodeProgress(id, position, watched);
+        // Profiles keep their own progress; only profiles with relay enabled
+        // also update the shared progress and the HDHomeRun device
+        const relayToDevice = !profile || !!profile.relay_progress;
+        let updatedEpisode;
 
-        this.debug(`Updated progress for episode ${id}: position=${position}s, watched=${watched}`);
+        if (profile) {
+          await this.database.updateProfileProgress(profile.id, episode.id, position, watched);
+          if (relayToDevice) {
+            await this.database.updateEpisodeProgress(episode.id, position, watched);
+          }
+          [updatedEpisode] = await this.database.applyProfileProgress(
+            profile.id,
+            [await this.database.getEpisodeById(episode.id)]
+          );
+          this.debug(`Updated progress for episode ${id} (profile ${profile.name}): position=${position}s, watched=${watched}`);
+        } else {
+          // Update progress in local database
+          updatedEpisode = await this.database.updateEpisodeProgress(id, position, watched);
+          this.debug(`Updated progress for episode ${id}: position=${position}s, watched=${watched}`);
+        }
+
+        events.publish('progress', 'progress.updated', {
+          episode_id: episode.id,
+          position,
+          watched: !!watched,
+          profile: profile ? { id: profile.id, name: profile.name } : null
+        });
 
         // Attempt to relay progress to HDHomeRun
         // Note: This uses undocumented APIs and may not work on all devices/firmware versions
         let deviceSyncResult = null;
-        if (episode.cmd_url) {
+        let deviceSyncSkipReason = null;
+        if (!relayToDevice) {
+          deviceSyncSkipReason = `Device relay disabled for profile ${profile.name}`;
+          this.debug(`${deviceSyncSkipReason}, skipping device sync`);
+        } else if (episode.cmd_url) {
           deviceSyncResult = await this.relayProgressToHDHomeRun(episode.cmd_url, position, watched);
         } else {
+          deviceSyncSkipReason = 'Episode has no command URL';
           this.debug('Episode has no cmd_url, skipping device sync');
         }
 
@@ -446,6 +1074,7 @@ class HDHomeRunServer {
             duration_minutes: Math.round((updatedEpisode.duration || 0) / 60),
             resume_minutes: Math.round((updatedEpisode.resume_position || 0) / 60)
           },
+          profile: profile ? { id: profile.id, name: profile.name } : null,
           deviceSync: deviceSyncResult ? {
             attempted: true,
             success: deviceSyncResult.success,
@@ -453,7 +1082,7 @@ class HDHomeRunServer {
           } : {
             attempted: false,
             success: false,
-            error: 'Episode has no command URL'
+            error: deviceSyncSkipReason
           }
         });
       } catch (error) {
@@ -462,84 +1091,856 @@ class HDHomeRunServer {
       }
     });
 
-    // Delete episode
-    this.app.delete('/api/episodes/:id', async (req, res) => {
-      try {
-        const { id } = req.params;
-        const { rerecord = false } = req.query;
+    // Viewer profile endpoints
 
-        // Get episode to check if it exists and get cmd_url
-        const episode = await this.database.getEpisodeById(id);
-        if (!episode) {
-          return res.status(404).json({ error: 'Episode not found' });
-        }
+    // List profiles
+    this.app.get('/api/profiles', async (req, res) => {
+      try {
+        const profiles = await this.database.getAllProfiles();
 
-        this.log(`Deleting episode ${id}: ${episode.series_title} - ${episode.episode_title}`);
+        res.json({
+          profiles: profiles.map(p => ({ ...p, relay_progress: !!p.relay_progress })),
+          count: profiles.length
+        });
+      } catch (error) {
+        this.log(`Error listing profiles: ${error.message}`);
+        res.status(500).json({ error: 'Failed to retrieve profiles' });
+      }
+    });
 
-        // Step 1: Delete from HDHomeRun device
-        let deviceDeletionResult = null;
-        if (episode.cmd_url) {
-          try {
-            deviceDeletionResult = await this.deleteRecordingFromHDHomeRun(episode.cmd_url, rerecord);
-            this.log(`✓ Episode deleted from HDHomeRun device`);
-          } catch (error) {
-            this.log(`✗ Failed to delete from device: ${error.message}`);
-            return res.status(500).json({
-              error: 'Failed to delete recording from HDHomeRun device',
-              details: error.message,
-              deviceDeletion: { success: false, error: error.message }
-            });
+    // Create profile
+    this.app.post('/api/profiles', async (req, res) => {
+      try {
+        const { name, relayProgress = false } = req.body;
+
+        if (!name || typeof name !== 'string' || !name.trim()) {
+          return res.status(400).json({
+            error: 'Missing required field',
+            message: 'name is required'
+          });
+        }
+
+        // Numbers refer to profile IDs wherever a profile can be given by name
+        if (/^\d+$/.test(name.trim())) {
+          return res.status(400).json({
+            error: 'Invalid name',
+            message: 'name cannot be a number'
+          });
+        }
+
+        if (await this.database.getProfile(name.trim())) {
+          return res.status(409).json({ error: 'Profile already exists', name: name.trim() });
+        }
+
+        const profile = await this.database.createProfile(name.trim(), relayProgress);
+        this.log(`Created profile ${profile.name} (relay to device: ${!!profile.relay_progress})`);
+
+        res.status(201).json({
+          success: true,
+          profile: { ...profile, relay_progress: !!profile.relay_progress }
+        });
+      } catch (error) {
+        this.log(`Error creating profile: ${error.message}`);
+        res.status(500).json({ error: 'Failed to create profile' });
+      }
+    });
+
+    // Update profile (rename or change device relay)
+    this.app.put('/api/profiles/:id', async (req, res) => {
+      try {
+        const { id } = req.params;
+        const { name, relayProgress } = req.body;
+
+        const profile = await this.database.getProfile(id);
+        if (!profile) {
+          return res.status(404).json({ error: 'Profile not found' });
+        }
+
+        if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+          return res.status(400).json({
+            error: 'Invalid name',
+            message: 'name must be a non-empty string'
+          });
+        }
+
+        if (name !== undefined && /^\d+$/.test(name.trim())) {
+          return res.status(400).json({
+            error: 'Invalid name',
+            message: 'name cannot be a number'
+          });
+        }
+
+        if (name !== undefined) {
+          const existing = await this.database.getProfile(name.trim());
+          if (existing && existing.id !== profile.id) {
+            return res.status(409).json({ error: 'Profile already exists', name: name.trim() });
           }
-        } else {
-          this.log(`⚠️  Episode has no cmd_url, skipping device deletion`);
         }
 
-        // Step 2: Delete HLS cache directory
-        const hlsCacheDir = path.join(this.hlsManager.cacheDir, String(id));
-        let hlsDeletionResult = { attempted: false, success: false };
+        const updated = await this.database.updateProfile(profile.id, {
+          name: name !== undefined ? name.trim() : undefined,
+          relayProgress
+        });
 
-        if (fs.existsSync(hlsCacheDir)) {
-          try {
-            this.log(`Deleting HLS cache directory: ${hlsCacheDir}`);
-            fs.rmSync(hlsCacheDir, { recursive: true, force: true });
-            hlsDeletionResult = { attempted: true, success: true };
-            this.log(`✓ HLS cache deleted`);
-          } catch (error) {
-            this.log(`✗ Failed to delete HLS cache: ${error.message}`);
-            hlsDeletionResult = { attempted: true, success: false, error: error.message };
+        res.json({
+          success: true,
+          profile: { ...updated, relay_progress: !!updated.relay_progress }
+        });
+      } catch (error) {
+        this.log(`Error updating profile ${req.params.id}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to update profile' });
+      }
+    });
+
+    // Delete profile (and its progress)
+    this.app.delete('/api/profiles/:id', async (req, res) => {
+      try {
+        const { id } = req.params;
+
+        const profile = await this.database.getProfile(id);
+        if (!profile) {
+          return res.status(404).json({ error: 'Profile not found' });
+        }
+
+        await this.database.deleteProfile(profile.id);
+        this.log(`Deleted profile ${profile.name}`);
+
+        res.json({
+          success: true,
+          message: 'Profile deleted',
+          profile: { id: profile.id, name: profile.name }
+        });
+      } catch (error) {
+        this.log(`Error deleting profile ${req.params.id}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to delete profile' });
+      }
+    });
+
+    // Delete episode
+    this.app.delete('/api/episodes/:id', async (req, res) => {
+      try {
+        const { id } = req.params;
+        const { rerecord = false, permanent = false } = req.query;
+        const allowRerecord = rerecord === true || rerecord === 'true' || rerecord === '1';
+        const deletePermanently = permanent === true || permanent === 'true' || permanent === '1';
+
+        // Get episode to check if it exists and get cmd_url
+        const episode = await this.database.getEpisodeById(id, { includeTrashed: true });
+        if (!episode) {
+          return res.status(404).json({ error: 'Episode not found' });
+        }
+
+        const episodeSummary = {
+          id: episode.id,
+          series_title: episode.series_title,
+          episode_title: episode.episode_title
+        };
+
+        // Default: move to the trash; the device recording is purged after the grace period
+        if (!deletePermanently) {
+          if (episode.trashed_at) {
+            return res.status(409).json({ error: 'Episode is already in the trash', episode: episodeSummary });
           }
-        } else {
-          this.log(`HLS cache directory does not exist: ${hlsCacheDir}`);
+
+          await this.database.trashEpisode(episode.id, allowRerecord);
+          this.log(`Moved episode ${id} to trash: ${episode.series_title} - ${episode.episode_title}`);
+          events.publish('recordings', 'recording.trashed', this.summarizeEpisode(episode));
+
+          const trashedAt = Math.floor(Date.now() / 1000);
+          return res.json({
+            success: true,
+            message: 'Episode moved to trash',
+            episode: episodeSummary,
+            trash: {
+              trashed_at: new Date(trashedAt * 1000).toISOString(),
+              purge_at: new Date((trashedAt + this.trashGraceHours * 3600) * 1000).toISOString(),
+              grace_period_hours: this.trashGraceHours,
+              rerecord: allowRerecord
+            }
+          });
         }
 
-        // Step 3: Delete from local database
+        this.log(`Deleting episode ${id}: ${episode.series_title} - ${episode.episode_title}`);
+
+        let deletion;
         try {
-          await this.database.deleteEpisode(id);
-          this.log(`✓ Episode deleted from local database`);
+          deletion = await this.deleteEpisodeCompletely(episode, allowRerecord);
         } catch (error) {
-          this.log(`✗ Failed to delete from database: ${error.message}`);
+          if (error.stage === 'device') {
+            return res.status(500).json({
+              error: 'Failed to delete recording from HDHomeRun device',
+              details: error.message,
+              deviceDeletion: { success: false, error: error.message }
+            });
+          }
           return res.status(500).json({
             error: 'Failed to delete episode from database',
             details: error.message,
-            deviceDeletion: deviceDeletionResult,
-            hlsDeletion: hlsDeletionResult
+            deviceDeletion: error.deviceDeletion,
+            hlsDeletion: error.hlsDeletion
           });
         }
 
         res.json({
           success: true,
           message: 'Episode deleted successfully',
+          episode: episodeSummary,
+          deviceDeletion: deletion.deviceDeletion || { attempted: false, success: false },
+          hlsDeletion: deletion.hlsDeletion
+        });
+      } catch (error) {
+        this.log(`Error deleting episode ${req.params.id}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to delete episode' });
+      }
+    });
+
+    // List episodes in the trash
+    this.app.get('/api/trash', async (req, res) => {
+      try {
+        const episodes = await this.database.getTrashedEpisodes();
+
+        res.json({
+          episodes: episodes.map(e => this.formatTrashedEpisode(e)),
+          count: episodes.length,
+          grace_period_hours: this.trashGraceHours
+        });
+      } catch (error) {
+        this.log(`Error listing trash: ${error.message}`);
+        res.status(500).json({ error: 'Failed to list trash', details: error.message });
+      }
+    });
+
+    // Restore an episode from the trash
+    this.app.post('/api/trash/:id/restore', async (req, res) => {
+      try {
+        const episode = await this.database.getEpisodeById(req.params.id, { includeTrashed: true });
+        if (!episode || !episode.trashed_at) {
+          return res.status(404).json({ error: 'Episode not found in trash' });
+        }
+
+        await this.database.restoreEpisode(episode.id);
+        this.log(`Restored episode ${episode.id} from trash: ${episode.series_title} - ${episode.episode_title}`);
+        events.publish('recordings', 'recording.restored', this.summarizeEpisode(episode));
+
+        const restored = await this.database.getEpisodeById(episode.id);
+        res.json({
+          success: true,
+          message: 'Episode restored',
+          episode: this.formatEpisode(restored, req)
+        });
+      } catch (error) {
+        this.log(`Error restoring episode ${req.params.id}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to restore episode', details: error.message });
+      }
+    });
+
+    // Purge one episode from the trash now (device, HLS cache and database)
+    this.app.delete('/api/trash/:id', async (req, res) => {
+      try {
+        const episode = await this.database.getEpisodeById(req.params.id, { includeTrashed: true });
+        if (!episode || !episode.trashed_at) {
+          return res.status(404).json({ error: 'Episode not found in trash' });
+        }
+
+        const deletion = await this.deleteEpisodeCompletely(episode, !!episode.trash_rerecord);
+
+        res.json({
+          success: true,
+          message: 'Episode purged from trash',
           episode: {
             id: episode.id,
             series_title: episode.series_title,
             episode_title: episode.episode_title
           },
-          deviceDeletion: deviceDeletionResult || { attempted: false, success: false },
-          hlsDeletion: hlsDeletionResult
+          deviceDeletion: deletion.deviceDeletion || { attempted: false, success: false },
+          hlsDeletion: deletion.hlsDeletion
         });
       } catch (error) {
-        this.log(`Error deleting episode ${req.params.id}: ${error.message}`);
-        res.status(500).json({ error: 'Failed to delete episode' });
+        this.log(`Error purging episode ${req.params.id}: ${error.message}`);
+        res.status(500).json({
+          error: error.stage === 'device'
+            ? 'Failed to delete recording from HDHomeRun device'
+            : 'Failed to purge episode',
+          details: error.message
+        });
+      }
+    });
+
+    // Empty the trash now
+    this.app.delete('/api/trash', async (req, res) => {
+      try {
+        const summary = await this.purgeTrash(null);
+        res.json({ success: summary.failed === 0, ...summary });
+      } catch (error) {
+        this.log(`Error emptying trash: ${error.message}`);
+        const status = this.isPurgingTrash ? 409 : 500;
+        res.status(status).json({ error: 'Failed to empty trash', details: error.message });
+      }
+    });
+
+    // Mark a show as a favorite (exempt from delete_older_than retention rules)
+    this.app.put('/api/shows/:id/favorite', async (req, res) => {
+      try {
+        const series = await this.database.getSeriesById(req.params.id);
+        if (!series) {
+          return res.status(404).json({ error: 'Show not found' });
+        }
+
+        await RetentionManager.setFavorite(series.series_id, true);
+        res.json({ success: true, show: { id: series.id, series_id: series.series_id, title: series.title, favorite: true } });
+      } catch (error) {
+        this.log(`Error favoriting show ${req.params.id}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to update favorite', details: error.message });
+      }
+    });
+
+    this.app.delete('/api/shows/:id/favorite', async (req, res) => {
+      try {
+        const series = await this.database.getSeriesById(req.params.id);
+        if (!series) {
+          return res.status(404).json({ error: 'Show not found' });
+        }
+
+        await RetentionManager.setFavorite(series.series_id, false);
+        res.json({ success: true, show: { id: series.id, series_id: series.series_id, title: series.title, favorite: false } });
+      } catch (error) {
+        this.log(`Error unfavoriting show ${req.params.id}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to update favorite', details: error.message });
+      }
+    });
+
+    // Merged library: one entry per series across all DVR devices
+    this.app.get('/api/library', async (req, res) => {
+      try {
+        const { search, category, limit } = req.query;
+        let series = await LibraryManager.getSeries();
+
+        if (search) {
+          series = series.filter(s => s.title && s.title.toLowerCase().includes(search.toLowerCase()));
+        }
+
+        if (category) {
+          series = series.filter(s => s.category && s.category.toLowerCase().includes(category.toLowerCase()));
+        }
+
+        if (limit && !isNaN(parseInt(limit))) {
+          series = series.slice(0, parseInt(limit));
+        }
+
+        const formattedSeries = series.map(s => ({
+          ...s,
+          duration_hours: Math.round((s.total_duration || 0) / 3600),
+          first_recorded: s.first_recorded ? new Date(s.first_recorded * 1000).toISOString() : null,
+          last_recorded: s.last_recorded ? new Date(s.last_recorded * 1000).toISOString() : null
+        }));
+
+        res.json({
+          series: formattedSeries,
+          count: formattedSeries.length,
+          filters: { search, category, limit }
+        });
+      } catch (error) {
+        this.log(`Error getting library: ${error.message}`);
+        res.status(500).json({ error: 'Failed to retrieve library' });
+      }
+    });
+
+    // List programs recorded on more than one device, with the copy that would be kept
+    this.app.get('/api/library/duplicates', async (req, res) => {
+      try {
+        const duplicates = await LibraryManager.getDuplicates({ programId: req.query.program_id || null });
+
+        const formatted = duplicates.map(duplicate => ({
+          ...duplicate,
+          keep: LibraryManager.summarizeCopy(duplicate.keep),
+          redundant: duplicate.redundant.map(copy => LibraryManager.summarizeCopy(copy))
+        }));
+
+        const redundantCopies = duplicates.reduce((sum, duplicate) => sum + duplicate.redundant.length, 0);
+        const reclaimableBytes = duplicates.reduce((sum, duplicate) =>
+          sum + duplicate.redundant.reduce((size, copy) => size + (copy.file_size || 0), 0), 0);
+
+        res.json({
+          duplicates: formatted,
+          count: formatted.length,
+          redundant_copies: redundantCopies,
+          reclaimable_bytes: reclaimableBytes
+        });
+      } catch (error) {
+        this.log(`Error finding duplicates: ${error.message}`);
+        res.status(500).json({ error: 'Failed to find duplicate episodes', details: error.message });
+      }
+    });
+
+    // Delete redundant copies of duplicated programs, keeping the best copy of each
+    this.app.delete('/api/library/duplicates', async (req, res) => {
+      try {
+        const { program_id, permanent = false } = req.query;
+        const deletePermanently = permanent === true || permanent === 'true' || permanent === '1';
+
+        // Like DELETE /api/episodes/:id, copies go to the trash unless permanent is set
+        const removeCopy = async (copy) => {
+          if (deletePermanently) {
+            return await this.deleteEpisodeCompletely(copy, false);
+          }
+
+          await this.database.trashEpisode(copy.id, false);
+          events.publish('recordings', 'recording.trashed', this.summarizeEpisode(copy));
+        };
+
+        const result = await LibraryManager.removeDuplicates(removeCopy, { programId: program_id || null });
+        this.log(`Duplicate cleanup: ${result.removed} copies ${deletePermanently ? 'deleted' : 'moved to trash'}, ${result.failed} failed`);
+
+        res.json({
+          success: result.failed === 0,
+          permanent: deletePermanently,
+          ...result
+        });
+      } catch (error) {
+        this.log(`Error removing duplicates: ${error.message}`);
+        res.status(500).json({ error: 'Failed to remove duplicate episodes', details: error.message });
+      }
+    });
+
+    // Merged series with one entry per program (best copy) and the copies on each device
+    this.app.get('/api/library/:seriesId', async (req, res) => {
+      try {
+        const { seriesId } = req.params;
+        const series = (await LibraryManager.getSeries()).find(s => s.series_id === seriesId);
+
+        if (!series) {
+          return res.status(404).json({ error: 'Series not found' });
+        }
+
+        const { profileRef, profile } = await this.resolveProfile(req);
+        if (profileRef && !profile) {
+          return res.status(404).json({ error: 'Profile not found', profile: profileRef });
+        }
+
+        let episodes = await LibraryManager.getSeriesEpisodes(seriesId);
+        episodes = await this.database.applyProfileProgress(profile && profile.id, episodes);
+
+        const merged = LibraryManager.mergeEpisodes(episodes)
+          .sort((a, b) => b.start_time - a.start_time)
+          .map(episode => this.formatEpisode(episode, req));
+
+        res.json({
+          series: {
+            ...series,
+            duration_hours: Math.round((series.total_duration || 0) / 3600),
+            first_recorded: series.first_recorded ? new Date(series.first_recorded * 1000).toISOString() : null,
+            last_recorded: series.last_recorded ? new Date(series.last_recorded * 1000).toISOString() : null
+          },
+          episodes: merged,
+          count: merged.length,
+          profile: profile ? { id: profile.id, name: profile.name } : null
+        });
+      } catch (error) {
+        this.log(`Error getting library series ${req.params.seriesId}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to retrieve series' });
+      }
+    });
+
+    // List retention rules
+    this.app.get('/api/retention/rules', async (req, res) => {
+      try {
+        const rules = await RetentionManager.listRules();
+        res.json({ rules, count: rules.length });
+      } catch (error) {
+        this.log(`Error listing retention rules: ${error.message}`);
+        res.status(500).json({ error: 'Failed to list retention rules', details: error.message });
+      }
+    });
+
+    // Create a retention rule (global, or for one series via series_id)
+    this.app.post('/api/retention/rules', async (req, res) => {
+      try {
+        const { rule_type, value, series_id, enabled } = req.body || {};
+
+        if (!rule_type || value === undefined) {
+          return res.status(400).json({
+            error: 'Missing required fields',
+            message: 'rule_type and value are required'
+          });
+        }
+
+        let rule;
+        try {
+          rule = await RetentionManager.createRule({ rule_type, value, series_id, enabled });
+        } catch (error) {
+          return res.status(400).json({ error: 'Invalid retention rule', message: error.message });
+        }
+
+        this.log(`Created retention rule ${rule.id}: ${rule.rule_type}=${rule.value} (${rule.scope})`);
+        res.status(201).json({ success: true, rule });
+      } catch (error) {
+        this.log(`Error creating retention rule: ${error.message}`);
+        res.status(500).json({ error: 'Failed to create retention rule', details: error.message });
+      }
+    });
+
+    // Update a retention rule's value or enabled flag
+    this.app.put('/api/retention/rules/:id', async (req, res) => {
+      try {
+        const { value, enabled } = req.body || {};
+
+        let rule;
+        try {
+          rule = await RetentionManager.updateRule(req.params.id, { value, enabled });
+        } catch (error) {
+          return res.status(400).json({ error: 'Invalid retention rule', message: error.message });
+        }
+
+        if (!rule) {
+          return res.status(404).json({ error: 'Retention rule not found' });
+        }
+
+        res.json({ success: true, rule });
+      } catch (error) {
+        this.log(`Error updating retention rule ${req.params.id}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to update retention rule', details: error.message });
+      }
+    });
+
+    // Delete a retention rule
+    this.app.delete('/api/retention/rules/:id', async (req, res) => {
+      try {
+        const deleted = await RetentionManager.deleteRule(req.params.id);
+        if (!deleted) {
+          return res.status(404).json({ error: 'Retention rule not found' });
+        }
+
+        res.json({ success: true, message: 'Retention rule deleted successfully' });
+      } catch (error) {
+        this.log(`Error deleting retention rule ${req.params.id}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to delete retention rule', details: error.message });
+      }
+    });
+
+    // Dry run: list the episodes the current rules would remove
+    this.app.get('/api/retention/preview', async (req, res) => {
+      try {
+        const candidates = await RetentionManager.getCandidates();
+
+        res.json({
+          episodes: candidates.map(({ episode, rule, reason }) => ({
+            id: episode.id,
+            show_id: episode.show_id,
+            series_id: episode.series_id,
+            series_title: episode.series_title,
+            episode_title: episode.episode_title,
+            episode_number: episode.episode_number,
+            start_time: new Date(episode.start_time * 1000).toISOString(),
+            watched: !!episode.watched,
+            favorite: !!episode.favorite,
+            rule: { id: rule.id, rule_type: rule.rule_type, value: rule.value, scope: rule.series_id ? 'series' : 'global' },
+            reason
+          })),
+          count: candidates.length
+        });
+      } catch (error) {
+        this.log(`Error previewing retention: ${error.message}`);
+        res.status(500).json({ error: 'Failed to preview retention', details: error.message });
+      }
+    });
+
+    // Enforce retention rules now
+    this.app.post('/api/retention/run', async (req, res) => {
+      try {
+        const summary = await this.enforceRetention('manual');
+        res.json({ success: true, ...summary });
+      } catch (error) {
+        this.log(`Error running retention: ${error.message}`);
+        const status = RetentionManager.isRunning ? 409 : 500;
+        res.status(status).json({ error: 'Failed to run retention', details: error.message });
+      }
+    });
+
+    // Audit of past retention runs and the episodes they removed
+    this.app.get('/api/retention/audit', async (req, res) => {
+      try {
+        const { limit = 20, run_id } = req.query;
+        const runs = await RetentionManager.getAudit({
+          limit: parseInt(limit) || 20,
+          runId: run_id || null
+        });
+
+        res.json({ runs, count: runs.length });
+      } catch (error) {
+        this.log(`Error getting retention audit: ${error.message}`);
+        res.status(500).json({ error: 'Failed to get retention audit', details: error.message });
+      }
+    });
+
+    // List pre-cache policies
+    this.app.get('/api/precache/policies', async (req, res) => {
+      try {
+        const policies = await PreCacheManager.listPolicies();
+        res.json({ policies, count: policies.length, preCache: this.preCache });
+      } catch (error) {
+        this.log(`Error listing pre-cache policies: ${error.message}`);
+        res.status(500).json({ error: 'Failed to list pre-cache policies', details: error.message });
+      }
+    });
+
+    // Create a pre-cache policy
+    this.app.post('/api/precache/policies', async (req, res) => {
+      try {
+        let policy;
+        try {
+          policy = await PreCacheManager.createPolicy(req.body || {});
+        } catch (error) {
+          return res.status(400).json({ error: 'Invalid pre-cache policy', message: error.message });
+        }
+
+        this.log(`Created pre-cache policy ${policy.id}: ${policy.name}`);
+        res.status(201).json({ success: true, policy });
+      } catch (error) {
+        this.log(`Error creating pre-cache policy: ${error.message}`);
+        res.status(500).json({ error: 'Failed to create pre-cache policy', details: error.message });
+      }
+    });
+
+    // Update a pre-cache policy (null clears an optional filter)
+    this.app.put('/api/precache/policies/:id', async (req, res) => {
+      try {
+        let policy;
+        try {
+          policy = await PreCacheManager.updatePolicy(req.params.id, req.body || {});
+        } catch (error) {
+          return res.status(400).json({ error: 'Invalid pre-cache policy', message: error.message });
+        }
+
+        if (!policy) {
+          return res.status(404).json({ error: 'Pre-cache policy not found' });
+        }
+
+        res.json({ success: true, policy });
+      } catch (error) {
+        this.log(`Error updating pre-cache policy ${req.params.id}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to update pre-cache policy', details: error.message });
+      }
+    });
+
+    // Delete a pre-cache policy
+    this.app.delete('/api/precache/policies/:id', async (req, res) => {
+      try {
+        const deleted = await PreCacheManager.deletePolicy(req.params.id);
+        if (!deleted) {
+          return res.status(404).json({ error: 'Pre-cache policy not found' });
+        }
+
+        res.json({ success: true, message: 'Pre-cache policy deleted successfully' });
+      } catch (error) {
+        this.log(`Error deleting pre-cache policy ${req.params.id}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to delete pre-cache policy', details: error.message });
+      }
+    });
+
+    // Dry run: list the episodes the enabled policies select
+    this.app.get('/api/precache/preview', async (req, res) => {
+      try {
+        const candidates = await this.getPreCacheCandidates();
+
+        res.json({
+          episodes: candidates.map(({ episode, policies, priority, estimated_bytes }) => ({
+            id: episode.id,
+            show_id: episode.show_id,
+            series_id: episode.series_id,
+            series_title: episode.series_title,
+            episode_title: episode.episode_title,
+            start_time: new Date(episode.start_time * 1000).toISOString(),
+            watched: !!episode.watched,
+            favorite: !!episode.favorite,
+            transcode_state: this.hlsManager.getTranscodeStatus(String(episode.id)).state,
+            policies,
+            priority,
+            estimated_bytes
+          })),
+          count: candidates.length,
+          estimated_bytes: candidates.reduce((sum, candidate) => sum + candidate.estimated_bytes, 0)
+        });
+      } catch (error) {
+        this.log(`Error previewing pre-cache: ${error.message}`);
+        res.status(500).json({ error: 'Failed to preview pre-cache', details: error.message });
+      }
+    });
+
+    // Queue everything the policies select now (whether or not --pre-cache is enabled)
+    this.app.post('/api/precache/run', async (req, res) => {
+      try {
+        const result = await this.startBulkCaching();
+        if (!result) {
+          return res.status(409).json({ error: 'Pre-cache already in progress' });
+        }
+
+        res.json({ success: true, ...result });
+      } catch (error) {
+        this.log(`Error running pre-cache: ${error.message}`);
+        res.status(500).json({ error: 'Failed to run pre-cache', details: error.message });
+      }
+    });
+
+    // Incremental change feed for keeping an offline copy of the library in sync
+    this.app.get('/api/changes', async (req, res) => {
+      try {
+        const { profileRef, profile } = await this.resolveProfile(req);
+        if (profileRef && !profile) {
+          return res.status(404).json({ error: 'Profile not found', profile: profileRef });
+        }
+
+        const since = parseInt(req.query.since) || 0;
+        const limit = Math.min(parseInt(req.query.limit) || 500, 500);
+
+        const changes = await this.database.getChanges(since, {
+          profileId: profile ? profile.id : null,
+          limit
+        });
+
+        if (changes.reset) {
+          return res.json({
+            since,
+            cursor: changes.cursor,
+            reset: true,
+            has_more: false,
+            message: 'Cursor missing or expired; download /api/shows and episodes again, then continue from cursor',
+            profile: profile ? { id: profile.id, name: profile.name } : null
+          });
+        }
+
+        const formatSeries = s => ({
+          ...s,
+          duration_hours: Math.round((s.total_duration || 0) / 3600),
+          favorite: !!s.favorite,
+          first_recorded: s.first_recorded ? new Date(s.first_recorded * 1000).toISOString() : null,
+          last_recorded: s.last_recorded ? new Date(s.last_recorded * 1000).toISOString() : null
+        });
+
+        res.json({
+          since,
+          cursor: changes.cursor,
+          reset: false,
+          has_more: changes.hasMore,
+          series: {
+            added: changes.series.added.map(formatSeries),
+            updated: changes.series.updated.map(formatSeries),
+            removed: changes.series.removed
+          },
+          episodes: {
+            added: changes.episodes.added.map(e => this.formatEpisode(e, req)),
+            updated: changes.episodes.updated.map(e => this.formatEpisode(e, req)),
+            removed: changes.episodes.removed
+          },
+          profile: profile ? { id: profile.id, name: profile.name } : null
+        });
+      } catch (error) {
+        this.log(`Error getting changes: ${error.message}`);
+        res.status(500).json({ error: 'Failed to get changes', details: error.message });
+      }
+    });
+
+    // Server-Sent Events stream of typed events, filterable by topic
+    this.app.get('/api/events', (req, res) => {
+      const topics = req.query.topics
+        ? req.query.topics.split(',').map(t => t.trim()).filter(Boolean)
+        : events.TOPICS;
+
+      const unknownTopics = topics.filter(t => !events.TOPICS.includes(t));
+      if (unknownTopics.length > 0) {
+        return res.status(400).json({
+          error: 'Unknown topic',
+          topics: unknownTopics,
+          availableTopics: events.TOPICS
+        });
+      }
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.write('retry: 5000\n\n');
+
+      const sendEvent = (event) => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      };
+
+      // Replay anything a reconnecting client missed
+      const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId);
+      if (!isNaN(lastEventId)) {
+        events.getEventsSince(lastEventId, topics).forEach(sendEvent);
+      }
+
+      const listener = (event) => {
+        if (topics.includes(event.topic)) {
+          sendEvent(event);
+        }
+      };
+      events.on('event', listener);
+
+      // Comment lines keep proxies from closing idle connections
+      const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+      this.debug(`Event stream opened (${topics.join(', ')})`);
+
+      req.on('close', () => {
+        clearInterval(keepAlive);
+        events.removeListener('event', listener);
+        this.debug('Event stream closed');
+      });
+    });
+
+    // Unified full-text search across recordings and the program guide
+    this.app.get('/api/search', async (req, res) => {
+      try {
+        const { q, query, limit = 20, types } = req.query;
+        const searchQuery = q || query;
+        const ftsQuery = this.database.buildFtsQuery(searchQuery);
+
+        if (!ftsQuery) {
+          return res.status(400).json({
+            error: 'Missing search query',
+            message: 'Provide search query using ?q= or ?query= parameter'
+          });
+        }
+
+        const maxResults = parseInt(limit) || 20;
+        const requestedTypes = types ? types.split(',').map(t => t.trim()) : ['series', 'episodes', 'airings'];
+
+        const [series, episodes, airings] = await Promise.all([
+          requestedTypes.includes('series') ? this.database.searchSeriesFullText(ftsQuery, maxResults) : [],
+          requestedTypes.includes('episodes') ? this.database.searchEpisodesFullText(ftsQuery, maxResults) : [],
+          requestedTypes.includes('airings') ? GuideManager.searchUpcomingFullText(ftsQuery, { limit: maxResults }) : []
+        ]);
+
+        res.json({
+          query: searchQuery,
+          results: {
+            series: series.map(s => ({
+              ...s,
+              type: 'series',
+              first_recorded: s.first_recorded ? new Date(s.first_recorded * 1000).toISOString() : null,
+              last_recorded: s.last_recorded ? new Date(s.last_recorded * 1000).toISOString() : null
+            })),
+            episodes: episodes.map(e => ({ ...this.formatEpisode(e, req), type: 'episode' })),
+            airings: airings.map(a => ({
+              ...a,
+              type: 'airing',
+              start_time: new Date(a.start_time * 1000).toISOString(),
+              end_time: new Date(a.end_time * 1000).toISOString()
+            }))
+          },
+          counts: {
+            series: series.length,
+            episodes: episodes.length,
+            airings: airings.length
+          },
+          filters: { limit: maxResults, types: requestedTypes }
+        });
+      } catch (error) {
+        this.log(`Error searching: ${error.message}`);
+        res.status(500).json({ error: 'Failed to search', details: error.message });
       }
     });
 
@@ -553,14 +1954,16 @@ class HDHomeRunServer {
       }
 
       try {
-        // Start discovery in background
-        this.runDiscovery().catch(error => {
+        // Start discovery in background (full=true refetches every series)
+        const fullSync = req.query.full === 'true' || req.query.full === '1';
+        this.runDiscovery({ fullSync }).catch(error => {
           this.log(`Background discovery failed: ${error.message}`);
         });
 
         res.json({
           message: 'Discovery started',
           isDiscovering: true,
+          fullSync,
           timestamp: new Date().toISOString()
         });
       } catch (error) {
@@ -955,7 +2358,7 @@ class HDHomeRunServer {
         }
       });
 
-      // Serve HLS playlist
+      // Serve HLS master playlist (video plus closed captions)
       this.app.get('/api/live/:tunerId/playlist.m3u8', (req, res) => {
         const { tunerId } = req.params;
         const filePath = path.join(this.liveTVConfig.cacheDir, tunerId, 'playlist.m3u8');
@@ -973,12 +2376,46 @@ class HDHomeRunServer {
         });
       });
 
-      // Serve HLS segments
+      // Serve closed captions (subtitle playlist and WebVTT segments)
+      this.app.get('/api/live/:tunerId/captions/:filename', async (req, res) => {
+        const { tunerId, filename } = req.params;
+
+        res.set({
+          'Cache-Control': 'no-cache',
+          'Access-Control-Allow-Origin': '*'
+        });
+
+        try {
+          if (filename === 'stream.m3u8') {
+            const playlist = this.tunerManager.getCaptionPlaylist(tunerId);
+            if (!playlist) {
+              return res.status(404).json({ error: 'Stream not found' });
+            }
+
+            res.set('Content-Type', 'application/vnd.apple.mpegurl');
+            return res.send(playlist);
+          }
+
+          const match = filename.match(/^segment-(\d+)\.vtt$/);
+          const segment = match ? await this.tunerManager.getCaptionSegment(tunerId, parseInt(match[1])) : null;
+          if (segment === null) {
+            return res.status(404).json({ error: 'Caption segment not found' });
+          }
+
+          res.set('Content-Type', 'text/vtt');
+          res.send(segment);
+        } catch (error) {
+          this.log(`Error serving captions ${filename} for ${tunerId}: ${error.message}`);
+          res.status(500).json({ error: 'Failed to serve captions' });
+        }
+      });
+
+      // Serve HLS segments and the video playlist
       this.app.get('/api/live/:tunerId/:segment', (req, res) => {
         const { tunerId, segment } = req.params;
 
-        // Only allow .ts files
-        if (!segment.endsWith('.ts')) {
+        // Only allow segments (MPEG-TS, or fMP4 and its init segment) and the video playlist
+        if (!segment.endsWith('.ts') && !segment.endsWith('.m4s') && segment !== 'init.mp4' && segment !== 'video.m3u8') {
           return res.status(400).json({ error: 'Invalid segment file' });
         }
 
@@ -1014,42 +2451,210 @@ class HDHomeRunServer {
       });
     }
 
-    // HLS Streaming endpoints
+    // HLS cache administration
 
-    // Get HLS playlist for an episode
-    this.app.get('/api/stream/:episodeId/playlist.m3u8', async (req, res) => {
+    // Cache usage against the size budget, per-episode sizes and pins
+    this.app.get('/api/cache', async (req, res) => {
+      try {
+        const usage = await this.hlsManager.getCacheUsage();
+        const pins = await this.database.getCachePins();
+
+        const ids = usage.episodes.map(entry => parseInt(entry.episodeId)).filter(id => !isNaN(id));
+        const episodes = new Map((await this.database.getEpisodesByIds(ids)).map(episode => [String(episode.id), episode]));
+
+        res.json({
+          ...usage,
+          episodes: usage.episodes.map(entry => {
+            const episode = episodes.get(entry.episodeId);
+            return {
+              ...entry,
+              series_id: episode ? episode.series_id : null,
+              series_title: episode ? episode.series_title : null,
+              episode_title: episode ? episode.episode_title : null,
+              inLibrary: !!episode
+            };
+          }),
+          pins
+        });
+      } catch (error) {
+        this.log(`Error getting cache usage: ${error.message}`);
+        res.status(500).json({ error: 'Failed to get cache usage', details: error.message });
+      }
+    });
+
+    // Run age and size based eviction now
+    this.app.post('/api/cache/cleanup', async (req, res) => {
+      try {
+        const result = await this.hlsManager.cleanup();
+        if (!result) {
+          return res.status(409).json({ error: 'Cache cleanup already in progress' });
+        }
+
+        res.json({ success: true, ...result });
+      } catch (error) {
+        this.log(`Error cleaning up cache: ${error.message}`);
+        res.status(500).json({ error: 'Failed to clean up cache', details: error.message });
+      }
+    });
+
+    // Pin a show so its transcoded episodes are never evicted
+    this.app.put('/api/cache/pins/:id', async (req, res) => {
+      try {
+        const series = await this.database.getSeriesById(req.params.id);
+        if (!series) {
+          return res.status(404).json({ error: 'Show not found' });
+        }
+
+        await this.database.setCachePin(series.series_id, true);
+        res.json({ success: true, show: { id: series.id, series_id: series.series_id, title: series.title, pinned: true } });
+      } catch (error) {
+        this.log(`Error pinning show ${req.params.id}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to update cache pin', details: error.message });
+      }
+    });
+
+    this.app.delete('/api/cache/pins/:id', async (req, res) => {
+      try {
+        const series = await this.database.getSeriesById(req.params.id);
+        if (!series) {
+          return res.status(404).json({ error: 'Show not found' });
+        }
+
+        await this.database.setCachePin(series.series_id, false);
+        res.json({ success: true, show: { id: series.id, series_id: series.series_id, title: series.title, pinned: false } });
+      } catch (error) {
+        this.log(`Error unpinning show ${req.params.id}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to update cache pin', details: error.message });
+      }
+    });
+
+    // Evict one episode from the cache (stops its transcode if running)
+    this.app.delete('/api/cache/:episodeId', async (req, res) => {
       try {
         const { episodeId } = req.params;
+        const streamDir = this.hlsManager.getStreamDir(episodeId);
+        if (!fs.existsSync(streamDir)) {
+          return res.status(404).json({ error: 'Episode not cached' });
+        }
+
+        const sizeBytes = await this.hlsManager.getDirectorySize(streamDir);
+        await this.hlsManager.deleteTranscode(episodeId);
+        res.json({ success: true, episodeId, freedBytes: sizeBytes });
+      } catch (error) {
+        this.log(`Error evicting episode ${req.params.episodeId} from cache: ${error.message}`);
+        res.status(500).json({ error: 'Failed to evict episode', details: error.message });
+      }
+    });
 
-        // Get episode from database
-        const episode = await this.database.getEpisodeById(episodeId);
+    // Transcode queue: on-demand and pre-cache jobs, persisted across restarts
 
-        if (!episode) {
-          return res.status(404).json({ error: 'Episode not found' });
+    // List jobs, optionally filtered by state (comma-separated)
+    this.app.get('/api/transcodes', async (req, res) => {
+      try {
+        const states = req.query.state ? req.query.state.split(',') : TranscodeQueue.JOB_STATES;
+        const invalid = states.filter(state => !TranscodeQueue.JOB_STATES.includes(state));
+        if (invalid.length > 0) {
+          return res.status(400).json({
+            error: `Invalid state "${invalid[0]}"`,
+            validStates: TranscodeQueue.JOB_STATES
+          });
         }
 
-        if (!episode.source_url && !episode.play_url) {
-          return res.status(400).json({ error: 'Episode has no playback URL' });
+        const limit = parseInt(req.query.limit) || null;
+        const jobs = await this.hlsManager.listTranscodes({ states, limit });
+
+        res.json({
+          jobs,
+          count: jobs.length,
+          maxConcurrentTranscodes: this.hlsManager.maxConcurrentTranscodes
+        });
+      } catch (error) {
+        this.log(`Error listing transcodes: ${error.message}`);
+        res.status(500).json({ error: 'Failed to list transcodes', details: error.message });
+      }
+    });
+
+    this.app.get('/api/transcodes/:episodeId', async (req, res) => {
+      try {
+        const job = await this.hlsManager.getQueueJob(req.params.episodeId);
+        if (!job) {
+          return res.status(404).json({ error: 'Transcode job not found' });
         }
 
-        // Use source_url (original HDHomeRun URL) for transcoding
-        const sourceUrl = episode.source_url || episode.play_url;
+        res.json(job);
+      } catch (error) {
+        this.log(`Error getting transcode ${req.params.episodeId}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to get transcode', details: error.message });
+      }
+    });
 
-        this.debug(`HLS playlist requested for episode ${episodeId}: ${episode.title}`);
+    // Change a job's priority (higher runs first)
+    this.app.put('/api/transcodes/:episodeId/priority', async (req, res) => {
+      try {
+        const { priority } = req.body || {};
 
-        // Prepare metadata for transcode
-        const metadata = {
-          showName: episode.series_title,
-          episodeName: episode.episode_title || episode.title,
-          airDate: episode.start_time ? new Date(episode.start_time * 1000).toISOString() : null
-        };
+        let job;
+        try {
+          job = await this.hlsManager.setTranscodePriority(req.params.episodeId, priority);
+        } catch (error) {
+          return res.status(400).json({ error: 'Invalid priority', message: error.message });
+        }
+
+        if (!job) {
+          return res.status(404).json({ error: 'Transcode job not found' });
+        }
+
+        res.json({ success: true, job });
+      } catch (error) {
+        this.log(`Error changing priority of transcode ${req.params.episodeId}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to change transcode priority', details: error.message });
+      }
+    });
+
+    // Pause, resume (or retry) and cancel jobs
+    const queueActions = {
+      pause: episodeId => this.hlsManager.pauseTranscode(episodeId),
+      resume: episodeId => this.hlsManager.resumeTranscode(episodeId),
+      cancel: episodeId => this.hlsManager.cancelTranscode(episodeId)
+    };
+
+    const runQueueAction = async (action, req, res) => {
+      try {
+        let job;
+        try {
+          job = await queueActions[action](req.params.episodeId);
+        } catch (error) {
+          return res.status(409).json({ error: `Failed to ${action} transcode`, message: error.message });
+        }
 
-        // Start transcoding (or reuse existing transcode)
-        const outputDir = await this.hlsManager.startTranscode(episodeId, sourceUrl, false, metadata);
-        const playlistPath = path.join(outputDir, 'stream.m3u8');
+        if (!job) {
+          return res.status(404).json({ error: 'Transcode job not found' });
+        }
+
+        res.json({ success: true, job });
+      } catch (error) {
+        this.log(`Error during transcode ${action} of ${req.params.episodeId}: ${error.message}`);
+        res.status(500).json({ error: `Failed to ${action} transcode`, details: error.message });
+      }
+    };
+
+    this.app.post('/api/transcodes/:episodeId/pause', (req, res) => runQueueAction('pause', req, res));
+    this.app.post('/api/transcodes/:episodeId/resume', (req, res) => runQueueAction('resume', req, res));
+    this.app.delete('/api/transcodes/:episodeId', (req, res) => runQueueAction('cancel', req, res));
+
+    // HLS Streaming endpoints
 
-        // Read and serve the playlist
-        const playlist = fs.readFileSync(playlistPath, 'utf8');
+    // Get HLS playlist for an episode
+    this.app.get('/api/stream/:episodeId/playlist.m3u8', async (req, res) => {
+      try {
+        const { episodeId } = req.params;
+
+        if (!await this.startEpisodeStream(req, res, episodeId)) {
+          return;
+        }
+
+        // Serve the master playlist listing each rendition of the ladder
+        const playlist = await this.hlsManager.getMasterPlaylist(episodeId);
 
         res.set({
           'Content-Type': 'application/vnd.apple.mpegurl',
@@ -1064,65 +2669,44 @@ class HDHomeRunServer {
       }
     });
 
-    // Serve HLS segments
-    this.app.get('/api/stream/:episodeId/:filename', async (req, res) => {
+    // Get the DASH manifest for an episode (CMAF segments, shared with its HLS playlists)
+    this.app.get('/api/stream/:episodeId/manifest.mpd', async (req, res) => {
       try {
-        const { episodeId, filename } = req.params;
+        const { episodeId } = req.params;
 
-        // Validate filename to prevent directory traversal
-        if (filename.includes('..') || filename.includes('/')) {
-          return res.status(400).json({ error: 'Invalid filename' });
+        if (!await this.startEpisodeStream(req, res, episodeId)) {
+          return;
         }
 
-        const streamDir = this.hlsManager.getStreamDir(episodeId);
-        const filePath = path.join(streamDir, filename);
-
-        // Check if file exists - wait a bit if transcode is in progress
         const status = this.hlsManager.getTranscodeStatus(episodeId);
-
-        if (status.state === 'transcoding') {
-          // Transcode in progress - wait briefly for segment to appear
-          let attempts = 0;
-          while (attempts < 10) {
-            if (fs.existsSync(filePath)) {
-              break;
-            }
-            await new Promise(resolve => setTimeout(resolve, 500));
-            attempts++;
-          }
+        if (status.segmentFormat !== 'cmaf') {
+          return res.status(409).json({
+            error: 'Episode was transcoded with MPEG-TS segments; DASH needs CMAF (HLS_SEGMENT_FORMAT=cmaf)',
+            segmentFormat: status.segmentFormat
+          });
         }
 
-        // Check if file exists
-        if (!fs.existsSync(filePath)) {
-          return res.status(404).json({
-            error: 'Segment not found',
-            transcodeState: status.state
+        const manifest = await this.hlsManager.getDashManifest(episodeId);
+        if (!manifest) {
+          // Copied video is split on its own keyframes: the segments are known once transcoded
+          res.set('Retry-After', '10');
+          return res.status(503).json({
+            error: 'DASH manifest is available once the transcode completes',
+            transcodeState: status.state,
+            progress: status.progress
           });
         }
 
-        this.debug(`Serving segment: ${filename} for episode ${episodeId}`);
-
-        // Serve the file
         res.set({
-          'Content-Type': filename.endsWith('.m3u8') ? 'application/vnd.apple.mpegurl' : 'video/mp2t',
-          'Cache-Control': 'public, max-age=86400', // Cache for 24 hours
+          'Content-Type': 'application/dash+xml',
+          'Cache-Control': 'no-cache',
           'Access-Control-Allow-Origin': '*'
         });
 
-        const stream = fs.createReadStream(filePath);
-        stream.pipe(res);
-
-        stream.on('error', (error) => {
-          this.log(`Error streaming segment ${filename}: ${error.message}`);
-          if (!res.headersSent) {
-            res.status(500).json({ error: 'Failed to stream segment' });
-          }
-        });
+        res.send(manifest);
       } catch (error) {
-        this.log(`Error serving HLS segment: ${error.message}`);
-        if (!res.headersSent) {
-          res.status(500).json({ error: 'Failed to serve segment' });
-        }
+        this.log(`Error serving DASH manifest: ${error.message}`);
+        res.status(500).json({ error: 'Failed to generate DASH stream', details: error.message });
       }
     });
 
@@ -1142,6 +2726,44 @@ class HDHomeRunServer {
       }
     });
 
+    // Get the trickplay thumbnail index for an episode (WebVTT cues pointing into sprite sheets)
+    this.app.get('/api/stream/:episodeId/thumbnails.vtt', async (req, res) => {
+      try {
+        const { episodeId } = req.params;
+        const index = await this.hlsManager.getThumbnailIndex(episodeId);
+
+        if (!index) {
+          return res.status(404).json({
+            error: 'Thumbnails not available',
+            generating: this.hlsManager.isGeneratingThumbnails(episodeId),
+            transcodeState: this.hlsManager.getTranscodeStatus(episodeId).state
+          });
+        }
+
+        res.set({
+          'Content-Type': 'text/vtt',
+          'Cache-Control': 'no-cache',
+          'Access-Control-Allow-Origin': '*'
+        });
+        res.send(index);
+      } catch (error) {
+        this.log(`Error serving thumbnails: ${error.message}`);
+        res.status(500).json({ error: 'Failed to serve thumbnails' });
+      }
+    });
+
+    // Serve HLS variant playlists and segments of a rendition
+    this.app.get('/api/stream/:episodeId/:rendition/:filename', async (req, res) => {
+      const { episodeId, rendition, filename } = req.params;
+      await this.serveStreamFile(req, res, episodeId, rendition, filename);
+    });
+
+    // Serve HLS segments (caches from before the ABR ladder)
+    this.app.get('/api/stream/:episodeId/:filename', async (req, res) => {
+      const { episodeId, filename } = req.params;
+      await this.serveStreamFile(req, res, episodeId, null, filename);
+    });
+
     // 404 handler
     this.app.use('*', (req, res) => {
       res.status(404).json({
@@ -1153,10 +2775,46 @@ class HDHomeRunServer {
           'GET /api/shows',
           'GET /api/shows/:id',
           'GET /api/shows/:id/episodes',
+          'GET /api/shows/:id/next',
+          'GET /api/continue-watching',
           'GET /api/episodes/recent',
           'GET /api/episodes/:id',
           'PUT /api/episodes/:id/progress',
+          'GET /api/episodes/:id/markers',
+          'POST /api/episodes/:id/markers/analyze',
+          'GET /api/episodes/:id/download',
+          'GET /api/episodes/:id/source',
           'DELETE /api/episodes/:id',
+          'GET /api/profiles',
+          'POST /api/profiles',
+          'PUT /api/profiles/:id',
+          'DELETE /api/profiles/:id',
+          'GET /api/trash',
+          'POST /api/trash/:id/restore',
+          'DELETE /api/trash/:id',
+          'DELETE /api/trash',
+          'PUT /api/shows/:id/favorite',
+          'DELETE /api/shows/:id/favorite',
+          'GET /api/library',
+          'GET /api/library/duplicates',
+          'DELETE /api/library/duplicates',
+          'GET /api/library/:seriesId',
+          'GET /api/retention/rules',
+          'POST /api/retention/rules',
+          'PUT /api/retention/rules/:id',
+          'DELETE /api/retention/rules/:id',
+          'GET /api/retention/preview',
+          'POST /api/retention/run',
+          'GET /api/retention/audit',
+          'GET /api/precache/policies',
+          'POST /api/precache/policies',
+          'PUT /api/precache/policies/:id',
+          'DELETE /api/precache/policies/:id',
+          'GET /api/precache/preview',
+          'POST /api/precache/run',
+          'GET /api/changes',
+          'GET /api/events',
+          'GET /api/search',
           'POST /api/discover',
           'GET /api/guide',
           'GET /api/guide/search',
@@ -1167,9 +2825,22 @@ class HDHomeRunServer {
           'DELETE /api/recording-rules/:id',
           'PUT /api/recording-rules/:id/priority',
           'GET /api/series/:seriesId/recording-rule',
+          'GET /api/cache',
+          'POST /api/cache/cleanup',
+          'PUT /api/cache/pins/:id',
+          'DELETE /api/cache/pins/:id',
+          'DELETE /api/cache/:episodeId',
+          'GET /api/transcodes',
+          'GET /api/transcodes/:episodeId',
+          'PUT /api/transcodes/:episodeId/priority',
+          'POST /api/transcodes/:episodeId/pause',
+          'POST /api/transcodes/:episodeId/resume',
+          'DELETE /api/transcodes/:episodeId',
           'GET /api/stream/:episodeId/playlist.m3u8',
-          'GET /api/stream/:episodeId/:filename',
-          'GET /api/stream/:episodeId/status'
+          'GET /api/stream/:episodeId/manifest.mpd',
+          'GET /api/stream/:episodeId/status',
+          'GET /api/stream/:episodeId/:rendition/:filename',
+          'GET /api/stream/:episodeId/:filename'
         ]
       });
     });
@@ -1206,7 +2877,9 @@ class HDHomeRunServer {
     }
   }
 
-  async runDiscovery() {
+  async runDiscovery(options = {}) {
+    const { fullSync = false } = options;
+
     if (this.isDiscovering) {
       this.debug('Discovery already in progress, skipping');
       return;
@@ -1221,6 +2894,7 @@ class HDHomeRunServer {
       
       if (devices.length === 0) {
         this.log('No HDHomeRun devices found');
+        events.publish('discovery', 'discovery.completed', { devices: 0, storageDevices: 0, addedEpisodes: 0 });
         return;
       }
 
@@ -1231,14 +2905,30 @@ class HDHomeRunServer {
       
       if (storageDevices.length === 0) {
         this.log('No HDHomeRun DVR storage devices found');
+        events.publish('discovery', 'discovery.completed', { devices: devices.length, storageDevices: 0, addedEpisodes: 0 });
         return;
       }
 
       this.log(`Found ${storageDevices.length} DVR storage device(s)`);
 
       // Process each storage device
+      const newEpisodeIds = [];
+      const syncStats = {
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        added: 0,
+        removed: 0,
+        removedSeries: 0,
+        fullSync,
+        durationMs: 0,
+        seriesFetched: 0,
+        seriesSkipped: 0,
+        devices: []
+      };
+
       for (const device of storageDevices) {
         this.log(`Processing device: ${device.FriendlyName || device.ip}`);
+        const deviceStarted = Date.now();
         
         const dvr = new HDHomeRunDVR(device);
         
@@ -1249,81 +2939,304 @@ class HDHomeRunServer {
           device.FreeSpace = storageInfo.FreeSpace;
         }
 
-        // Get recorded shows
-        const shows = await dvr.getRecordedShows();
-        this.log(`Found ${shows.length} series on ${device.FriendlyName}`);
+        // Get recorded shows, skipping series whose UpdateID hasn't changed
+        const fetchStarted = Date.now();
+        const knownUpdateIds = fullSync ? new Map() : await this.database.getSeriesUpdateIds(device.DeviceID);
+        const shows = await dvr.getRecordedShows({ knownUpdateIds, concurrency: this.syncConcurrency });
+        const fetchMs = Date.now() - fetchStarted;
+        const metrics = dvr.syncMetrics;
+        this.log(`Found ${shows.length} series on ${device.FriendlyName}: ${metrics.seriesFetched} fetched, ${metrics.seriesSkipped} unchanged, ${metrics.seriesFailed} failed (${fetchMs}ms)`);
         
         // Sync to database
-        await this.database.syncDeviceData(device, shows);
+        const dbStarted = Date.now();
+        const { deviceDbId, addedEpisodeIds } = await this.database.syncDeviceData(device, shows);
+        const dbMs = Date.now() - dbStarted;
+
+        const added = await this.database.getEpisodesByIds(addedEpisodeIds);
+        for (const episode of added) {
+          events.publish('recordings', 'recording.added', this.summarizeEpisode(episode));
+        }
+
+        // Remove recordings deleted on the device by other apps
+        const reconciliation = await this.reconcileDeviceRecordings(deviceDbId, device, shows, dvr.listingComplete);
+
+        syncStats.added += addedEpisodeIds.length;
+        newEpisodeIds.push(...addedEpisodeIds);
+        syncStats.removed += reconciliation.removed;
+        syncStats.removedSeries += reconciliation.removedSeries;
+        syncStats.seriesFetched += metrics.seriesFetched;
+        syncStats.seriesSkipped += metrics.seriesSkipped;
+        syncStats.devices.push({
+          deviceId: device.DeviceID,
+          name: device.FriendlyName || device.ip,
+          series: shows.length,
+          added: addedEpisodeIds.length,
+          ...reconciliation,
+          seriesFetched: metrics.seriesFetched,
+          seriesSkipped: metrics.seriesSkipped,
+          seriesFailed: metrics.seriesFailed,
+          timing: {
+            listingMs: metrics.listingMs,
+            episodesMs: metrics.episodesMs,
+            fetchMs,
+            dbMs,
+            totalMs: Date.now() - deviceStarted
+          }
+        });
       }
 
+      syncStats.finishedAt = new Date().toISOString();
+      syncStats.durationMs = Date.now() - Date.parse(syncStats.startedAt);
+      this.lastSync = syncStats;
+      this.log(`Sync totals: ${syncStats.added} added, ${syncStats.removed} removed, ${syncStats.removedSeries} series removed, ${syncStats.seriesSkipped} series unchanged (${syncStats.durationMs}ms)`);
+
       this.lastDiscovery = new Date().toISOString();
       this.log(`Discovery completed successfully at ${this.lastDiscovery}`);
 
+      // Drop change log entries older than 30 days (clients behind that resync)
+      await this.database.pruneChangeLog(30);
+
+      events.publish('discovery', 'discovery.completed', {
+        devices: devices.length,
+        storageDevices: storageDevices.length,
+        addedEpisodes: syncStats.added,
+        removedEpisodes: syncStats.removed,
+        lastDiscovery: this.lastDiscovery
+      });
+
       // Register tuners for live TV
       if (this.liveTVEnabled && this.tunerManager) {
         await this.registerTunersForLiveTV(devices);
       }
 
-      // Start bulk HLS conversion if pre-cache is enabled
-      if (this.preCache && !this.isBulkCaching) {
-        this.log('Pre-cache enabled, starting bulk HLS conversion...');
-        this.startBulkCaching().catch(error => {
-          this.log(`Bulk caching failed: ${error.message}`);
+      // Queue pre-cache matches: the whole library on the first discovery, then only new recordings
+      if (this.preCache) {
+        const episodeIds = this.preCacheScanned ? newEpisodeIds : null;
+
+        if (!episodeIds || episodeIds.length > 0) {
+          this.log('Pre-cache enabled, queuing bulk HLS conversion...');
+          this.startBulkCaching({ episodeIds }).then(result => {
+            if (result && !episodeIds) {
+              this.preCacheScanned = true;
+            }
+          }).catch(error => {
+            this.log(`Bulk caching failed: ${error.message}`);
+          });
+        }
+      }
+
+      // Analyse finished recordings for commercial breaks, one at a time in the background
+      if (this.detectCommercials) {
+        this.queueCommercialDetection().catch(error => {
+          this.log(`Commercial detection failed: ${error.message}`);
         });
       }
 
     } catch (error) {
       this.log(`Discovery failed: ${error.message}`);
+      events.publish('discovery', 'discovery.failed', { error: error.message });
     } finally {
       this.isDiscovering = false;
     }
   }
 
-  async startBulkCaching() {
+  async reconcileDeviceRecordings(deviceDbId, device, shows, listingComplete) {
+    // Diff the device listing against the database and remove vanished recordings
+    // (database rows and HLS cache). The device already deleted them, so there is
+    // nothing to delete there.
+    const deviceName = device.FriendlyName || device.ip;
+
+    if (!listingComplete) {
+      this.log(`Skipping reconciliation for ${deviceName}: recording listing unavailable`);
+      return { reconciled: false, reason: 'listing unavailable', removed: 0, removedSeries: 0 };
+    }
+
+    const vanished = await this.database.findVanishedRecordings(deviceDbId, shows);
+
+    // An empty listing for a device we know has recordings is more likely a device
+    // hiccup than every recording having been deleted
+    if (shows.length === 0 && vanished.episodes.length > 0) {
+      this.log(`Skipping reconciliation for ${deviceName}: device reported no recordings`);
+      return { reconciled: false, reason: 'empty listing', removed: 0, removedSeries: 0 };
+    }
+
+    let removed = 0;
+    for (const episode of vanished.episodes) {
+      try {
+        this.log(`Recording vanished from ${deviceName}: ${episode.series_title} - ${episode.episode_title} (episode ${episode.id})`);
+        await this.hlsManager.deleteTranscode(String(episode.id));
+        await this.database.deleteEpisode(episode.id);
+        events.publish('recordings', 'recording.removed', { ...this.summarizeEpisode(episode), reason: 'vanished' });
+        removed++;
+      } catch (error) {
+        this.log(`✗ Failed to remove vanished episode ${episode.id}: ${error.message}`);
+      }
+    }
+
+    let removedSeries = 0;
+    for (const series of vanished.series) {
+      try {
+        await this.database.deleteSeries(series.id);
+        removedSeries++;
+      } catch (error) {
+        this.log(`✗ Failed to remove vanished series ${series.id}: ${error.message}`);
+      }
+    }
+
+    if (removed > 0 || removedSeries > 0) {
+      this.log(`Reconciled ${deviceName}: ${removed} episode(s) and ${removedSeries} series removed`);
+    }
+
+    return { reconciled: true, removed, removedSeries };
+  }
+
+  async startBulkCaching(options = {}) {
+    // Queue the episodes selected by the pre-cache policies for HLS conversion.
+    // With episodeIds, only those episodes (e.g. new recordings) are considered.
+    const { episodeIds = null } = options;
+
     if (this.isBulkCaching) {
       this.debug('Bulk caching already in progress');
-      return;
+      return null;
     }
 
     this.isBulkCaching = true;
 
     try {
-      // Get all episodes from database
-      this.log('Fetching all episodes from database...');
-      const allEpisodes = await this.database.getAllEpisodes();
+      const candidates = await this.getPreCacheCandidates({ episodeIds });
 
-      if (allEpisodes.length === 0) {
-        this.log('No episodes found for bulk caching');
-        return;
+      if (candidates.length === 0) {
+        this.log(episodeIds ? 'No new recordings match the pre-cache policies' : 'No episodes match the pre-cache policies');
+        return { matched: 0, queued: 0 };
       }
 
-      // Filter to only episodes recorded in the past month (30 days)
-      const thirtyDaysAgo = Math.floor(Date.now() / 1000) - (30 * 24 * 60 * 60);
-      const recentEpisodes = allEpisodes.filter(episode => {
-        // Use start_time for filtering (Unix timestamp in seconds)
-        return episode.start_time >= thirtyDaysAgo;
-      });
+      this.log(`${candidates.length} ${episodeIds ? 'new recording(s)' : 'episode(s)'} match the pre-cache policies, queuing HLS conversion...`);
 
-      this.log(`Found ${allEpisodes.length} total episodes, ${recentEpisodes.length} recorded in the past month`);
+      // Queue for bulk conversion (runs in background)
+      const queued = await this.hlsManager.startBulkConversion(candidates.map(candidate => ({
+        ...candidate.episode,
+        priority: candidate.priority
+      })));
 
-      if (recentEpisodes.length === 0) {
-        this.log('No recent episodes found for bulk caching');
-        return;
+      return { matched: candidates.length, queued };
+    } catch (error) {
+      this.log(`Error during bulk caching: ${error.message}`);
+      throw error;
+    } finally {
+      this.isBulkCaching = false;
+    }
+  }
+
+  async queueCommercialDetection() {
+    // Queue recordings that have finished and were never analysed, then work through the queue
+    const episodeIds = await CommercialDetector.findUnanalyzed();
+
+    if (episodeIds.length > 0) {
+      await CommercialDetector.enqueue(episodeIds);
+      this.log(`${episodeIds.length} recording(s) queued for commercial detection`);
+    }
+
+    this.processCommercialQueue();
+  }
+
+  processCommercialQueue() {
+    // Analyse the transcoded HLS cache when there is one (local and smaller), otherwise the source
+    const resolveInput = async (episodeId) => {
+      const episode = await this.database.getEpisodeById(episodeId);
+      if (!episode) {
+        return null;
       }
 
-      this.log(`Starting bulk HLS conversion of ${recentEpisodes.length} recent episodes...`);
+      const playlist = this.hlsManager.getAnalysisPlaylist(String(episodeId));
+      const sourceUrl = episode.source_url || episode.play_url;
+      const duration = episode.duration || null;
 
-      // Start bulk conversion (runs in background)
-      await this.hlsManager.startBulkConversion(recentEpisodes);
+      if (playlist) {
+        return { input: playlist, inputType: 'hls', duration };
+      }
+      return sourceUrl ? { input: sourceUrl, inputType: 'source', duration } : null;
+    };
 
-    } catch (error) {
-      this.log(`Error during bulk caching: ${error.message}`);
+    const onComplete = (episodeId, markers) => {
+      this.debug(`Commercial detection found ${markers.length} break(s) in episode ${episodeId}`);
+      events.publish('recordings', 'recording.analyzed', { episodeId, commercials: markers.length });
+    };
+
+    CommercialDetector.processQueue(resolveInput, onComplete).catch(error => {
+      this.log(`Commercial detection stopped: ${error.message}`);
+    });
+  }
+
+  formatCommercialAnalysis(analysis) {
+    return {
+      state: analysis.state,
+      input: analysis.input,
+      duration: analysis.duration,
+      breakPoints: analysis.break_points,
+      error: analysis.error,
+      queuedAt: new Date(analysis.queued_at * 1000).toISOString(),
+      finishedAt: analysis.finished_at ? new Date(analysis.finished_at * 1000).toISOString() : null
+    };
+  }
+
+  getPreCacheCandidates(options = {}) {
+    return PreCacheManager.getCandidates({
+      ...options,
+      estimateSize: episode => this.hlsManager.estimateTranscodeSize(episode.duration)
+    });
+  }
+
+  formatTrashedEpisode(episode) {
+    return {
+      ...episode,
+      rerecord: !!episode.rerecord,
+      start_time: new Date(episode.start_time * 1000).toISOString(),
+      end_time: new Date(episode.end_time * 1000).toISOString(),
+      trashed_at: new Date(episode.trashed_at * 1000).toISOString(),
+      purge_at: new Date((episode.trashed_at + this.trashGraceHours * 3600) * 1000).toISOString()
+    };
+  }
+
+  async purgeTrash(trashedBefore) {
+    // Purge trashed episodes (all, or those trashed at or before a Unix timestamp)
+    // through the same three-step deletion as DELETE /api/episodes/:id?permanent=true.
+    // Episodes whose device deletion fails stay in the trash and are retried next time.
+    if (this.isPurgingTrash) {
+      throw new Error('Trash purge already in progress');
+    }
+
+    this.isPurgingTrash = true;
+
+    try {
+      const episodes = await this.database.getTrashedEpisodes(trashedBefore);
+      const results = [];
+      let purged = 0;
+      let failed = 0;
+
+      for (const episode of episodes) {
+        try {
+          this.log(`Purging episode ${episode.id} from trash: ${episode.series_title} - ${episode.episode_title}`);
+          await this.deleteEpisodeCompletely(episode, !!episode.rerecord);
+          results.push({ id: episode.id, success: true });
+          purged++;
+        } catch (error) {
+          this.log(`✗ Failed to purge episode ${episode.id}: ${error.message}`);
+          results.push({ id: episode.id, success: false, error: error.message });
+          failed++;
+        }
+      }
+
+      return { purged, failed, results };
     } finally {
-      this.isBulkCaching = false;
+      this.isPurgingTrash = false;
     }
   }
 
+  async enforceRetention(triggeredBy) {
+    // Retention deletes through the same three-step path as DELETE /api/episodes/:id
+    return RetentionManager.run(episode => this.deleteEpisodeCompletely(episode, false), triggeredBy);
+  }
+
   setupScheduler() {
     // Run discovery every hour at minute 0
     cron.schedule('0 * * * *', () => {
@@ -1334,6 +3247,52 @@ class HDHomeRunServer {
     });
 
     this.log('Scheduled discovery every hour (at minute 0)');
+
+    // Enforce retention rules daily at 03:30, after the overnight discovery has run
+    cron.schedule('30 3 * * *', () => {
+      if (this.isDiscovering) {
+        this.log('Discovery in progress, skipping scheduled retention run');
+        return;
+      }
+
+      this.log('Running scheduled retention...');
+      this.enforceRetention('schedule').catch(error => {
+        this.log(`Scheduled retention failed: ${error.message}`);
+      });
+    });
+
+    this.log('Scheduled retention enforcement daily (at 03:30)');
+
+    // Purge trashed episodes whose grace period has passed
+    cron.schedule('*/15 * * * *', () => {
+      const cutoff = Math.floor(Date.now() / 1000) - this.trashGraceHours * 3600;
+
+      this.purgeTrash(cutoff).then(({ purged, failed }) => {
+        if (purged > 0 || failed > 0) {
+          this.log(`Trash purge: ${purged} purged, ${failed} failed`);
+        }
+      }).catch(error => {
+        this.log(`Scheduled trash purge failed: ${error.message}`);
+      });
+    });
+
+    this.log(`Scheduled trash purge every 15 minutes (grace period ${this.trashGraceHours}h)`);
+
+    // Evict HLS cache entries past their age or over the size budget
+    cron.schedule('45 * * * *', () => {
+      this.hlsManager.cleanup().then(result => {
+        if (result && result.evicted.length > 0) {
+          this.log(`HLS cache cleanup: ${result.evicted.length} episode(s) evicted, ${Math.round(result.freedBytes / 1048576)} MB freed`);
+        }
+      }).catch(error => {
+        this.log(`Scheduled HLS cache cleanup failed: ${error.message}`);
+      });
+    });
+
+    const budget = this.hlsManager.maxCacheSize
+      ? `${(this.hlsManager.maxCacheSize / 1073741824).toFixed(1)} GB budget`
+      : 'no size budget';
+    this.log(`Scheduled HLS cache cleanup every hour (at minute 45, ${budget})`);
   }
 
   async start() {
@@ -1369,7 +3328,7 @@ class HDHomeRunServer {
         this.log(`HDHomeRun DVR API server running on http://${this.host}:${this.port}`);
         this.log(`Pre-cache mode: ${this.preCache ? 'ENABLED' : 'DISABLED'}`);
         if (this.preCache) {
-          this.log('  All episodes will be converted to HLS after discovery');
+          this.log('  Episodes matching the pre-cache policies will be converted to HLS after discovery');
         } else {
           this.log('  Episodes will be converted to HLS on-demand');
         }
@@ -1379,10 +3338,31 @@ class HDHomeRunServer {
         this.log('  GET /api/shows - All shows/series');
         this.log('  GET /api/shows/:id - Specific show');
         this.log('  GET /api/shows/:id/episodes - Episodes for a show');
+        this.log('  GET /api/shows/:id/next - Next episode to watch');
+        this.log('  GET /api/continue-watching - In-progress episodes');
         this.log('  GET /api/episodes/recent - Recent episodes');
         this.log('  GET /api/episodes/:id - Get specific episode');
         this.log('  PUT /api/episodes/:id/progress - Update watch progress');
-        this.log('  DELETE /api/episodes/:id - Delete episode');
+        this.log('  GET /api/episodes/:id/markers - Commercial breaks and chapters');
+        this.log('  GET /api/episodes/:id/download - Download as MP4 (?quality=1080p|720p|480p|360p)');
+        this.log('  GET /api/episodes/:id/source - Original recording relayed from the device');
+        this.log('  DELETE /api/episodes/:id - Move episode to trash');
+        this.log('  GET /api/trash - Trashed episodes');
+        this.log('  POST /api/trash/:id/restore - Restore from trash');
+        this.log('  GET /api/profiles - Viewer profiles');
+        this.log('  PUT /api/shows/:id/favorite - Favorite a show');
+        this.log('  GET /api/library - Merged library across devices');
+        this.log('  GET /api/library/duplicates - Programs recorded on several devices');
+        this.log('  GET /api/retention/rules - Retention rules');
+        this.log('  GET /api/retention/preview - Retention dry run');
+        this.log('  POST /api/retention/run - Enforce retention now');
+        this.log('  GET /api/retention/audit - Retention audit log');
+        this.log('  GET /api/precache/policies - Pre-cache policies');
+        this.log('  GET /api/precache/preview - Pre-cache dry run');
+        this.log('  POST /api/precache/run - Pre-cache now');
+        this.log('  GET /api/changes - Library change feed');
+        this.log('  GET /api/events - Server-Sent Events stream');
+        this.log('  GET /api/search - Search recordings and guide');
         this.log('  POST /api/discover - Manual discovery trigger');
         this.log('  GET /api/guide - Program guide (24hr, cached)');
         this.log('  GET /api/guide/search - Search programs');
@@ -1398,7 +3378,10 @@ class HDHomeRunServer {
           this.log('  GET /api/live/:tunerId/playlist.m3u8 - Live TV HLS playlist');
           this.log('  GET /api/live/tuners - Tuner status (admin)');
         }
+        this.log('  GET /api/cache - HLS cache usage and pins (admin)');
+        this.log('  GET /api/transcodes - Transcode queue (admin)');
         this.log('  GET /api/stream/:episodeId/playlist.m3u8 - HLS stream');
+        this.log('  GET /api/stream/:episodeId/manifest.mpd - DASH stream (CMAF segments)');
         this.log('  GET /api/stream/:episodeId/status - Transcode status');
       });
 
@@ -1425,6 +3408,7 @@ class HDHomeRunServer {
       await this.tunerManager.shutdown();
     }
 
+    CommercialDetector.stop();
     await this.hlsManager.shutdown();
     await this.database.close();
   }
@@ -1436,8 +3420,23 @@ if (require.main === module) {
   const preCache = process.argv.includes('--pre-cache');
   const host = process.env.HOST || '127.0.0.1';
   const port = process.env.PORT || 3000;
-
-  const server = new HDHomeRunServer({ host, port, verbose, preCache });
+  const trashGraceHoursEnv = parseFloat(process.env.TRASH_GRACE_HOURS);
+  const trashGraceHours = Number.isFinite(trashGraceHoursEnv) && trashGraceHoursEnv >= 0 ? trashGraceHoursEnv : undefined;
+  const syncConcurrency = parseInt(process.env.DVR_SYNC_CONCURRENCY) || undefined;
+  const hlsLadder = process.env.HLS_LADDER || undefined;
+  const hlsClientProfile = process.env.HLS_CLIENT_PROFILE || undefined;
+  const hlsCacheMaxSize = Math.round(parseFloat(process.env.HLS_CACHE_MAX_GB) * 1073741824) || undefined;
+  const captionLanguage = process.env.CAPTION_LANGUAGE || undefined;
+  const hlsSurroundAudio = process.env.HLS_SURROUND_AUDIO === '1' || process.env.HLS_SURROUND_AUDIO === 'true';
+  const hlsSegmentFormat = process.env.HLS_SEGMENT_FORMAT || undefined;
+  const sourceMaxKbps = parseInt(process.env.SOURCE_PROXY_MAX_KBPS) || undefined;
+  const hlsCommercialMarkers = process.env.HLS_COMMERCIAL_MARKERS === '1' || process.env.HLS_COMMERCIAL_MARKERS === 'true';
+  const detectCommercials = process.env.COMMERCIAL_DETECTION !== '0' && process.env.COMMERCIAL_DETECTION !== 'false';
+
+  const server = new HDHomeRunServer({
+    host, port, verbose, preCache, trashGraceHours, syncConcurrency, hlsLadder, hlsClientProfile, hlsCacheMaxSize,
+    captionLanguage, hlsSurroundAudio, hlsSegmentFormat, hlsCommercialMarkers, detectCommercials, sourceMaxKbps
+  });
 
   // Handle graceful shutdown
   process.on('SIGTERM', async () => {
@@ -0,0 +1,152 @@
+/**
+ * Source Proxy Module
+ * Relays original recordings from the HDHomeRun device to clients that play MPEG-TS
+ * themselves (VLC, mpv), so they never need to reach the device directly
+ *
+ * Range requests are passed through to the device, which answers them itself, so
+ * clients can seek. Responses can be throttled to a bitrate to protect slow uplinks.
+ */
+
+const { Transform, pipeline } = require('stream');
+const axios = require('axios');
+
+// Device response headers relayed to the client
+const RELAYED_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'last-modified', 'etag'];
+
+/**
+ * Passes data through at no more than a given rate
+ */
+class ThrottleStream extends Transform {
+  /**
+   * @param {number} bytesPerSecond
+   */
+  constructor(bytesPerSecond) {
+    super();
+    this.bytesPerSecond = bytesPerSecond;
+    this.startTime = Date.now();
+    this.bytesSent = 0;
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.bytesSent += chunk.length;
+
+    // Hold each chunk until the average rate since the start is back within the limit
+    const due = this.startTime + (this.bytesSent / this.bytesPerSecond) * 1000;
+    setTimeout(() => callback(null, chunk), Math.max(0, due - Date.now()));
+  }
+}
+
+class SourceProxy {
+  /**
+   * @param {object} options - { maxKbps (bitrate cap for every client, none when unset),
+   *   timeout (ms to wait for the device's response headers), log }
+   */
+  constructor(options = {}) {
+    this.maxKbps = options.maxKbps || null;
+    this.timeout = options.timeout || 10000;
+    this.log = options.log || (() => {});
+  }
+
+  /**
+   * The bitrate a request is throttled to: the client's own limit (?max_kbps=),
+   * never above the server's cap
+   * @returns {number|null} kbps, or null for no throttling
+   */
+  resolveLimit(requestedKbps) {
+    const limits = [this.maxKbps, requestedKbps].filter(kbps => kbps > 0);
+    return limits.length > 0 ? Math.min(...limits) : null;
+  }
+
+  /**
+   * Relay a recording to a client, passing its Range header through
+   * @param {string} sourceUrl - Recording URL on the device
+   * @param {object} options - { maxKbps (client limit), filename (for Content-Disposition) }
+   */
+  async relay(req, res, sourceUrl, options = {}) {
+    const headers = {};
+    if (req.headers.range) {
+      headers.Range = req.headers.range;
+    }
+
+    // Cancel the device request as soon as the client goes away, even while still waiting
+    // for the device (seeking closes the previous request), so its connection is not leaked
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    // Only the wait for the device's response is timed: while streaming, a paused client or
+    // a throttled relay can leave the connection idle for longer
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this.timeout);
+
+    let response;
+    try {
+      response = await axios({
+        method: req.method === 'HEAD' ? 'head' : 'get',
+        url: sourceUrl,
+        headers,
+        signal: controller.signal,
+        responseType: 'stream',
+        validateStatus: () => true, // Relay the device's answer (206, 416, ...) as it is
+        decompress: false
+      });
+    } catch (error) {
+      if (timedOut) {
+        throw new Error(`Device did not answer within ${this.timeout}ms`);
+      }
+      if (res.destroyed) {
+        return; // The client went away first
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const upstream = response.data;
+
+    if (res.destroyed) {
+      upstream.destroy();
+      return;
+    }
+
+    if (response.status >= 500) {
+      upstream.destroy();
+      throw new Error(`Device returned HTTP ${response.status}`);
+    }
+
+    res.status(response.status);
+    for (const name of RELAYED_HEADERS) {
+      if (response.headers[name] !== undefined) {
+        res.set(name, response.headers[name]);
+      }
+    }
+    if (!response.headers['content-type']) {
+      res.set('Content-Type', 'video/mp2t');
+    }
+    if (options.filename) {
+      res.set('Content-Disposition', `inline; filename="${options.filename}"`);
+    }
+    res.set('Access-Control-Allow-Origin', '*');
+
+    if (req.method === 'HEAD') {
+      upstream.destroy();
+      return res.end();
+    }
+
+    const limit = this.resolveLimit(options.maxKbps);
+    const streams = limit ? [upstream, new ThrottleStream(limit * 1000 / 8), res] : [upstream, res];
+
+    // Destroys every stream when any of them ends early, the client closing included
+    pipeline(...streams, (error) => {
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        this.log(`Source stream error: ${error.message}`);
+      }
+    });
+  }
+}
+
+SourceProxy.ThrottleStream = ThrottleStream;
+
+module.exports = SourceProxy;
@@ -0,0 +1,157 @@
+/**
+ * Thumbnails Module
+ * Generates trickplay thumbnails of a transcoded episode for scrubbing previews
+ *
+ * FFmpeg decodes only the keyframes of an encoded rendition, takes one frame every
+ * interval and tiles them into JPEG sprite sheets (sprite001.jpg, sprite002.jpg, ...).
+ * A WebVTT index (thumbnails.vtt) then maps each interval of the episode to its tile,
+ * using media fragments ("sprite001.jpg#xywh=160,0,160,90") as players expect.
+ * The index is written last, so its presence means the thumbnails are complete.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const mkdir = promisify(fs.mkdir);
+const readdir = promisify(fs.readdir);
+const unlink = promisify(fs.unlink);
+const writeFile = promisify(fs.writeFile);
+
+const INDEX_FILENAME = 'thumbnails.vtt';
+
+/**
+ * Format seconds as a WebVTT timestamp ("01:02:03.456")
+ */
+function formatTimestamp(seconds) {
+  const milliseconds = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+  return `${pad(Math.floor(milliseconds / 3600000))}:${pad(Math.floor(milliseconds / 60000) % 60)}:` +
+    `${pad(Math.floor(milliseconds / 1000) % 60)}.${pad(milliseconds % 1000, 3)}`;
+}
+
+class ThumbnailGenerator {
+  /**
+   * @param {object} options - { outputDir, interval (seconds), width, height (of a thumbnail), columns, rows,
+   *   spriteUrlPrefix (sprite URLs in the index are relative to where it is served) }
+   */
+  constructor(options) {
+    this.outputDir = options.outputDir;
+    this.interval = options.interval || 10;
+    this.width = options.width || 160;
+    this.height = options.height || 90;
+    this.columns = options.columns || 10;
+    this.rows = options.rows || 10;
+    this.spriteUrlPrefix = options.spriteUrlPrefix || '';
+    this.process = null;
+    this.stopped = false;
+  }
+
+  /**
+   * Generate the sprite sheets and index for an episode
+   * @param {string} input - Playlist or file FFmpeg can open (an encoded rendition)
+   * @param {number} duration - Episode duration in seconds, for the index
+   * @returns {Promise<number>} Number of thumbnails in the index
+   */
+  async generate(input, duration) {
+    await mkdir(this.outputDir, { recursive: true });
+    await this.removeOutput();
+
+    await this.runFFmpeg(input);
+
+    const sheets = (await readdir(this.outputDir)).filter(file => /^sprite\d+\.jpg$/.test(file)).length;
+    const count = Math.min(Math.ceil(duration / this.interval), sheets * this.columns * this.rows);
+
+    await writeFile(path.join(this.outputDir, INDEX_FILENAME), this.buildIndex(count, duration));
+    return count;
+  }
+
+  runFFmpeg(input) {
+    const args = [
+      '-y',
+      '-nostdin',
+      '-skip_frame', 'nokey', // Keyframes are enough for thumbnails, and much faster to decode
+      '-i', input,
+      '-an',
+      '-vf', `fps=1/${this.interval},scale=${this.width}:${this.height},tile=${this.columns}x${this.rows}`,
+      '-q:v', '5',
+      path.join(this.outputDir, 'sprite%03d.jpg')
+    ];
+
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn('ffmpeg', args);
+      let stderrTail = '';
+
+      this.process = ffmpeg;
+
+      ffmpeg.stderr.on('data', (data) => {
+        stderrTail = (stderrTail + data.toString()).slice(-1000);
+      });
+
+      ffmpeg.on('error', (error) => {
+        this.process = null;
+        reject(error);
+      });
+
+      ffmpeg.on('close', (code) => {
+        this.process = null;
+
+        if (this.stopped) {
+          reject(new Error('Thumbnail generation stopped'));
+        } else if (code !== 0) {
+          const lastLine = stderrTail.trim().split('\n').pop();
+          reject(new Error(`FFmpeg exited with code ${code}${lastLine ? `: ${lastLine}` : ''}`));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Stop generating (the partial output is left without an index)
+   */
+  stop() {
+    if (this.process && !this.stopped) {
+      this.stopped = true;
+      this.process.kill('SIGTERM');
+    }
+  }
+
+  /**
+   * Remove sprites and the index of an earlier attempt
+   */
+  async removeOutput() {
+    for (const file of await readdir(this.outputDir)) {
+      await unlink(path.join(this.outputDir, file));
+    }
+  }
+
+  /**
+   * Build the WebVTT index mapping each interval to its tile in a sprite sheet
+   */
+  buildIndex(count, duration) {
+    const perSheet = this.columns * this.rows;
+    const cues = [];
+
+    for (let index = 0; index < count; index++) {
+      const start = index * this.interval;
+      const end = Math.min(duration, start + this.interval);
+      const sheet = Math.floor(index / perSheet) + 1;
+      const tile = index % perSheet;
+      const x = (tile % this.columns) * this.width;
+      const y = Math.floor(tile / this.columns) * this.height;
+
+      cues.push(`${formatTimestamp(start)} --> ${formatTimestamp(end)}\n` +
+        `${this.spriteUrlPrefix}sprite${String(sheet).padStart(3, '0')}.jpg#xywh=${x},${y},${this.width},${this.height}\n`);
+    }
+
+    return `WEBVTT\n\n${cues.join('\n')}`;
+  }
+}
+
+ThumbnailGenerator.INDEX_FILENAME = INDEX_FILENAME;
+
+module.exports = ThumbnailGenerator;
@@ -0,0 +1,212 @@
+/**
+ * Transcode Queue Module
+ * Persistent record of HLS transcode jobs, so queued and interrupted work survives restarts
+ *
+ * There is one job per episode. Pre-caching queues jobs; they run in priority order
+ * (highest first, then oldest first) as transcode slots free up. On-demand playback
+ * starts its transcode right away and records the job as running. Running the jobs
+ * is up to the HLS stream manager.
+ *
+ * States:
+ * - queued: waiting for a slot (also jobs interrupted by a restart, and failed attempts being retried)
+ * - running: FFmpeg is encoding
+ * - paused: stopped by an admin, keeping partial output until resumed
+ * - complete, failed, cancelled: finished
+ * - evicted: completed, then removed from the HLS cache; pre-caching does not queue it again
+ */
+
+const db = require('asynqlite');
+
+const JOB_STATES = ['queued', 'running', 'paused', 'complete', 'failed', 'cancelled', 'evicted'];
+const FINISHED_STATES = ['complete', 'failed', 'cancelled', 'evicted'];
+
+const now = () => Math.floor(Date.now() / 1000);
+
+class TranscodeQueue {
+  constructor() {
+    this.JOB_STATES = JOB_STATES;
+  }
+
+  /**
+   * Queue a job unless the episode already has one (in any state)
+   * @param {object} job - { episodeId, sourceUrl, clientProfile, priority, origin, metadata }
+   * @returns {Promise<boolean>} Whether a job was added
+   */
+  async enqueue(job) {
+    const { episodeId, sourceUrl, clientProfile = null, priority = 0, origin = 'pre-cache', metadata = {} } = job;
+
+    const existing = await this.getJob(episodeId);
+    if (existing) {
+      return false;
+    }
+
+    await db.run(`
+      INSERT OR IGNORE INTO transcode_jobs (episode_id, state, priority, origin, source_url, client_profile, metadata, queued_at)
+      VALUES (?, 'queued', ?, ?, ?, ?, ?, ?)
+    `, [episodeId, priority, origin, sourceUrl, clientProfile, JSON.stringify(metadata), now()]);
+
+    return true;
+  }
+
+  /**
+   * Record that a transcode started, creating the job if it was not queued (on-demand playback)
+   */
+  async markRunning(episodeId, job) {
+    const { sourceUrl, clientProfile = null, priority = 0, origin = 'on-demand', metadata = {} } = job;
+    const timestamp = now();
+
+    await db.run(`
+      INSERT INTO transcode_jobs (episode_id, state, priority, origin, source_url, client_profile, metadata, attempts, queued_at, started_at)
+      VALUES (?, 'running', ?, ?, ?, ?, ?, 1, ?, ?)
+      ON CONFLICT(episode_id) DO UPDATE SET
+        state = 'running',
+        source_url = excluded.source_url,
+        client_profile = excluded.client_profile,
+        metadata = excluded.metadata,
+        attempts = attempts + 1,
+        started_at = excluded.started_at,
+        finished_at = NULL
+    `, [episodeId, priority, origin, sourceUrl, clientProfile, JSON.stringify(metadata), timestamp, timestamp]);
+  }
+
+  async getJob(episodeId) {
+    const jobs = await db.run('SELECT * FROM transcode_jobs WHERE episode_id = ?', [episodeId]);
+    return jobs && jobs.length > 0 ? this.formatJob(jobs[0]) : null;
+  }
+
+  /**
+   * List jobs, running first, then queued in the order they will run, then the rest by recency
+   * @param {object} options - { states: [..], limit }
+   */
+  async listJobs(options = {}) {
+    const { states = JOB_STATES, limit = null } = options;
+
+    const jobs = await db.run(`
+      SELECT
+        j.*,
+        (SELECT s.title FROM episodes e JOIN series s ON e.series_id = s.id WHERE e.id = j.episode_id) as series_title,
+        (SELECT e.episode_title FROM episodes e WHERE e.id = j.episode_id) as episode_title
+      FROM transcode_jobs j
+      WHERE j.state IN (${states.map(() => '?').join(', ')})
+      ORDER BY
+        CASE j.state WHEN 'running' THEN 0 WHEN 'queued' THEN 1 WHEN 'paused' THEN 2 ELSE 3 END,
+        CASE WHEN j.state = 'queued' THEN -j.priority ELSE 0 END,
+        CASE WHEN j.state = 'queued' THEN j.queued_at ELSE -COALESCE(j.finished_at, j.started_at, j.queued_at) END,
+        j.episode_id
+      LIMIT ?
+    `, [...states, limit || -1]);
+
+    return (jobs || []).map(job => this.formatJob(job));
+  }
+
+  /**
+   * The queued job to run next
+   */
+  async nextQueued() {
+    const jobs = await db.run(`
+      SELECT * FROM transcode_jobs
+      WHERE state = 'queued'
+      ORDER BY priority DESC, queued_at, episode_id
+      LIMIT 1
+    `);
+
+    return jobs && jobs.length > 0 ? this.formatJob(jobs[0]) : null;
+  }
+
+  /**
+   * Move a job to a new state
+   * @param {object} fields - Optional { error, progress, attempts }
+   */
+  async setState(episodeId, state, fields = {}) {
+    if (!JOB_STATES.includes(state)) {
+      throw new Error(`Invalid transcode job state "${state}"`);
+    }
+
+    const finished = FINISHED_STATES.includes(state);
+
+    await db.run(`
+      UPDATE transcode_jobs SET
+        state = ?,
+        error = CASE WHEN ? THEN ? ELSE error END,
+        progress = COALESCE(?, progress),
+        attempts = COALESCE(?, attempts),
+        queued_at = CASE WHEN ? = 'queued' THEN ? ELSE queued_at END,
+        finished_at = CASE WHEN ? THEN ? ELSE NULL END
+      WHERE episode_id = ?
+    `, [
+      state,
+      'error' in fields ? 1 : 0, fields.error === undefined ? null : fields.error,
+      fields.progress === undefined ? null : fields.progress,
+      fields.attempts === undefined ? null : fields.attempts,
+      state, now(),
+      finished ? 1 : 0, now(),
+      episodeId
+    ]);
+  }
+
+  async setProgress(episodeId, progress) {
+    await db.run('UPDATE transcode_jobs SET progress = ? WHERE episode_id = ?', [progress, episodeId]);
+  }
+
+  /**
+   * Change a job's priority, throwing an Error with a client-facing message for invalid values
+   * @returns {Promise<object|null>} The updated job, or null if there is none
+   */
+  async setPriority(episodeId, priority) {
+    if (!Number.isInteger(priority)) {
+      throw new Error('priority must be an integer');
+    }
+
+    await db.run('UPDATE transcode_jobs SET priority = ? WHERE episode_id = ?', [priority, episodeId]);
+    return this.getJob(episodeId);
+  }
+
+  /**
+   * Queue jobs that were running when the server stopped
+   * @returns {Promise<number>} Number of jobs queued again
+   */
+  async recoverInterrupted() {
+    const running = await db.run(`SELECT episode_id FROM transcode_jobs WHERE state = 'running'`) || [];
+
+    if (running.length > 0) {
+      await db.run(`UPDATE transcode_jobs SET state = 'queued' WHERE state = 'running'`);
+    }
+
+    return running.length;
+  }
+
+  async remove(episodeId) {
+    await db.run('DELETE FROM transcode_jobs WHERE episode_id = ?', [episodeId]);
+  }
+
+  /**
+   * Forget old completed jobs. Failed, cancelled and evicted jobs are kept, so
+   * pre-caching does not queue them again.
+   */
+  async prune(maxAgeDays = 30) {
+    const cutoff = now() - maxAgeDays * 24 * 60 * 60;
+    await db.run(`DELETE FROM transcode_jobs WHERE state = 'complete' AND finished_at < ?`, [cutoff]);
+  }
+
+  formatJob(job) {
+    const toISO = timestamp => timestamp ? new Date(timestamp * 1000).toISOString() : null;
+
+    let metadata = {};
+    try {
+      metadata = job.metadata ? JSON.parse(job.metadata) : {};
+    } catch (error) {
+      // Leave metadata empty
+    }
+
+    return {
+      ...job,
+      episode_id: String(job.episode_id),
+      metadata,
+      queued_at: toISO(job.queued_at),
+      started_at: toISO(job.started_at),
+      finished_at: toISO(job.finished_at)
+    };
+  }
+}
+
+module.exports = new TranscodeQueue();